@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+// Command-line front end to the knowledge-graph engine, for nightly jobs:
+//
+//   energy-graph ingest papers.json events.csv policies.jsonl -o graph.snapshot.json
+//   energy-graph metrics graph.snapshot.json
+//   energy-graph query graph.snapshot.json "MATCH (e:Event) RETURN e.title"
+//   energy-graph search graph.snapshot.json "transmission outages"
+//   energy-graph ask graph.snapshot.json "What followed the Chennai outage?"
+//
+// Files go through the same importers and validation as the studio's import
+// dialog, and graphs are written as the snapshot files its Snapshots card
+// imports. `energy-graph help` lists the options.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import { METRIC_OPTIONS } from "../src/analytics.js";
+import { checkGrounding, parseCitations } from "../src/grounding.js";
+import { draftRecords, guessMapping, prepareImport } from "../src/importers.js";
+import { createKnowledgeGraph } from "../src/knowledgeGraph.js";
+import { createOfflineProvider, createProxyProvider, fetchProxyInfo } from "../src/providers.js";
+import { DEFAULT_RETRIEVAL_SETTINGS, RERANK_OPTIONS } from "../src/retrieval.js";
+import { parseSnapshot, serializeSnapshot } from "../src/snapshots.js";
+import { SOURCE_LABELS, validateSource } from "../src/validate.js";
+import { providerFromEnv } from "../server/proxy.js";
+
+const USAGE = `Usage: energy-graph <command> [options]
+
+Commands:
+  ingest [files...] -o <snapshot>   build a graph from JSON / JSONL / CSV / GeoJSON files
+  metrics <snapshot>                centralities, communities and risk per node
+  query <snapshot> <query>          run a MATCH ... RETURN graph query
+  search <snapshot> <text>          hybrid (BM25 + embedding) search
+  ask <snapshot> <question>         RAG answer with cited sources
+
+Ingest options:
+  -o, --out <file>         snapshot to write (default graph.snapshot.json)
+  --papers <file>          read a file as papers (repeatable; likewise
+  --events <file>          --events and --policies). Other files are sorted
+  --policies <file>        by name: *paper*, *polic*, else events
+  --merge <snapshot>       upsert into an existing snapshot, re-embedding
+                           only changed records
+  --prune                  with --merge, drop records missing from the files
+  --skip-invalid           ingest valid records when some fail validation
+  --name <name>            snapshot name (default: output file name)
+
+Search and ask options:
+  -k, --top <n>            results to retrieve (default ${DEFAULT_RETRIEVAL_SETTINGS.topK})
+  --alpha <0..1>           weight of embedding vs BM25 score (default ${DEFAULT_RETRIEVAL_SETTINGS.alpha})
+  --types <list>           comma-separated node types, e.g. Event,Policy
+  --region <name>          only nodes in this region / jurisdiction
+  --from <date>, --to <date>
+  --hops <n>               expand results along edges
+  --rerank <${RERANK_OPTIONS.map((o) => o.id).join("|")}>
+
+Metrics options:
+  --sort <metric>          ${METRIC_OPTIONS.map((o) => o.id).join(", ")} (default risk_score)
+  -k, --top <n>            rows to print (default 20)
+  --type <type>            only nodes of this type
+  --as-of <date>           reference time for risk decay
+
+Common options:
+  --provider <p>           env (default): OPENAI_API_KEY or LLM_BASE_URL as for
+                           the studio server, else offline; offline; or the
+                           URL of a running studio server
+  --json                   print JSON instead of text
+`;
+
+const OPTIONS = {
+  out: { type: "string", short: "o" },
+  papers: { type: "string", multiple: true },
+  events: { type: "string", multiple: true },
+  policies: { type: "string", multiple: true },
+  merge: { type: "string" },
+  prune: { type: "boolean" },
+  "skip-invalid": { type: "boolean" },
+  name: { type: "string" },
+  top: { type: "string", short: "k" },
+  alpha: { type: "string" },
+  types: { type: "string" },
+  type: { type: "string" },
+  region: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  hops: { type: "string" },
+  rerank: { type: "string" },
+  sort: { type: "string" },
+  "as-of": { type: "string" },
+  provider: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+const TARGETS = ["papers", "events", "policies"];
+
+const print = (line = "") => process.stdout.write(line + "\n");
+const note = (line) => process.stderr.write(line + "\n");
+
+const number = (value, name, { min = -Infinity, max = Infinity } = {}) => {
+  const n = Number(value);
+  if (value == null || value === "" || !Number.isFinite(n) || n < min || n > max) {
+    throw new Error(`--${name} must be a number between ${min} and ${max}.`);
+  }
+  return n;
+};
+
+// ---------------------- provider ----------------------
+
+async function resolveProvider(spec = "env") {
+  if (spec === "offline") return createOfflineProvider();
+  if (spec === "env") return providerFromEnv();
+  if (/^https?:\/\//.test(spec)) {
+    const baseUrl = spec.replace(/\/+$/, "").replace(/(\/api)?$/, "/api");
+    const info = await fetchProxyInfo(baseUrl);
+    return createProxyProvider({ baseUrl, info });
+  }
+  throw new Error(`Unknown provider "${spec}". Use env, offline or a studio server URL.`);
+}
+
+// ---------------------- snapshots ----------------------
+
+async function readSnapshot(file) {
+  if (!file) throw new Error("Name the snapshot file to read.");
+  const text = await readFile(file, "utf8").catch(() => {
+    throw new Error(`Cannot read ${file}.`);
+  });
+  return parseSnapshot(text);
+}
+
+// Engine loaded with `snap`, warning when its embeddings come from another
+// model than the provider's (vector scores would be meaningless).
+function openGraph(snap, provider) {
+  const kg = createKnowledgeGraph({ provider });
+  kg.load(snap);
+  const model = snap.meta.embeddingModel;
+  if (provider && model && model !== provider.embeddingModel) {
+    note(
+      `warning: ${snap.name} was embedded with ${model} but the provider uses ${provider.embeddingModel}; pass --provider to match it.`
+    );
+  }
+  return kg;
+}
+
+// ---------------------- ingest ----------------------
+
+// Reads every input file into { papers, events, policies } records, running
+// the same importers and validation as the studio.
+async function readRecords(values, positionals) {
+  const inputs = [
+    ...TARGETS.flatMap((target) => (values[target] || []).map((file) => ({ file, target }))),
+    ...positionals.map((file) => ({ file, target: null }))
+  ];
+  if (!inputs.length) throw new Error("Give at least one papers, events or policies file.");
+
+  const records = { papers: [], events: [], policies: [] };
+  const issues = [];
+  for (const { file, target } of inputs) {
+    const text = await readFile(file, "utf8").catch(() => {
+      throw new Error(`Cannot read ${file}.`);
+    });
+    const draft = prepareImport(basename(file), text);
+    if (draft.errors.length) {
+      throw new Error(`${file}: ${draft.errors.join("; ")}`);
+    }
+    const source = target || draft.target;
+    if (draft.format === "csv" && source !== draft.target) {
+      draft.mapping = guessMapping(draft.headers, source);
+    }
+    // plain JSON is validated as written so issues carry its line numbers
+    const json = draft.format === "json" ? text : JSON.stringify(draftRecords(draft), null, 2);
+    const checked = validateSource(source, json);
+    checked.issues.forEach((i) => {
+      const where = draft.format === "json" && i.line ? `${file}:${i.line}` : file;
+      const record = i.index != null ? ` record #${i.index + 1}${i.id != null ? ` (${i.id})` : ""}:` : "";
+      issues.push(`${where}:${record} ${i.message}`);
+    });
+    records[source].push(...checked.valid);
+    note(`${file}: ${checked.valid.length} ${SOURCE_LABELS[source].toLowerCase()} (${draft.format})`);
+  }
+  return { records, issues };
+}
+
+async function ingestCommand(values, positionals) {
+  const out = values.out || "graph.snapshot.json";
+  const { records, issues } = await readRecords(values, positionals);
+  if (issues.length) {
+    issues.forEach(note);
+    if (!values["skip-invalid"]) {
+      throw new Error(
+        `${issues.length} validation problem(s). Fix them or pass --skip-invalid to ingest the valid records.`
+      );
+    }
+  }
+
+  const provider = await resolveProvider(values.provider);
+  let kg = createKnowledgeGraph({ provider });
+  if (values.merge) {
+    const base = await readSnapshot(values.merge);
+    if (base.meta.embeddingModel && base.meta.embeddingModel !== provider.embeddingModel) {
+      throw new Error(
+        `${values.merge} was embedded with ${base.meta.embeddingModel}, not ${provider.embeddingModel}. Use the same provider or ingest without --merge.`
+      );
+    }
+    kg = openGraph(base, provider);
+  }
+
+  let lastReport = "";
+  const { diff } = await kg.ingest(records, {
+    mode: values.merge ? "merge" : "rebuild",
+    prune: Boolean(values.prune),
+    onProgress: (progress) => {
+      const line = Object.entries(progress)
+        .map(([group, p]) => `${group} ${p.done}/${p.total}`)
+        .join(", ");
+      if (process.stderr.isTTY && line !== lastReport) process.stderr.write(`\rEmbedding ${line}`);
+      lastReport = line;
+    }
+  });
+  if (process.stderr.isTTY && lastReport) process.stderr.write("\n");
+
+  const name = values.name || basename(out).replace(/(\.snapshot)?\.json$/, "");
+  const snap = kg.serialize({ name, ingestedAt: new Date().toISOString() });
+  await writeFile(out, serializeSnapshot(snap));
+
+  const summary = {
+    out,
+    nodes: snap.meta.nodeCount,
+    edges: snap.meta.edgeCount,
+    embeddingModel: snap.meta.embeddingModel,
+    added: diff.nodes.added.length,
+    updated: diff.nodes.updated.length,
+    removed: diff.nodes.removed.length,
+    skipped: issues.length
+  };
+  if (values.json) {
+    print(JSON.stringify(summary, null, 2));
+    return;
+  }
+  print(
+    `Wrote ${out}: ${summary.nodes} nodes, ${summary.edges} edges (${summary.embeddingModel}). ` +
+      `${summary.added} added, ${summary.updated} updated, ${summary.removed} removed.`
+  );
+}
+
+// ---------------------- reading commands ----------------------
+
+const titleOf = (n) => n.title || n.name || n.id;
+
+const fit = (text, width) => {
+  const s = String(text ?? "");
+  return s.length > width ? s.slice(0, width - 1) + "…" : s.padEnd(width);
+};
+
+const fixed = (v) => (typeof v === "number" && !Number.isInteger(v) ? v.toFixed(3) : String(v ?? ""));
+
+async function metricsCommand(values, [file]) {
+  const snap = await readSnapshot(file);
+  const kg = openGraph(snap, null);
+  const sort = values.sort || "risk_score";
+  if (!METRIC_OPTIONS.some((o) => o.id === sort)) {
+    throw new Error(`Unknown metric "${sort}". Use one of ${METRIC_OPTIONS.map((o) => o.id).join(", ")}.`);
+  }
+  let asOf;
+  if (values["as-of"]) {
+    asOf = new Date(values["as-of"]).getTime();
+    if (isNaN(asOf)) throw new Error("--as-of must be a date.");
+  }
+  const metrics = kg.metrics({ asOf });
+  const { nodesMap } = kg.getGraph();
+  const rows = Object.entries(metrics)
+    .filter(([id]) => !values.type || nodesMap[id].type === values.type)
+    .sort((a, b) => b[1][sort] - a[1][sort])
+    .slice(0, values.top ? number(values.top, "top", { min: 1 }) : 20);
+
+  if (values.json) {
+    print(JSON.stringify(rows.map(([id, m]) => ({ id, type: nodesMap[id].type, ...m })), null, 2));
+    return;
+  }
+  const ids = METRIC_OPTIONS.map((o) => o.id);
+  const cells = (values) => values.map((v, i) => fit(v, Math.max(ids[i].length, 8))).join(" ");
+  print(`${fit("node", 40)} ${fit("type", 9)} ${cells(ids)}`);
+  rows.forEach(([id, m]) => {
+    print(`${fit(titleOf(nodesMap[id]), 40)} ${fit(nodesMap[id].type, 9)} ${cells(ids.map((k) => fixed(m[k])))}`);
+  });
+}
+
+async function queryCommand(values, [file, src]) {
+  if (!src) throw new Error("Give the query to run, e.g. \"MATCH (e:Event) RETURN e.title\".");
+  const kg = openGraph(await readSnapshot(file), null);
+  const result = kg.query(src);
+  // bare node / edge variables come back as objects
+  const cell = (v) => (v && typeof v === "object" ? v.id || `${v.source}-${v.relation}->${v.target}` : v);
+  if (values.json) {
+    print(
+      JSON.stringify(
+        {
+          columns: result.columns,
+          rows: result.rows.map((r) => r.map(cell)),
+          truncated: result.truncated
+        },
+        null,
+        2
+      )
+    );
+    return;
+  }
+  print(result.columns.join("\t"));
+  result.rows.forEach((r) => print(r.map((v) => String(cell(v) ?? "")).join("\t")));
+  note(`${result.rows.length} row(s)${result.truncated ? ", more past the LIMIT" : ""}`);
+}
+
+function retrievalSettings(values) {
+  const settings = { ...DEFAULT_RETRIEVAL_SETTINGS };
+  if (values.top) settings.topK = number(values.top, "top", { min: 1 });
+  if (values.alpha) settings.alpha = number(values.alpha, "alpha", { min: 0, max: 1 });
+  if (values.hops) settings.hops = number(values.hops, "hops", { min: 0, max: 3 });
+  if (values.types) settings.types = values.types.split(",").map((t) => t.trim()).filter(Boolean);
+  if (values.region) settings.region = values.region;
+  if (values.from) settings.from = values.from;
+  if (values.to) settings.to = values.to;
+  if (values.rerank) {
+    if (!RERANK_OPTIONS.some((o) => o.id === values.rerank)) {
+      throw new Error(`Unknown rerank "${values.rerank}".`);
+    }
+    settings.rerank = values.rerank;
+  }
+  return settings;
+}
+
+// retrieved nodes trimmed to what a caller needs, for JSON output
+const hit = (r) => ({
+  id: r.id,
+  type: r.type,
+  title: titleOf(r),
+  score: r.score,
+  vectorScore: r.vectorScore,
+  bm25Score: r.bm25Score,
+  ...(r.hop != null ? { hop: r.hop } : {})
+});
+
+async function searchCommand(values, [file, text]) {
+  if (!text) throw new Error("Give the text to search for.");
+  const snap = await readSnapshot(file);
+  const kg = openGraph(snap, await resolveProvider(values.provider));
+  const { results } = await kg.search(text, retrievalSettings(values));
+  if (values.json) {
+    print(JSON.stringify(results.map(hit), null, 2));
+    return;
+  }
+  results.forEach((r, i) => {
+    const score = r.hop != null ? `hop ${r.hop}` : r.score.toFixed(3);
+    print(`${String(i + 1).padStart(2)}. ${fit(score, 6)} ${fit(r.id, 28)} ${titleOf(r)}`);
+  });
+  if (!results.length) note("No matches.");
+}
+
+async function askCommand(values, [file, question]) {
+  if (!question) throw new Error("Give the question to ask.");
+  const snap = await readSnapshot(file);
+  const kg = openGraph(snap, await resolveProvider(values.provider));
+  const { answer, results } = await kg.ask(question, {
+    settings: retrievalSettings(values),
+    onDelta: values.json ? undefined : (delta) => process.stdout.write(delta)
+  });
+  const grounding = checkGrounding(parseCitations(answer), results.map((r) => r.id));
+  if (values.json) {
+    print(JSON.stringify({ answer, sources: results.map(hit), grounding: grounding.counts }, null, 2));
+    return;
+  }
+  print("\n\nSources:");
+  results.forEach((r) => print(`  [${r.id}] ${titleOf(r)}`));
+  const { ok, uncited, outside } = grounding.counts;
+  print(`\n${ok} sentence(s) grounded, ${uncited} uncited, ${outside} citing nodes outside the sources.`);
+}
+
+// ---------------------- main ----------------------
+
+const COMMANDS = {
+  ingest: ingestCommand,
+  metrics: metricsCommand,
+  query: queryCommand,
+  search: searchCommand,
+  ask: askCommand
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (!command || command === "help" || values.help) {
+    print(USAGE);
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command "${command}". Run energy-graph help.`);
+  await run(values, rest);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  note(`error: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+// Standalone studio server for deployments: serves the built app from dist/
+// and the /api routes from proxy.js on one port.
+//
+//   npm run build && npm run serve
+//
+// Configuration comes from the environment (see README): OPENAI_API_KEY or
+// LLM_BASE_URL for the upstream, PORT, RATE_LIMIT_PER_MINUTE, MAX_BODY_BYTES,
+// USAGE_LOG, TRUST_USER_HEADER and friends.
+
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import { extname, join, normalize } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createProxyHandler, limitsFromEnv, providerFromEnv } from "./proxy.js";
+
+const DIST = fileURLToPath(new URL("../dist/", import.meta.url));
+// PORT=0 picks a free port
+const PORT = process.env.PORT ? Number(process.env.PORT) : 8787;
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon"
+};
+
+// Files under dist/, falling back to index.html for client-side paths.
+async function serveStatic(req, res) {
+  let path;
+  try {
+    path = decodeURIComponent((req.url || "/").split("?")[0]);
+  } catch {
+    res.writeHead(400, { "Content-Type": "text/plain" });
+    res.end("Malformed URL.");
+    return;
+  }
+  path = normalize(path).replace(/^(\.\.[/\\])+/, "");
+  let file = join(DIST, path);
+  if (!file.startsWith(DIST) || !(await stat(file).catch(() => null))?.isFile()) {
+    file = join(DIST, "index.html");
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { "Content-Type": TYPES[extname(file)] || "application/octet-stream" });
+    res.end(body);
+  } catch {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Build the app first with npm run build.");
+  }
+}
+
+const provider = providerFromEnv();
+const api = createProxyHandler({ provider, limits: limitsFromEnv() });
+
+const server = createServer((req, res) => api(req, res, () => serveStatic(req, res)));
+server.listen(PORT, () => {
+  const { port } = server.address();
+  console.log(`Studio server on http://localhost:${port} (upstream: ${provider.label})`);
+});
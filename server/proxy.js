@@ -0,0 +1,286 @@
+// The studio server's API: /api/info, /api/embed, /api/complete and /api/rag.
+//
+// It holds the upstream API key so the browser never sees it, and applies a
+// per-user request rate limit, body and batch size caps, and a usage log
+// line per request. The handler is connect-style (req, res, next) so Vite's
+// dev server and the standalone server in server/index.js share it.
+
+import { appendFile } from "node:fs/promises";
+import { buildRagPrompt } from "../src/chat.js";
+import {
+  createCompatibleProvider,
+  createOfflineProvider,
+  createOpenAIProvider
+} from "../src/providers.js";
+
+export const DEFAULT_LIMITS = {
+  requestsPerMinute: 60,
+  maxBodyBytes: 1_000_000,
+  maxEmbedTexts: 256,
+  maxPromptChars: 32_000,
+  maxContexts: 40
+};
+
+// Upstream provider from the server environment: OpenAI when OPENAI_API_KEY
+// is set, else an OpenAI-compatible server at LLM_BASE_URL, else offline.
+export function providerFromEnv(env = process.env) {
+  if (env.OPENAI_API_KEY) {
+    return createOpenAIProvider({
+      apiKey: env.OPENAI_API_KEY,
+      embeddingModel: env.OPENAI_EMBEDDING_MODEL || undefined,
+      chatModel: env.OPENAI_CHAT_MODEL || undefined
+    });
+  }
+  if (env.LLM_BASE_URL) {
+    return createCompatibleProvider({
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY || "",
+      embeddingModel: env.LLM_EMBEDDING_MODEL || undefined,
+      chatModel: env.LLM_CHAT_MODEL || undefined
+    });
+  }
+  return createOfflineProvider();
+}
+
+export function limitsFromEnv(env = process.env) {
+  const num = (key, fallback) => (Number(env[key]) > 0 ? Number(env[key]) : fallback);
+  return {
+    requestsPerMinute: num("RATE_LIMIT_PER_MINUTE", DEFAULT_LIMITS.requestsPerMinute),
+    maxBodyBytes: num("MAX_BODY_BYTES", DEFAULT_LIMITS.maxBodyBytes),
+    maxEmbedTexts: num("MAX_EMBED_TEXTS", DEFAULT_LIMITS.maxEmbedTexts),
+    maxPromptChars: num("MAX_PROMPT_CHARS", DEFAULT_LIMITS.maxPromptChars),
+    maxContexts: num("MAX_CONTEXTS", DEFAULT_LIMITS.maxContexts)
+  };
+}
+
+// Error carrying the HTTP status (and headers) to answer with.
+const httpError = (status, message, headers = {}) =>
+  Object.assign(new Error(message), { status, headers });
+
+// The user a request counts against: the client address, or the identity
+// set by a fronting auth proxy when `trustUserHeader` says that proxy strips
+// the header from client requests (anyone can send it otherwise).
+const userOf = (req, trustUserHeader) =>
+  (trustUserHeader &&
+    (req.headers["x-forwarded-user"] || req.headers["x-auth-request-user"])) ||
+  req.socket?.remoteAddress ||
+  "anonymous";
+
+// Fixed one-minute windows per user. Expired windows are swept once a
+// minute so identities that stop calling don't pile up; `tracked()` tells
+// how many are held. `clock` is replaceable for tests.
+export function createRateLimiter(perMinute, clock = Date.now) {
+  const windows = new Map();
+  let swept = clock();
+  const check = (user) => {
+    const now = clock();
+    if (now - swept >= 60_000) {
+      windows.forEach((w, key) => {
+        if (now - w.start >= 60_000) windows.delete(key);
+      });
+      swept = now;
+    }
+    let w = windows.get(user);
+    if (!w || now - w.start >= 60_000) {
+      w = { start: now, count: 0 };
+      windows.set(user, w);
+    }
+    w.count += 1;
+    if (w.count > perMinute) {
+      const retryAfter = Math.ceil((w.start + 60_000 - now) / 1000);
+      throw httpError(429, `Rate limit of ${perMinute} requests per minute exceeded.`, {
+        "Retry-After": String(retryAfter)
+      });
+    }
+  };
+  check.tracked = () => windows.size;
+  return check;
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      // keep draining so the 413 answer still reaches the client
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxBytes) {
+        reject(httpError(413, `Request body is larger than ${maxBytes} bytes.`));
+        return;
+      }
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch {
+        reject(httpError(400, "Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const history = (body) =>
+  (Array.isArray(body.history) ? body.history : [])
+    .filter((m) => (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
+    .slice(-8);
+
+const promptChars = (prompt, turns) =>
+  prompt.length + turns.reduce((sum, m) => sum + m.content.length, 0);
+
+// Returns the connect-style handler. `log` receives one usage record per
+// request; by default records go to stdout, or appended to `logFile` as
+// JSON lines.
+export function createProxyHandler({
+  provider = providerFromEnv(),
+  limits = DEFAULT_LIMITS,
+  logFile = process.env.USAGE_LOG,
+  trustUserHeader = process.env.TRUST_USER_HEADER === "1",
+  log
+} = {}) {
+  const checkRate = createRateLimiter(limits.requestsPerMinute);
+  const writeLog =
+    log ||
+    ((record) => {
+      const line = JSON.stringify(record);
+      if (!logFile) {
+        console.log(`[usage] ${line}`);
+        return;
+      }
+      appendFile(logFile, line + "\n").catch((err) =>
+        console.error("Could not write usage log", err)
+      );
+    });
+
+  const checkPrompt = (prompt, turns) => {
+    if (typeof prompt !== "string" || !prompt.trim()) {
+      throw httpError(400, "`prompt` must be a non-empty string.");
+    }
+    if (promptChars(prompt, turns) > limits.maxPromptChars) {
+      throw httpError(413, `Prompt and history exceed ${limits.maxPromptChars} characters.`);
+    }
+  };
+
+  // Streams model output as server-sent events; aborts upstream when the
+  // browser goes away.
+  const streamText = async (req, res, prompt, turns, usage) => {
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    try {
+      const text = await provider.stream(prompt, {
+        signal: controller.signal,
+        history: turns,
+        onDelta: (delta) => res.write(`data: ${JSON.stringify({ delta })}\n\n`)
+      });
+      usage.outputChars = text.length;
+      res.write("data: [DONE]\n\n");
+    } catch (err) {
+      usage.error = err.message;
+      if (!controller.signal.aborted) {
+        res.write(`data: ${JSON.stringify({ error: err.message })}\n\n`);
+      }
+    }
+    res.end();
+  };
+
+  const routes = {
+    "GET /api/info": async () => ({
+      upstream: provider.id,
+      embeddingModel: provider.embeddingModel,
+      limits
+    }),
+
+    "POST /api/embed": async (body, req, res, usage) => {
+      const texts = body.texts;
+      if (!Array.isArray(texts) || !texts.every((t) => typeof t === "string")) {
+        throw httpError(400, "`texts` must be an array of strings.");
+      }
+      if (texts.length > limits.maxEmbedTexts) {
+        throw httpError(413, `At most ${limits.maxEmbedTexts} texts per request.`);
+      }
+      usage.items = texts.length;
+      usage.inputChars = texts.reduce((sum, t) => sum + t.length, 0);
+      const embeddings = await provider.embedMany(texts);
+      return { model: provider.embeddingModel, embeddings };
+    },
+
+    "POST /api/complete": async (body, req, res, usage) => {
+      const turns = history(body);
+      checkPrompt(body.prompt, turns);
+      usage.inputChars = promptChars(body.prompt, turns);
+      if (body.stream) return streamText(req, res, body.prompt, turns, usage);
+      const text = await provider.complete(body.prompt, { history: turns });
+      usage.outputChars = text.length;
+      return { text };
+    },
+
+    "POST /api/rag": async (body, req, res, usage) => {
+      const { question, query, contexts } = body;
+      if (typeof question !== "string" || !question.trim()) {
+        throw httpError(400, "`question` must be a non-empty string.");
+      }
+      if (!Array.isArray(contexts) || contexts.length > limits.maxContexts) {
+        throw httpError(400, `\`contexts\` must be an array of at most ${limits.maxContexts} nodes.`);
+      }
+      const turns = history(body);
+      const prompt = buildRagPrompt(question, query || question, contexts);
+      checkPrompt(prompt, turns);
+      usage.items = contexts.length;
+      usage.inputChars = promptChars(prompt, turns);
+      if (body.stream) return streamText(req, res, prompt, turns, usage);
+      const text = await provider.complete(prompt, { history: turns });
+      usage.outputChars = text.length;
+      return { text };
+    }
+  };
+
+  return async (req, res, next) => {
+    const path = (req.url || "").split("?")[0];
+    if (!path.startsWith("/api/")) {
+      if (!next) {
+        sendJson(res, 404, { error: "Not found." });
+        return;
+      }
+      // a failing static handler answers 500 instead of ending the process
+      try {
+        await next();
+      } catch (err) {
+        console.error(err);
+        if (!res.headersSent) sendJson(res, 500, { error: "Internal server error." });
+        else res.end();
+      }
+      return;
+    }
+    const route = routes[`${req.method} ${path}`];
+    const started = Date.now();
+    const usage = { at: new Date().toISOString(), user: userOf(req, trustUserHeader), route: `${req.method} ${path}` };
+    try {
+      if (!route) throw httpError(404, `No route for ${req.method} ${path}.`);
+      if (path !== "/api/info") checkRate(usage.user);
+      const body = req.method === "POST" ? await readBody(req, limits.maxBodyBytes) : {};
+      const result = await route(body, req, res, usage);
+      usage.status = res.headersSent ? res.statusCode : 200;
+      if (!res.headersSent) sendJson(res, 200, result);
+    } catch (err) {
+      usage.status = err.status || 502;
+      usage.error = err.message;
+      if (!err.status) console.error(err);
+      if (!res.headersSent) sendJson(res, usage.status, { error: err.message }, err.headers);
+      else res.end();
+    } finally {
+      usage.ms = Date.now() - started;
+      if (path !== "/api/info") writeLog(usage);
+    }
+  };
+}
@@ -1,90 +1,172 @@
-import React, { useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import ForceGraph2D from "react-force-graph-2d";
+import { PROVIDER_OPTIONS, createProvider, fetchProxyInfo } from "./providers.js";
+import { SOURCE_LABELS, validateAll } from "./validate.js";
+import { prepareImport } from "./importers.js";
+import ImportDialog from "./ImportDialog.jsx";
+import {
+  deleteSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  parseSnapshot,
+  saveSnapshot,
+  serializeSnapshot
+} from "./snapshots.js";
+import { downloadText, slugify } from "./download.js";
+import { EXPORT_FORMATS } from "./exporters.js";
+import { DEFAULT_LINK_SETTINGS } from "./linking.js";
+import { INGESTED_TYPES, edgeKey } from "./ingest.js";
+import {
+  DEFAULT_TEMPORAL_SETTINGS,
+  buildTimeline,
+  causalChain
+} from "./temporal.js";
+import {
+  METRIC_OPTIONS,
+  RISK_FACTORS,
+  propagateRisk
+} from "./analytics.js";
+import {
+  DEFAULT_PROFILE_NAME,
+  DEFAULT_RISK_PROFILE,
+  deleteRiskProfile,
+  explainRisk,
+  listRiskProfiles,
+  normalizeRiskProfile,
+  riskBand,
+  saveRiskProfile
+} from "./riskProfiles.js";
+import {
+  CASCADE_MODELS,
+  DEFAULT_SIMULATION_SETTINGS,
+  simulate
+} from "./simulation.js";
+import {
+  DEFAULT_RETRIEVAL_SETTINGS,
+  RERANK_OPTIONS
+} from "./retrieval.js";
+import {
+  deleteSession,
+  historyFor,
+  listSessions,
+  loadSession,
+  newSession,
+  rewriteQuery,
+  saveSession,
+  snapshotContext
+} from "./chat.js";
+import ChatTurn from "./ChatTurn.jsx";
+import MapView from "./MapView.jsx";
+import NodeEditor from "./NodeEditor.jsx";
+import { useKnowledgeGraph } from "./useKnowledgeGraph.js";
+import {
+  EDITABLE_RELATIONS,
+  HISTORY_LIMIT,
+  addEdge,
+  deleteEdge,
+  deleteNode,
+  duplicateLocations,
+  emptyHistory,
+  mergeNodes,
+  updateNode
+} from "./editing.js";
+import { EXAMPLE_QUERY, translateToQuery } from "./query.js";
+import {
+  DEFAULT_VIEW_FILTERS,
+  activeFilterCount,
+  applyViewFilters,
+  searchNodes
+} from "./viewfilter.js";
 
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
-
-// ---------------------- OpenAI helpers ----------------------
-
-async function getEmbedding(text) {
-  const clean = (text || "").replace(/\n/g, " ").trim() || "empty";
-  const resp = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "text-embedding-3-small",
-      input: clean
-    })
-  });
-  if (!resp.ok) {
-    const errText = await resp.text();
-    throw new Error("Embedding error: " + errText);
-  }
-  const data = await resp.json();
-  return data.data[0].embedding;
-}
+// Categorical palette for community colouring.
+const COMMUNITY_COLORS = [
+  "#34d399",
+  "#60a5fa",
+  "#f472b6",
+  "#facc15",
+  "#a78bfa",
+  "#fb923c",
+  "#2dd4bf",
+  "#f87171",
+  "#a3e635",
+  "#38bdf8"
+];
 
-async function gptPlainText(prompt) {
-  const resp = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      instructions:
-        "You are an expert in power systems, renewable integration, and energy policy. " +
-        "Always answer in plain text paragraphs with no markdown headings or bullet characters.",
-      input: [
-        {
-          role: "user",
-          content: [{ type: "input_text", text: prompt }]
-        }
-      ]
-    })
-  });
-  if (!resp.ok) {
-    const errText = await resp.text();
-    throw new Error("GPT error: " + errText);
-  }
-  const data = await resp.json();
-  return (data.output_text || "").trim();
-}
+// Outline colours for highlighted subgraphs on the canvas.
+const HIGHLIGHT_COLORS = {
+  rag: "#38bdf8",
+  query: "#e879f9",
+  search: "#fbbf24"
+};
 
-// ---------------------- Math helpers ----------------------
+const NODE_TYPES = ["Paper", "Event", "Policy", "Location"];
 
-function dot(a, b) {
-  let s = 0;
-  const n = Math.min(a.length, b.length);
-  for (let i = 0; i < n; i++) s += a[i] * b[i];
-  return s;
-}
+// Frames a full replay of the timeline is split into.
+const REPLAY_FRAMES = 60;
 
-function norm(a) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) s += a[i] * a[i];
-  return Math.sqrt(s);
-}
+// Graphs with at least this many nodes are laid out in layout.worker.js
+// instead of by the canvas' own simulation, and drawn with less detail.
+const LARGE_GRAPH_NODES = 2000;
+// Zoom level above which large graphs get every label and link arrow.
+// Below it, nodes in the highest risk band keep their labels.
+const LABEL_ZOOM = 1.5;
 
-function cosineSim(a, b) {
-  const na = norm(a);
-  const nb = norm(b);
-  if (!na || !nb) return 0;
-  return dot(a, b) / (na * nb);
-}
+// force-graph replaces link ends with node objects once it has laid them out
+const endId = (v) => (typeof v === "object" && v ? v.id : v);
+
+const sameItems = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
 
 // ---------------------- React App ----------------------
 
 function App() {
-  const [nodesMap, setNodesMap] = useState({});
-  const [edges, setEdges] = useState([]);
-  const embeddingsRef = useRef({});
-
   const [error, setError] = useState("");
-  const [loadingIngest, setLoadingIngest] = useState(false);
+  const [ingestMode, setIngestMode] = useState("rebuild");
+  const [pruneMissing, setPruneMissing] = useState(false);
+  const [ingestDiff, setIngestDiff] = useState(null);
+  const [linkSettings, setLinkSettings] = useState(DEFAULT_LINK_SETTINGS);
+  const [inferredOnly, setInferredOnly] = useState(false);
+  const [temporalSettings, setTemporalSettings] = useState(
+    DEFAULT_TEMPORAL_SETTINGS
+  );
+  const [sizeMetric, setSizeMetric] = useState("degree_centrality");
+  const [colorMetric, setColorMetric] = useState("risk_score");
+  // applied risk profile, the one being edited, and the saved ones
+  const [riskProfile, setRiskProfile] = useState(DEFAULT_RISK_PROFILE);
+  const [riskDraft, setRiskDraft] = useState(DEFAULT_RISK_PROFILE);
+  const [riskProfiles, setRiskProfiles] = useState([]);
+  const [riskStatus, setRiskStatus] = useState("");
+  const [simSettings, setSimSettings] = useState(DEFAULT_SIMULATION_SETTINGS);
+  const [simSeedId, setSimSeedId] = useState("");
+  const [simPolicyId, setSimPolicyId] = useState("");
+  const [simResult, setSimResult] = useState(null);
+  const [simFrame, setSimFrame] = useState(null);
+  const simTimerRef = useRef(null);
+  const [extractStatus, setExtractStatus] = useState("");
+  // previous / undone graphs for manual edits: { past, future }
+  const [history, setHistory] = useState(emptyHistory);
+  const [editStatus, setEditStatus] = useState("");
+  const [linkMode, setLinkMode] = useState(false);
+  const [linkTargetId, setLinkTargetId] = useState(null);
+  const [pendingEdge, setPendingEdge] = useState(null);
+  const dragStartRef = useRef(null);
+  const [validationIssues, setValidationIssues] = useState([]);
+  const papersEditorRef = useRef(null);
+  const eventsEditorRef = useRef(null);
+  const policiesEditorRef = useRef(null);
+  const [importQueue, setImportQueue] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+  const [lastIngestAt, setLastIngestAt] = useState(null);
+
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState("");
+  const [snapshotStatus, setSnapshotStatus] = useState("");
+  const snapshotFileRef = useRef(null);
+
+  const [providerId, setProviderId] = useState("proxy");
+  // GET /api/info from the studio server; null until it answers
+  const [proxyInfo, setProxyInfo] = useState(null);
+  const [proxyError, setProxyError] = useState("");
 
   const [selectedNodeId, setSelectedNodeId] = useState(null);
   const [selectedNodeSummary, setSelectedNodeSummary] = useState("");
@@ -93,9 +175,39 @@ function App() {
   const [ragQuery, setRagQuery] = useState(
     "Why are some regions high-risk for cascading outages when renewables increase?"
   );
-  const [ragAnswer, setRagAnswer] = useState("");
-  const [ragContexts, setRagContexts] = useState([]);
+  const [chatSession, setChatSession] = useState(newSession);
+  const [streamingTurn, setStreamingTurn] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const ragAbortRef = useRef(null);
   const [loadingRag, setLoadingRag] = useState(false);
+  const [retrievalSettings, setRetrievalSettings] = useState(
+    DEFAULT_RETRIEVAL_SETTINGS
+  );
+  // replay position in ms (null = show the whole graph)
+  const [replayTime, setReplayTime] = useState(null);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [viewFilters, setViewFilters] = useState(DEFAULT_VIEW_FILTERS);
+  const [searchText, setSearchText] = useState("");
+  const [searchStatus, setSearchStatus] = useState("");
+  const [hoverNodeId, setHoverNodeId] = useState(null);
+  const fgRef = useRef(null);
+  // node objects handed to force-graph, reused so filtering keeps positions
+  const nodeObjectsRef = useRef({});
+  // last graphData and the edges it was built from, see graphData below
+  const graphDataRef = useRef(null);
+  const layoutWorkerRef = useRef(null);
+  const layoutRequestRef = useRef(0);
+  const [layoutStatus, setLayoutStatus] = useState("");
+  const [zoomedIn, setZoomedIn] = useState(false);
+  // visible part of the canvas in graph coordinates, set before each frame
+  const viewportRef = useRef(null);
+  const [queryText, setQueryText] = useState(EXAMPLE_QUERY);
+  const [queryQuestion, setQueryQuestion] = useState("");
+  const [queryResult, setQueryResult] = useState(null);
+  const [queryError, setQueryError] = useState("");
+  const [loadingTranslate, setLoadingTranslate] = useState(false);
+  // nodes / edge keys outlined on the canvas, from RAG retrieval or a query
+  const [highlight, setHighlight] = useState(null);
 
   const [papersJson, setPapersJson] = useState(
     JSON.stringify(
@@ -152,229 +264,998 @@ function App() {
     )
   );
 
-  // ---------- graph helpers ----------
+  // ---------- provider ----------
 
-  const addNode = (id, attrs, embedding) => {
-    setNodesMap((prev) => {
-      const existing = prev[id] || {};
-      const updated = { ...existing, id, ...attrs };
-      return { ...prev, [id]: updated };
-    });
-    if (embedding) {
-      embeddingsRef.current[id] = embedding;
-    }
-  };
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchProxyInfo("/api", { signal: controller.signal })
+      .then((info) => {
+        setProxyInfo(info);
+        setProxyError("");
+      })
+      .catch((err) => {
+        if (err?.name === "AbortError") return;
+        setProxyInfo(null);
+        setProxyError(err.message || "Studio server unreachable.");
+      });
+    return () => controller.abort();
+  }, []);
+
+  const provider = useMemo(
+    () => createProvider({ id: providerId, info: proxyInfo }),
+    [providerId, proxyInfo]
+  );
+
+  // The graph and its embeddings live in the headless engine; the hook adds
+  // metrics from the analytics worker and runs ingest / extraction. While
+  // replaying, everything on the canvas (and its metrics, with recency
+  // measured from the replay date) comes from the graph as of that date.
+  const {
+    engine,
+    nodesMap,
+    edges,
+    activeGraph,
+    metrics,
+    loadingMetrics,
+    metricsError,
+    ingestion,
+    extraction
+  } = useKnowledgeGraph({
+    provider,
+    linkSettings,
+    temporalSettings,
+    riskModel: riskProfile.model,
+    asOf: replayTime
+  });
+  const loadingIngest = ingestion.running;
+  const loadingExtract = extraction.running;
+
+  useEffect(() => {
+    if (metricsError) setError(`Analytics failed: ${metricsError}`);
+  }, [metricsError]);
 
-  const addEdge = (source, target, relation) => {
-    setEdges((prev) => [...prev, { source, target, relation }]);
+  const checkProvider = () => {
+    if (provider.ready) return true;
+    setError(
+      `The studio server at /api is not reachable${
+        proxyError ? ` (${proxyError})` : ""
+      }. Start it with npm run dev or npm run serve, or switch to the offline provider.`
+    );
+    return false;
   };
 
-  const resetGraph = () => {
-    setNodesMap({});
-    setEdges([]);
-    embeddingsRef.current = {};
+  // ---------- graph helpers ----------
+
+  // Clears selection, highlights and undo history; the graph itself is
+  // replaced by the engine.
+  const resetGraphView = () => {
+    setHistory(emptyHistory());
+    setPendingEdge(null);
     setSelectedNodeId(null);
     setSelectedNodeSummary("");
-    setRagAnswer("");
-    setRagContexts([]);
+    setHighlight(null);
   };
 
   // ---------- ingestion ----------
 
-  const ingestAll = async () => {
-    if (!OPENAI_API_KEY) {
-      setError(
-        "VITE_OPENAI_API_KEY is missing. Add it in a .env file at project root."
+  const ingestAll = async ({ skipInvalid = false } = {}) => {
+    if (!checkProvider()) return;
+    setError("");
+    setIngestDiff(null);
+    try {
+      const checked = validateAll({
+        papers: papersJson,
+        events: eventsJson,
+        policies: policiesJson
+      });
+      setValidationIssues(checked.issues);
+      if (checked.issues.some((i) => i.fatal)) {
+        throw new Error("Fix the JSON syntax errors listed below first.");
+      }
+      if (checked.issues.length && !skipInvalid) {
+        setError(
+          `${checked.issues.length} validation problem(s) found. Skip the invalid records or fix them and ingest again.`
+        );
+        return;
+      }
+      const papers = checked.papers.valid;
+      const events = checked.events.valid;
+      const policies = checked.policies.valid;
+
+      // the engine only swaps the graph once embedding finished, so a
+      // cancelled run keeps the current one
+      const { diff } = await ingestion.start(
+        { papers, events, policies },
+        { mode: ingestMode, prune: pruneMissing }
       );
-      return;
+      if (ingestMode !== "merge") {
+        resetGraphView();
+      } else if (diff.nodes.removed.includes(selectedNodeId)) {
+        setSelectedNodeId(null);
+        setSelectedNodeSummary("");
+      }
+      setHistory(emptyHistory());
+      setIngestDiff(diff);
+      setValidationIssues([]);
+      setLastIngestAt(new Date().toISOString());
+    } catch (err) {
+      if (err?.name === "AbortError") {
+        setError("Ingestion cancelled. The previous graph was kept.");
+        return;
+      }
+      console.error(err);
+      setError(err.message || "Ingestion failed.");
     }
+  };
+
+  const relinkGraph = () => {
+    engine.relink();
+  };
+
+  const relinkTimeline = () => {
+    engine.relinkTimeline();
+  };
+
+  const updateTemporalSetting = (key, value) => {
+    setTemporalSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // ---------- entity extraction ----------
+
+  // Runs extraction over `nodeIds` through the engine, which applies each
+  // result to the graph as it is when it arrives; the run is one undo step.
+  const runExtraction = async (nodeIds) => {
+    if (!checkProvider()) return;
     setError("");
-    setLoadingIngest(true);
+    setExtractStatus("");
+    try {
+      const run = await extraction.start(nodeIds, {
+        onChange: (previous, { total }) => {
+          const label = `Extract entities from ${total} node(s)`;
+          setHistory((h) => ({
+            past: [...h.past, { label, ...previous }].slice(-HISTORY_LIMIT),
+            future: []
+          }));
+        }
+      });
+      if (!run.total) {
+        setExtractStatus("No paper, event or policy text to extract from.");
+        return;
+      }
+      setExtractStatus(
+        [
+          `Extracted ${run.entities} entities from ${run.total} node(s).`,
+          ...run.failures,
+          ...(run.cancelled ? ["Extraction cancelled; finished nodes were kept."] : []),
+          ...run.warnings
+        ].join("\n")
+      );
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Extraction failed.");
+    }
+  };
+
+  // ---------- manual editing ----------
+
+  // Re-embeds Paper / Event / Policy nodes whose embedding text changed and
+  // forgets embeddings of removed nodes. Unchanged text is never re-sent,
+  // and texts embedded before come from the IndexedDB cache.
+  const syncEmbeddings = async () => {
+    const count = engine.changedCount();
+    if (!count) return;
+    if (!provider.ready) {
+      setEditStatus(
+        `${count} node(s) changed but the provider is not configured; their embeddings are stale.`
+      );
+      return;
+    }
+    setEditStatus(`Re-embedding ${count} changed node(s)…`);
     try {
-      resetGraph();
+      await engine.embedChanged();
+      setEditStatus(`Re-embedded ${count} changed node(s).`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Re-embedding failed.");
+      setEditStatus("");
+    }
+  };
 
-      let papers = [];
-      let events = [];
-      let policies = [];
-      try {
-        papers = JSON.parse(papersJson);
-      } catch {
-        throw new Error("Papers JSON is invalid.");
+  const commitGraph = (graph) => {
+    engine.setGraph(graph);
+    if (selectedNodeId && !graph.nodesMap[selectedNodeId]) {
+      setSelectedNodeId(null);
+      setSelectedNodeSummary("");
+    }
+    syncEmbeddings();
+  };
+
+  // Applies `edit(graph)` and records the previous graph for undo.
+  const applyEdit = (label, edit) => {
+    let next;
+    try {
+      next = edit({ nodesMap, edges });
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+    setError("");
+    setHistory((h) => ({
+      past: [...h.past, { label, nodesMap, edges }].slice(-HISTORY_LIMIT),
+      future: []
+    }));
+    setEditStatus(label);
+    commitGraph(next);
+    return next;
+  };
+
+  const undo = () => {
+    const prev = history.past[history.past.length - 1];
+    if (!prev) return;
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [{ label: prev.label, nodesMap, edges }, ...history.future]
+    });
+    setEditStatus(`Undid: ${prev.label}`);
+    commitGraph(prev);
+  };
+
+  const redo = () => {
+    const next = history.future[0];
+    if (!next) return;
+    setHistory({
+      past: [...history.past, { label: next.label, nodesMap, edges }],
+      future: history.future.slice(1)
+    });
+    setEditStatus(`Redid: ${next.label}`);
+    commitGraph(next);
+  };
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) outside text fields
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
       }
-      try {
-        events = JSON.parse(eventsJson);
-      } catch {
-        throw new Error("Events JSON is invalid.");
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  const titleOf = (id) => nodesMap[id]?.title || nodesMap[id]?.name || id;
+
+  const saveNodeAttrs = (attrs) => {
+    applyEdit(`Edit ${titleOf(selectedNodeId)}`, (g) => updateNode(g, selectedNodeId, attrs));
+  };
+
+  const removeSelectedNode = () => {
+    applyEdit(`Delete ${titleOf(selectedNodeId)}`, (g) => deleteNode(g, selectedNodeId));
+  };
+
+  const removeEdge = (key) => {
+    applyEdit(`Delete edge ${key.split("|")[1]}`, (g) => deleteEdge(g, key));
+  };
+
+  const mergeLocation = (keepId, dropId) => {
+    const next = applyEdit(`Merge ${titleOf(dropId)} into ${titleOf(keepId)}`, (g) =>
+      mergeNodes(g, keepId, dropId)
+    );
+    if (next) selectNode(keepId);
+  };
+
+  const createPendingEdge = () => {
+    if (!pendingEdge) return;
+    const next = applyEdit(
+      `Link ${titleOf(pendingEdge.source)} → ${titleOf(pendingEdge.target)}`,
+      (g) => addEdge(g, pendingEdge)
+    );
+    if (next) setPendingEdge(null);
+  };
+
+  // In link mode, dragging a node onto another proposes an edge between
+  // them; the dragged node snaps back to where it started.
+  const handleNodeDrag = (node, translate) => {
+    if (!linkMode) return;
+    if (!dragStartRef.current) {
+      dragStartRef.current = { x: node.x - translate.x, y: node.y - translate.y };
+    }
+    let nearest = null;
+    let best = 12;
+    graphData.nodes.forEach((other) => {
+      if (other.id === node.id || other.x == null) return;
+      const d = Math.hypot(other.x - node.x, other.y - node.y);
+      if (d < best) {
+        best = d;
+        nearest = other.id;
       }
+    });
+    if (nearest !== linkTargetId) setLinkTargetId(nearest);
+  };
+
+  const handleNodeDragEnd = (node) => {
+    const start = dragStartRef.current;
+    dragStartRef.current = null;
+    if (!linkMode || !start) return;
+    Object.assign(node, { x: start.x, y: start.y, fx: undefined, fy: undefined });
+    if (linkTargetId) {
+      setPendingEdge({
+        source: node.id,
+        target: linkTargetId,
+        relation: pendingEdge?.relation || "MENTIONS"
+      });
+    }
+    setLinkTargetId(null);
+  };
+
+  const editRelationOptions = useMemo(
+    () => [...new Set([...EDITABLE_RELATIONS, ...edges.map((e) => e.relation)])],
+    [edges]
+  );
+
+  const locationDuplicates = useMemo(() => duplicateLocations(nodesMap), [nodesMap]);
+
+  const editorRefs = {
+    papers: papersEditorRef,
+    events: eventsEditorRef,
+    policies: policiesEditorRef
+  };
+
+  // select the offending line in its textarea and scroll it into view
+  const focusIssue = (issue) => {
+    const el = editorRefs[issue.source]?.current;
+    if (!el || !issue.line) return;
+    const lines = el.value.split("\n");
+    const start = lines
+      .slice(0, issue.line - 1)
+      .reduce((sum, l) => sum + l.length + 1, 0);
+    const end = start + (lines[issue.line - 1] || "").length;
+    el.focus();
+    el.setSelectionRange(start, end);
+    const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || 16;
+    el.scrollTop = Math.max(0, (issue.line - 3) * lineHeight);
+  };
+
+  const dismissValidation = () => {
+    setValidationIssues([]);
+    setError("");
+  };
+
+  const invalidSources = new Set(validationIssues.map((i) => i.source));
+
+  // ---------- file import ----------
+
+  const editorState = {
+    papers: [papersJson, setPapersJson],
+    events: [eventsJson, setEventsJson],
+    policies: [policiesJson, setPoliciesJson]
+  };
+
+  const queueFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    const drafts = await Promise.all(
+      files.map(async (file) => prepareImport(file.name, await file.text()))
+    );
+    setImportQueue((prev) => [...prev, ...drafts]);
+  };
+
+  const updateImportDraft = (draft) => {
+    setImportQueue((prev) => [draft, ...prev.slice(1)]);
+  };
+
+  const confirmImport = (records, { replace }) => {
+    const [current, setCurrent] = editorState[importQueue[0].target];
+    let existing = [];
+    if (!replace) {
       try {
-        policies = JSON.parse(policiesJson);
+        const parsed = JSON.parse(current);
+        if (Array.isArray(parsed)) existing = parsed;
       } catch {
-        throw new Error("Policies JSON is invalid.");
+        // unparsable editor content is replaced rather than merged
       }
+    }
+    setCurrent(JSON.stringify([...existing, ...records], null, 2));
+    setImportQueue((prev) => prev.slice(1));
+  };
 
-      // papers
-      for (const p of papers) {
-        const text = `${p.title} - ${p.summary}`;
-        const emb = await getEmbedding(text);
-        addNode(
-          `paper:${p.id}`,
-          {
-            type: "Paper",
-            title: p.title,
-            summary: p.summary,
-            published: p.published
-          },
-          emb
-        );
-      }
+  const skipImport = () => {
+    setImportQueue((prev) => prev.slice(1));
+  };
 
-      // events
-      for (const e of events) {
-        const text = `${e.name}. ${e.description}. Region: ${
-          e.region || "unknown"
-        }. Asset: ${e.asset_type || "unknown"}.`;
-        const emb = await getEmbedding(text);
-        const nodeId = `event:${e.external_id}`;
-        addNode(
-          nodeId,
-          {
-            type: "Event",
-            title: e.name,
-            summary: e.description,
-            start_time: e.start_time,
-            end_time: e.end_time,
-            region: e.region,
-            asset_type: e.asset_type,
-            severity: e.severity ?? 0.5
-          },
-          emb
-        );
-        if (e.region) {
-          const locId = `location:${e.region}`;
-          addNode(locId, { type: "Location", name: e.region });
-          addEdge(nodeId, locId, "OCCURS_IN");
-        }
-      }
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    queueFiles(e.dataTransfer.files);
+  };
 
-      // policies
-      for (const p of policies) {
-        const text = `${p.name}. ${p.description}. Jurisdiction: ${
-          p.jurisdiction || "unknown"
-        }.`;
-        const emb = await getEmbedding(text);
-        const nodeId = `policy:${p.external_id}`;
-        addNode(
-          nodeId,
-          {
-            type: "Policy",
-            title: p.name,
-            summary: p.description,
-            jurisdiction: p.jurisdiction,
-            start_date: p.start_date,
-            end_date: p.end_date,
-            category: p.category
-          },
-          emb
-        );
-        if (p.jurisdiction) {
-          const locId = `location:${p.jurisdiction}`;
-          addNode(locId, { type: "Location", name: p.jurisdiction });
-          addEdge(nodeId, locId, "APPLIES_TO");
-        }
-      }
+  // ---------- snapshots ----------
 
-      // simple keyword-based link
-      for (const p of papers) {
-        const pid = `paper:${p.id}`;
-        for (const e of events) {
-          const eid = `event:${e.external_id}`;
-          const lowerTitle = (p.title || "").toLowerCase();
-          const lowerDesc = (e.description || "").toLowerCase();
-          if (lowerTitle.includes("blackout") && lowerDesc.includes("outage")) {
-            addEdge(pid, eid, "MENTIONS_EVENT");
-          }
-        }
-      }
+  const refreshSnapshots = async () => {
+    try {
+      setSnapshots(await listSnapshots());
+    } catch (err) {
+      console.warn("Could not list snapshots", err);
+    }
+  };
+
+  useEffect(() => {
+    refreshSnapshots();
+  }, []);
+
+  const currentSnapshot = (name) => engine.serialize({ name, ingestedAt: lastIngestAt });
+
+  const applySnapshot = (snap) => {
+    resetGraphView();
+    engine.setGraph(snap, { embeddings: snap.embeddings, embedTexts: snap.embedTexts });
+    setLastIngestAt(snap.meta.ingestedAt || null);
+    setIngestDiff(null);
+    const model = snap.meta.embeddingModel;
+    setSnapshotStatus(
+      model && model !== provider.embeddingModel
+        ? `Restored "${snap.name}". Its embeddings come from ${model}; switch to that provider before running RAG.`
+        : `Restored "${snap.name}".`
+    );
+  };
+
+  const saveCurrentSnapshot = async () => {
+    const name = snapshotName.trim();
+    if (!name) {
+      setSnapshotStatus("Give the snapshot a name first.");
+      return;
+    }
+    try {
+      await saveSnapshot(currentSnapshot(name));
+      setSnapshotStatus(`Saved "${name}".`);
+      await refreshSnapshots();
     } catch (err) {
       console.error(err);
-      setError(err.message || "Ingestion failed.");
-    } finally {
-      setLoadingIngest(false);
+      setError("Saving the snapshot failed: " + err.message);
     }
   };
 
+  const restoreSnapshot = async (name) => {
+    try {
+      const snap = await loadSnapshot(name);
+      if (!snap) throw new Error(`Snapshot "${name}" no longer exists.`);
+      applySnapshot(parseSnapshot(JSON.stringify(snap)));
+      setSnapshotName(name);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Restoring the snapshot failed.");
+    }
+  };
+
+  const removeSnapshot = async (name) => {
+    if (!window.confirm(`Delete snapshot "${name}"?`)) return;
+    try {
+      await deleteSnapshot(name);
+      setSnapshotStatus(`Deleted "${name}".`);
+      await refreshSnapshots();
+    } catch (err) {
+      console.error(err);
+      setError("Deleting the snapshot failed: " + err.message);
+    }
+  };
+
+  const exportSnapshotFile = () => {
+    const name = snapshotName.trim() || "energy-graph";
+    downloadText(
+      `${slugify(name)}.snapshot.json`,
+      serializeSnapshot(currentSnapshot(name))
+    );
+  };
+
+  const importSnapshotFile = async (file) => {
+    if (!file) return;
+    try {
+      const snap = parseSnapshot(await file.text());
+      applySnapshot(snap);
+      setSnapshotName(snap.name);
+    } catch (err) {
+      setError(err.message || "Importing the snapshot failed.");
+    }
+  };
+
+  // ---------- export ----------
+
+  // Exports carry the band label next to the score, so they match the canvas.
+  const withRiskBands = (values) => {
+    const out = {};
+    Object.entries(values).forEach(([id, m]) => {
+      out[id] = { ...m, risk_band: riskBand(m.risk_score ?? 0, riskProfile.bands).label };
+    });
+    return out;
+  };
+
+  const exportGraph = (formatId) => {
+    const format = EXPORT_FORMATS.find((f) => f.id === formatId);
+    if (!format) return;
+    const base = slugify(snapshotName.trim() || "energy-graph");
+    downloadText(
+      `${base}.${format.ext}`,
+      format.serialize({ nodesMap, edges, metrics: withRiskBands(metrics) }),
+      format.mime
+    );
+  };
+
   // ---------- metrics & timeline ----------
 
-  const metrics = useMemo(() => {
-    const ids = Object.keys(nodesMap);
-    const deg = {};
-    ids.forEach((id) => {
-      deg[id] = 0;
+  // Largest value of each continuous metric, for scaling size and colour.
+  const metricMax = useMemo(() => {
+    const max = {};
+    Object.values(metrics).forEach((m) => {
+      Object.entries(m).forEach(([k, v]) => {
+        max[k] = Math.max(max[k] ?? 0, v);
+      });
+    });
+    return max;
+  }, [metrics]);
+
+  const metricFraction = (metric, key) => {
+    const v = metric[key] ?? 0;
+    return metricMax[key] ? v / metricMax[key] : 0;
+  };
+
+  const metricColor = (metric, key) => {
+    if (key === "community") {
+      return COMMUNITY_COLORS[(metric.community ?? 0) % COMMUNITY_COLORS.length];
+    }
+    if (key === "risk_score") {
+      return riskBand(metric.risk_score ?? 0.3, riskProfile.bands).color;
+    }
+    // cool-to-warm ramp relative to the largest value in the graph
+    const t = metricFraction(metric, key);
+    return `hsl(${Math.round(200 - 200 * t)}, 80%, 58%)`;
+  };
+
+  // ---------- risk profiles ----------
+
+  const refreshRiskProfiles = async () => {
+    try {
+      setRiskProfiles(await listRiskProfiles());
+    } catch (err) {
+      console.warn("Could not list risk profiles", err);
+    }
+  };
+
+  useEffect(() => {
+    refreshRiskProfiles();
+  }, []);
+
+  const updateRiskModel = (key, value) => {
+    setRiskDraft((prev) => ({ ...prev, model: { ...prev.model, [key]: value } }));
+  };
+
+  // one entry of a map-valued parameter (weights, assetTypes, baselines)
+  const updateRiskEntry = (map, key, value) => {
+    setRiskDraft((prev) => ({
+      ...prev,
+      model: { ...prev.model, [map]: { ...prev.model[map], [key]: value } }
+    }));
+  };
+
+  const updateRiskBand = (index, key, value) => {
+    setRiskDraft((prev) => ({
+      ...prev,
+      bands: prev.bands.map((b, i) => (i === index ? { ...b, [key]: value } : b))
+    }));
+  };
+
+  const addRiskBand = () => {
+    setRiskDraft((prev) => ({
+      ...prev,
+      bands: [...prev.bands, { label: "New band", min: 0.5, color: "#facc15" }]
+    }));
+  };
+
+  const removeRiskBand = (index) => {
+    setRiskDraft((prev) => ({
+      ...prev,
+      bands: prev.bands.filter((_, i) => i !== index)
+    }));
+  };
+
+  // Checks the draft and rescores the graph with it.
+  const applyRiskDraft = () => {
+    try {
+      const next = normalizeRiskProfile(riskDraft);
+      setRiskProfile(next);
+      setRiskDraft(next);
+      setRiskStatus(`Applied "${next.name}".`);
+    } catch (err) {
+      setRiskStatus(err.message);
+    }
+  };
+
+  const saveRiskDraft = async () => {
+    try {
+      const next = await saveRiskProfile(riskDraft);
+      setRiskProfile(next);
+      setRiskDraft(next);
+      setRiskStatus(`Saved and applied "${next.name}".`);
+      await refreshRiskProfiles();
+    } catch (err) {
+      console.error(err);
+      setRiskStatus(err.message || "Saving the risk profile failed.");
+    }
+  };
+
+  const selectRiskProfile = (name) => {
+    const profile =
+      name === DEFAULT_PROFILE_NAME
+        ? DEFAULT_RISK_PROFILE
+        : riskProfiles.find((p) => p.name === name);
+    if (!profile) return;
+    setRiskProfile(profile);
+    setRiskDraft(profile);
+    setRiskStatus(`Applied "${name}".`);
+  };
+
+  const removeRiskProfile = async () => {
+    const { name } = riskProfile;
+    if (!window.confirm(`Delete risk profile "${name}"?`)) return;
+    try {
+      await deleteRiskProfile(name);
+      setRiskProfile(DEFAULT_RISK_PROFILE);
+      setRiskDraft(DEFAULT_RISK_PROFILE);
+      setRiskStatus(`Deleted "${name}"; back to the default profile.`);
+      await refreshRiskProfiles();
+    } catch (err) {
+      console.error(err);
+      setError("Deleting the risk profile failed: " + err.message);
+    }
+  };
+
+  // Asset types worth a multiplier: the profile's plus those in the graph.
+  const assetTypeOptions = useMemo(() => {
+    const types = new Set(Object.keys(riskDraft.model.assetTypes));
+    Object.values(nodesMap).forEach((n) => {
+      if (n.type === "Event" && n.asset_type) types.add(n.asset_type);
     });
-    edges.forEach((e) => {
-      if (deg[e.source] != null) deg[e.source] += 1;
-      if (deg[e.target] != null) deg[e.target] += 1;
+    return [...types].sort();
+  }, [nodesMap, riskDraft]);
+
+  // How the selected node's score was reached under the applied profile.
+  // Betweenness comes from the metrics, so this is one cheap pass.
+  const riskLines = useMemo(() => {
+    const node = activeGraph.nodesMap[selectedNodeId];
+    if (!node || !metrics[selectedNodeId]) return [];
+    const between = {};
+    Object.entries(metrics).forEach(([id, m]) => {
+      between[id] = m.betweenness ?? 0;
     });
-    const N = Math.max(ids.length - 1, 1);
+    const entry = propagateRisk(
+      activeGraph.nodesMap,
+      activeGraph.edges,
+      between,
+      riskProfile.model,
+      replayTime
+    )[selectedNodeId];
+    return explainRisk(entry, node, riskProfile.model, titleOf);
+  }, [selectedNodeId, activeGraph, metrics, riskProfile, replayTime]);
+
+  const timeline = useMemo(() => buildTimeline(nodesMap), [nodesMap]);
+
+  const timelineRange = useMemo(() => {
+    if (!timeline.length) return null;
+    return {
+      start: timeline[0].timestamp,
+      end: timeline[timeline.length - 1].timestamp
+    };
+  }, [timeline]);
+
+  const replayStep = timelineRange
+    ? Math.max((timelineRange.end - timelineRange.start) / REPLAY_FRAMES, 1)
+    : 1;
+
+  // Playback waits for each frame's metrics before moving on, so risk is
+  // always shown for the date on screen.
+  useEffect(() => {
+    if (!replayPlaying || loadingMetrics || !timelineRange) return undefined;
+    const timer = setTimeout(() => {
+      const next = (replayTime ?? timelineRange.start) + replayStep;
+      if (next >= timelineRange.end) {
+        setReplayTime(timelineRange.end);
+        setReplayPlaying(false);
+      } else {
+        setReplayTime(next);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [replayPlaying, loadingMetrics, replayTime, timelineRange, replayStep]);
+
+  const toggleReplay = () => {
+    if (replayPlaying) {
+      setReplayPlaying(false);
+      return;
+    }
+    if (!timelineRange) return;
+    if (replayTime == null || replayTime >= timelineRange.end) {
+      setReplayTime(timelineRange.start);
+    }
+    setReplayPlaying(true);
+  };
+
+  const stopReplay = () => {
+    setReplayPlaying(false);
+    setReplayTime(null);
+  };
+
+  const chain = useMemo(
+    () => (selectedNodeId ? causalChain(selectedNodeId, edges) : null),
+    [selectedNodeId, edges]
+  );
+
+  // ---------- cascade simulation ----------
+
+  const stopSimAnimation = () => {
+    if (simTimerRef.current) clearInterval(simTimerRef.current);
+    simTimerRef.current = null;
+  };
+
+  useEffect(() => stopSimAnimation, []);
+
+  const playSimulation = (steps) => {
+    stopSimAnimation();
+    if (!steps?.length) return;
+    setSimFrame(0);
+    simTimerRef.current = setInterval(() => {
+      setSimFrame((frame) => {
+        if (frame >= steps.length - 1) {
+          stopSimAnimation();
+          return frame;
+        }
+        return frame + 1;
+      });
+    }, 700);
+  };
+
+  const runSimulation = () => {
+    if (!simSeedId || !nodesMap[simSeedId]) {
+      setError("Pick a seed event or location for the simulation.");
+      return;
+    }
+    setError("");
+    const graph = { nodesMap, edges };
+    const baseline = simulate(graph, metrics, [simSeedId], simSettings);
+    const hardened = simPolicyId
+      ? simulate(graph, metrics, [simSeedId], simSettings, simPolicyId)
+      : null;
+    setSimResult({ seedId: simSeedId, baseline, hardened });
+    playSimulation(baseline.steps);
+  };
+
+  const clearSimulation = () => {
+    stopSimAnimation();
+    setSimResult(null);
+    setSimFrame(null);
+  };
+
+  const updateSimSetting = (key, value) => {
+    setSimSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Step at which each node failed in the animated run, up to the current
+  // frame.
+  const simActive = useMemo(() => {
     const map = {};
-    ids.forEach((id) => {
-      const node = nodesMap[id];
-      const degreeC = deg[id] / N;
-      const baseRisk = node.type === "Event" ? node.severity ?? 0.5 : 0.3;
-      const risk = 0.5 * baseRisk + 0.5 * degreeC;
-      map[id] = { degree_centrality: degreeC, risk_score: risk };
+    if (!simResult || simFrame == null) return map;
+    simResult.baseline.steps.slice(0, simFrame + 1).forEach((ids, step) => {
+      ids.forEach((id) => {
+        map[id] = step;
+      });
     });
     return map;
-  }, [nodesMap, edges]);
+  }, [simResult, simFrame]);
 
-  const timeline = useMemo(() => {
-    const items = [];
-    Object.values(nodesMap).forEach((n) => {
-      const t =
-        n.start_time || n.published || n.start_date || n.end_time || n.end_date;
-      if (!t) return;
-      const d = new Date(t);
-      if (isNaN(d.getTime())) return;
-      items.push({
-        id: n.id,
-        type: n.type,
-        title: n.title || n.name || n.id,
-        time: t,
-        summary: n.summary,
-        region: n.region || n.jurisdiction,
-        timestamp: d.getTime()
-      });
-    });
-    items.sort((a, b) => a.timestamp - b.timestamp);
-    return items;
-  }, [nodesMap]);
+  const simSeedOptions = useMemo(
+    () =>
+      Object.values(nodesMap)
+        .filter((n) => n.type === "Event" || n.type === "Location")
+        .sort((a, b) =>
+          (a.title || a.name || a.id).localeCompare(b.title || b.name || b.id)
+        ),
+    [nodesMap]
+  );
+
+  const policyOptions = useMemo(
+    () => Object.values(nodesMap).filter((n) => n.type === "Policy"),
+    [nodesMap]
+  );
 
   // ---------- graph data ----------
 
+  const view = useMemo(
+    () =>
+      applyViewFilters(
+        { nodesMap: activeGraph.nodesMap, edges: activeGraph.edges, metrics },
+        viewFilters,
+        { focusId: selectedNodeId }
+      ),
+    [activeGraph, metrics, viewFilters, selectedNodeId]
+  );
+
   const graphData = useMemo(() => {
-    const nodes = Object.values(nodesMap).map((n) => {
-      const metric = metrics[n.id] || {};
+    const cache = nodeObjectsRef.current;
+    const nextCache = {};
+    const nodes = [...view.nodeIds].map((id) => {
+      const n = nodesMap[id];
+      const metric = metrics[id] || {};
       const risk = metric.risk_score ?? (n.severity ?? 0.3);
-      return {
-        id: n.id,
+      const obj = Object.assign(cache[id] || {}, {
+        id,
         type: n.type,
         title: n.title || n.name || n.id,
         region: n.region || n.jurisdiction || "",
         severity: n.severity,
         risk,
         raw: n
+      });
+      nextCache[id] = obj;
+      return obj;
+    });
+    nodeObjectsRef.current = nextCache;
+    const links = inferredOnly ? view.edges.filter((e) => e.inferred) : view.edges;
+    // A new graphData re-heats the simulation, so when only metrics changed
+    // (same nodes and edges) the previous one is handed back.
+    const prev = graphDataRef.current;
+    if (prev && sameItems(prev.data.nodes, nodes) && sameItems(prev.edges, links)) {
+      return prev.data;
+    }
+    // force-graph swaps link ends for node objects in place, so hand it
+    // copies and keep `edges` keyed by id
+    const data = { nodes, links: links.map((e) => ({ ...e, key: edgeKey(e) })) };
+    graphDataRef.current = { data, edges: links };
+    return data;
+  }, [view, nodesMap, metrics, inferredOnly]);
+
+  const largeGraph = graphData.nodes.length >= LARGE_GRAPH_NODES;
+  const workerLayout = largeGraph && typeof Worker !== "undefined";
+
+  // Size and colour of every node, worked out once per metrics update rather
+  // than on every frame.
+  const nodeStyles = useMemo(() => {
+    const { bands } = riskProfile;
+    const hotRisk = bands.length > 1 ? bands[0].min : Infinity;
+    const styles = {};
+    graphData.nodes.forEach((node) => {
+      const metric = metrics[node.id] || {};
+      styles[node.id] = {
+        radius: 4 + metricFraction(metric, sizeMetric) * 16,
+        color: metricColor(metric, colorMetric),
+        hot: node.risk >= hotRisk
       };
     });
-    return { nodes, links: edges };
-  }, [nodesMap, edges, metrics]);
+    return styles;
+  }, [graphData, metrics, metricMax, sizeMetric, colorMetric, riskProfile]);
+
+  // ---------- layout ----------
+
+  // Large graphs are laid out in a worker; the canvas' own simulation is
+  // stopped (cooldownTicks 0) and only draws the positions that come back.
+  useEffect(() => {
+    if (typeof Worker === "undefined") return undefined;
+    const worker = new Worker(
+      new URL("./layout.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    worker.onmessage = (event) => {
+      const { id, positions, error: err } = event.data;
+      if (id !== layoutRequestRef.current) return;
+      if (err) {
+        setLayoutStatus("");
+        setError(`Layout failed: ${err}`);
+        return;
+      }
+      Object.entries(positions).forEach(([nodeId, p]) => {
+        const obj = nodeObjectsRef.current[nodeId];
+        if (obj) Object.assign(obj, { x: p.x, y: p.y, vx: 0, vy: 0, laidOut: true });
+      });
+      // re-rendering hands the canvas new callbacks, which redraws it
+      setLayoutStatus("");
+    };
+    layoutWorkerRef.current = worker;
+    return () => {
+      worker.terminate();
+      layoutWorkerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const worker = layoutWorkerRef.current;
+    if (!workerLayout || !worker) return;
+    const id = ++layoutRequestRef.current;
+    // nodes placed by an earlier run (and maybe dragged since) stay put
+    const positions = {};
+    graphData.nodes.forEach((node) => {
+      if (node.laidOut) positions[node.id] = { x: node.x, y: node.y };
+    });
+    setLayoutStatus(`laying out ${graphData.nodes.length} nodes…`);
+    worker.postMessage({
+      id,
+      ids: graphData.nodes.map((n) => n.id),
+      edges: graphData.links.map((l) => ({
+        source: endId(l.source),
+        target: endId(l.target)
+      })),
+      positions
+    });
+  }, [graphData, workerLayout]);
+
+  const hoverNeighbours = useMemo(() => {
+    if (!hoverNodeId) return null;
+    const set = new Set([hoverNodeId]);
+    view.edges.forEach((e) => {
+      if (e.source === hoverNodeId) set.add(e.target);
+      if (e.target === hoverNodeId) set.add(e.source);
+    });
+    return set;
+  }, [hoverNodeId, view]);
+
+  const relationOptions = useMemo(
+    () => [...new Set(edges.map((e) => e.relation))].sort(),
+    [edges]
+  );
+
+  const updateViewFilter = (key, value) => {
+    setViewFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const toggleViewFilter = (key, value) => {
+    setViewFilters((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter((v) => v !== value)
+        : [...prev[key], value]
+    }));
+  };
+
+  const runSearch = () => {
+    const matches = searchNodes(nodesMap, searchText);
+    if (!matches.size) {
+      setSearchStatus(searchText.trim() ? "No matches." : "");
+      setHighlight(null);
+      return;
+    }
+    const hidden = [...matches].filter((id) => !view.nodeIds.has(id)).length;
+    setSearchStatus(
+      `${matches.size} match(es)${hidden ? `, ${hidden} hidden by filters` : ""}.`
+    );
+    setHighlight({ nodes: matches, edges: new Set(), color: HIGHLIGHT_COLORS.search });
+    fgRef.current?.zoomToFit(600, 60, (node) => matches.has(node.id));
+  };
+
+  const inferredCount = edges.filter((e) => e.inferred).length;
 
   // ---------- node inspector ----------
 
+  const selectNode = (nodeId) => {
+    if (!nodesMap[nodeId]) return;
+    setSelectedNodeId(nodeId);
+    setSelectedNodeSummary("");
+    fetchNodeSummary(nodeId);
+  };
+
+  // Selects a node and pans the canvas to it (when it is on screen).
+  const focusNode = (nodeId) => {
+    selectNode(nodeId);
+    const obj = nodeObjectsRef.current[nodeId];
+    if (obj && obj.x != null && fgRef.current) {
+      fgRef.current.centerAt(obj.x, obj.y, 600);
+      fgRef.current.zoom(3, 600);
+    }
+  };
+
   const handleNodeClick = (node) => {
     if (!node) return;
-    setSelectedNodeId(node.id);
-    setSelectedNodeSummary("");
-    fetchNodeSummary(node.id);
+    selectNode(node.id);
   };
 
   const fetchNodeSummary = async (nodeId) => {
@@ -410,7 +1291,7 @@ function App() {
 
     try {
       setLoadingSummary(true);
-      const text = await gptPlainText(prompt);
+      const text = await provider.complete(prompt);
       setSelectedNodeSummary(text);
     } catch (err) {
       console.error(err);
@@ -422,69 +1303,213 @@ function App() {
 
   // ---------- RAG QA ----------
 
-  const searchGraph = async (query, topK = 8) => {
-    const ids = Object.keys(embeddingsRef.current);
-    if (!ids.length) return [];
-    const qEmb = await getEmbedding(query);
-    const scored = ids.map((id) => ({
-      id,
-      score: cosineSim(qEmb, embeddingsRef.current[id])
+  const regionOptions = useMemo(() => {
+    const set = new Set();
+    Object.values(nodesMap).forEach((n) => {
+      if (n.region) set.add(n.region);
+      if (n.jurisdiction) set.add(n.jurisdiction);
+    });
+    return [...set].sort();
+  }, [nodesMap]);
+
+  const updateRetrievalSetting = (key, value) => {
+    setRetrievalSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const toggleRetrievalType = (type) => {
+    setRetrievalSettings((prev) => ({
+      ...prev,
+      types: prev.types.includes(type)
+        ? prev.types.filter((t) => t !== type)
+        : [...prev.types, type]
     }));
-    scored.sort((a, b) => b.score - a.score);
-    const results = [];
-    for (const s of scored.slice(0, topK)) {
-      const n = nodesMap[s.id];
-      if (!n) continue;
-      results.push({ ...n, similarity: s.score });
+  };
+
+  const showTurnSubgraph = (turn) => {
+    if (!turn.subgraph) return;
+    setHighlight({
+      nodes: new Set(turn.subgraph.nodes),
+      edges: new Set(turn.subgraph.edges),
+      color: HIGHLIGHT_COLORS.rag
+    });
+  };
+
+  const refreshSessions = async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      console.warn("Could not list chat sessions", err);
     }
-    return results;
   };
 
+  useEffect(() => {
+    refreshSessions();
+  }, []);
+
   const submitRagQuery = async () => {
-    if (!OPENAI_API_KEY) {
-      setError(
-        "VITE_OPENAI_API_KEY is missing. Add it in a .env file at project root."
-      );
+    if (!checkProvider()) return;
+    const question = ragQuery.trim();
+    if (!question) return;
+    const controller = new AbortController();
+    ragAbortRef.current = controller;
+    const { signal } = controller;
+    const prior = chatSession.turns;
+    let turn = {
+      question,
+      query: question,
+      answer: "",
+      contexts: [],
+      subgraph: null,
+      at: new Date().toISOString()
+    };
+    let partial = "";
+    try {
+      setLoadingRag(true);
+      setRagQuery("");
+      setHighlight(null);
+      setStreamingTurn(turn);
+      const query = await rewriteQuery(provider, prior, question, { signal });
+      const { answer } = await engine.ask(question, {
+        query,
+        settings: retrievalSettings,
+        metrics,
+        signal,
+        history: historyFor(prior),
+        onResults: ({ results, subgraph }) => {
+          turn = {
+            ...turn,
+            query,
+            contexts: results.map(snapshotContext),
+            subgraph: { nodes: [...subgraph.nodes], edges: [...subgraph.edges] }
+          };
+          setStreamingTurn(turn);
+          showTurnSubgraph(turn);
+        },
+        onDelta: (_, text) => {
+          partial = text;
+          setStreamingTurn((t) => (t ? { ...t, answer: text } : t));
+        }
+      });
+      turn = { ...turn, answer };
+    } catch (err) {
+      if (err?.name === "AbortError") {
+        turn = { ...turn, answer: partial.trim(), stopped: true };
+      } else {
+        console.error(err);
+        turn = { ...turn, answer: "Failed to run RAG over the graph.", failed: true };
+      }
+    } finally {
+      ragAbortRef.current = null;
+      const next = {
+        ...chatSession,
+        title: chatSession.title || question.slice(0, 60),
+        updatedAt: new Date().toISOString(),
+        turns: [...prior, turn]
+      };
+      setChatSession(next);
+      setStreamingTurn(null);
+      setLoadingRag(false);
+      try {
+        await saveSession(next);
+        await refreshSessions();
+      } catch (err) {
+        console.warn("Could not save chat session", err);
+      }
+    }
+  };
+
+  const stopRagQuery = () => {
+    ragAbortRef.current?.abort();
+  };
+
+  const startNewChat = () => {
+    setChatSession(newSession());
+    setHighlight(null);
+  };
+
+  const openSession = async (id) => {
+    try {
+      const session = await loadSession(id);
+      if (!session) throw new Error("That chat session no longer exists.");
+      setChatSession(session);
+      setHighlight(null);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Opening the chat session failed.");
+    }
+  };
+
+  const removeSession = async (id) => {
+    if (!window.confirm("Delete this chat session?")) return;
+    try {
+      await deleteSession(id);
+      if (chatSession.id === id) startNewChat();
+      await refreshSessions();
+    } catch (err) {
+      console.error(err);
+      setError("Deleting the chat session failed: " + err.message);
+    }
+  };
+
+  // ---------- structured query ----------
+
+  const executeQuery = (text = queryText) => {
+    try {
+      const result = engine.query(text);
+      setQueryResult(result);
+      setQueryError("");
+      setHighlight({
+        nodes: result.nodeIds,
+        edges: result.edgeKeys,
+        color: HIGHLIGHT_COLORS.query
+      });
+    } catch (err) {
+      setQueryResult(null);
+      setQueryError(err.message);
+    }
+  };
+
+  const translateQuestion = async () => {
+    if (!checkProvider()) return;
+    if (!queryQuestion.trim()) return;
+    if (provider.id === "offline") {
+      setQueryError("Translating questions needs a model; pick another provider.");
       return;
     }
-    if (!ragQuery.trim()) return;
     try {
-      setLoadingRag(true);
-      setRagAnswer("");
-      setRagContexts([]);
-      const contexts = await searchGraph(ragQuery, 8);
-      const ctxStr = contexts
-        .map(
-          (c) =>
-            `[${c.id}] type=${c.type}, title=${c.title}, time=${
-              c.start_time || c.published || c.start_date || ""
-            }, region=${c.region || c.jurisdiction || ""}, summary=${
-              c.summary
-            }`
-        )
-        .join("\n");
-      const prompt =
-        "User question:\n" +
-        ragQuery +
-        "\n\nRelevant graph context (nodes and events):\n" +
-        ctxStr +
-        "\n\nUsing only this context and your own energy-domain knowledge, do the following: " +
-        "1. Give a concise answer (3–6 sentences). " +
-        "2. Describe which nodes are high-risk and why, focusing on outages, cascading risks, and policy gaps. " +
-        "3. Describe the rough timeline of key events in simple language. " +
-        "Keep the answer in plain text paragraphs, no bullet points, no markdown.";
-
-      const text = await gptPlainText(prompt);
-      setRagAnswer(text);
-      setRagContexts(contexts);
+      setLoadingTranslate(true);
+      setQueryError("");
+      const text = await translateToQuery(provider, queryQuestion, {
+        nodesMap,
+        edges
+      });
+      setQueryText(text);
+      executeQuery(text);
     } catch (err) {
       console.error(err);
-      setRagAnswer("Failed to run RAG over the graph.");
+      setQueryError("Translation failed: " + err.message);
     } finally {
-      setLoadingRag(false);
+      setLoadingTranslate(false);
     }
   };
 
+  // Table cell for a returned value; nodes become links that select them.
+  const renderQueryValue = (v) => {
+    if (v == null) return <span className="small-muted">null</span>;
+    if (typeof v === "object" && v.id && nodesMap[v.id]) {
+      return (
+        <button className="cite-chip" onClick={() => selectNode(v.id)}>
+          {(v.title || v.name || v.id).slice(0, 40)}
+        </button>
+      );
+    }
+    if (typeof v === "object" && v.relation) return v.relation;
+    if (typeof v === "object" && "date" in v) return formatDate(v.date);
+    if (typeof v === "number") return Number(v.toFixed(3));
+    if (typeof v === "object") return JSON.stringify(v);
+    return String(v);
+  };
+
   // ---------- misc ----------
 
   const formatDate = (str) => {
@@ -494,10 +1519,13 @@ function App() {
     return d.toISOString().slice(0, 10);
   };
 
-  const getRiskChipClass = (value) => {
-    if (value >= 0.7) return "chip red";
-    if (value >= 0.4) return "chip orange";
-    return "chip green";
+  const riskChip = (value) => {
+    const band = riskBand(value, riskProfile.bands);
+    return (
+      <div className="chip" style={{ borderColor: band.color, color: band.color }}>
+        Risk: {value.toFixed(2)} · {band.label}
+      </div>
+    );
   };
 
   const nodeCount = Object.keys(nodesMap).length;
@@ -511,8 +1539,8 @@ function App() {
           <div className="app-kicker">ENERGYVERSE · GRAPH RAG STUDIO</div>
           <div className="app-header-title">Knowledge Graph of Energy Events</div>
           <div className="app-header-sub">
-            Client-side knowledge graph, embeddings and RAG — powered directly
-            from this React component.
+            In-browser knowledge graph engine with embeddings and RAG; model
+            calls go through the studio server.
           </div>
         </div>
 
@@ -527,9 +1555,18 @@ function App() {
           <span className="badge">
             Nodes: {nodeCount} · Edges: {edges.length}
           </span>
-          <button onClick={ingestAll} disabled={loadingIngest}>
-            {loadingIngest ? "Ingesting..." : "Ingest / Rebuild Graph"}
+          <button onClick={() => ingestAll()} disabled={loadingIngest}>
+            {loadingIngest
+              ? "Ingesting..."
+              : ingestMode === "merge"
+              ? "Ingest / Merge into Graph"
+              : "Ingest / Rebuild Graph"}
           </button>
+          {loadingIngest && (
+            <button className="btn-secondary" onClick={ingestion.cancel}>
+              Cancel
+            </button>
+          )}
         </div>
       </header>
 
@@ -547,13 +1584,267 @@ function App() {
               <div>
                 <div className="card-title">Interactive Knowledge Graph</div>
                 <div className="card-subtitle">
-                  Node color = risk score · size = degree centrality
+                  Node color ={" "}
+                  {METRIC_OPTIONS.find((o) => o.id === colorMetric)?.label} ·
+                  size ={" "}
+                  {METRIC_OPTIONS.find((o) => o.id === sizeMetric)?.label}
+                  {loadingMetrics && " · computing metrics…"}
+                  {layoutStatus && ` · ${layoutStatus}`}
                 </div>
               </div>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={inferredOnly}
+                  onChange={(e) => setInferredOnly(e.target.checked)}
+                />
+                Inferred edges only ({inferredCount})
+              </label>
+              <select
+                className="export-select"
+                value=""
+                disabled={!nodeCount}
+                onChange={(e) => exportGraph(e.target.value)}
+              >
+                <option value="">Export graph as…</option>
+                {EXPORT_FORMATS.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
             </div>
             <div className="card-body">
+              <div className="field-row">
+                <input
+                  type="text"
+                  style={{ flex: 2 }}
+                  placeholder="Search titles, names and summaries"
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && runSearch()}
+                />
+                <button className="btn-secondary" onClick={runSearch}>
+                  Find
+                </button>
+                <label className="checkbox-label">
+                  Focus
+                  <input
+                    type="number"
+                    min="0"
+                    max="5"
+                    style={{ width: "3.5rem" }}
+                    value={viewFilters.focusHops}
+                    onChange={(e) =>
+                      updateViewFilter("focusHops", Math.max(0, Number(e.target.value)))
+                    }
+                  />
+                  hops around selection
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={viewFilters.collapseLocations}
+                    onChange={(e) =>
+                      updateViewFilter("collapseLocations", e.target.checked)
+                    }
+                  />
+                  Collapse location hubs
+                </label>
+              </div>
+              {searchStatus && (
+                <div className="small-muted" style={{ marginBottom: "0.4rem" }}>
+                  {searchStatus}
+                </div>
+              )}
+              <div className="field-row">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={linkMode}
+                    onChange={(e) => setLinkMode(e.target.checked)}
+                  />
+                  Drag a node onto another to link them
+                </label>
+                <button
+                  className="btn-secondary"
+                  onClick={undo}
+                  disabled={!history.past.length}
+                  title={history.past.length ? history.past[history.past.length - 1].label : ""}
+                >
+                  Undo
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={redo}
+                  disabled={!history.future.length}
+                  title={history.future.length ? history.future[0].label : ""}
+                >
+                  Redo
+                </button>
+                {editStatus && <span className="small-muted">{editStatus}</span>}
+              </div>
+              {pendingEdge && (
+                <div className="edge-picker">
+                  <strong>{titleOf(pendingEdge.source).slice(0, 30)}</strong>
+                  <input
+                    type="text"
+                    list="edge-relations"
+                    style={{ width: "10rem" }}
+                    value={pendingEdge.relation}
+                    onChange={(e) =>
+                      setPendingEdge((prev) => ({ ...prev, relation: e.target.value }))
+                    }
+                    onKeyDown={(e) => e.key === "Enter" && createPendingEdge()}
+                  />
+                  <datalist id="edge-relations">
+                    {editRelationOptions.map((r) => (
+                      <option key={r} value={r} />
+                    ))}
+                  </datalist>
+                  <strong>{titleOf(pendingEdge.target).slice(0, 30)}</strong>
+                  <button className="btn-secondary" onClick={createPendingEdge}>
+                    Create edge
+                  </button>
+                  <button
+                    className="btn-secondary"
+                    onClick={() =>
+                      setPendingEdge((prev) => ({
+                        ...prev,
+                        source: prev.target,
+                        target: prev.source
+                      }))
+                    }
+                  >
+                    Swap
+                  </button>
+                  <button className="btn-secondary" onClick={() => setPendingEdge(null)}>
+                    Cancel
+                  </button>
+                </div>
+              )}
+              <details className="ingest-diff">
+                <summary>
+                  Filters
+                  {activeFilterCount(viewFilters)
+                    ? ` (${activeFilterCount(viewFilters)} active)`
+                    : ""}{" "}
+                  · showing {view.nodeIds.size} of {nodeCount} nodes
+                </summary>
+                <div className="field-row" style={{ marginTop: "0.4rem" }}>
+                  {NODE_TYPES.map((t) => (
+                    <label key={t} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={viewFilters.types.includes(t)}
+                        onChange={() => toggleViewFilter("types", t)}
+                      />
+                      {t}
+                    </label>
+                  ))}
+                </div>
+                <div className="field-row">
+                  {relationOptions.map((r) => (
+                    <label key={r} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={viewFilters.relations.includes(r)}
+                        onChange={() => toggleViewFilter("relations", r)}
+                      />
+                      {r}
+                    </label>
+                  ))}
+                </div>
+                <div className="field-row">
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Region</div>
+                    <select
+                      value={viewFilters.region}
+                      onChange={(e) => updateViewFilter("region", e.target.value)}
+                    >
+                      <option value="">Any region</option>
+                      {regionOptions.map((r) => (
+                        <option key={r} value={r}>
+                          {r}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">From</div>
+                    <input
+                      type="date"
+                      value={viewFilters.from}
+                      onChange={(e) => updateViewFilter("from", e.target.value)}
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">To</div>
+                    <input
+                      type="date"
+                      value={viewFilters.to}
+                      onChange={(e) => updateViewFilter("to", e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="field-row">
+                  {[
+                    ["minRisk", "Min. risk"],
+                    ["maxRisk", "Max. risk"],
+                    ["minSeverity", "Min. severity"],
+                    ["maxSeverity", "Max. severity"]
+                  ].map(([key, label]) => (
+                    <div key={key} style={{ flex: 1 }}>
+                      <div className="label">{label}</div>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={viewFilters[key]}
+                        onChange={(e) => updateViewFilter(key, Number(e.target.value))}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <button
+                  className="btn-secondary"
+                  onClick={() => setViewFilters(DEFAULT_VIEW_FILTERS)}
+                >
+                  Reset filters
+                </button>
+              </details>
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Size by</div>
+                  <select
+                    value={sizeMetric}
+                    onChange={(e) => setSizeMetric(e.target.value)}
+                  >
+                    {METRIC_OPTIONS.filter((o) => !o.categorical).map((o) => (
+                      <option key={o.id} value={o.id}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Colour by</div>
+                  <select
+                    value={colorMetric}
+                    onChange={(e) => setColorMetric(e.target.value)}
+                  >
+                    {METRIC_OPTIONS.map((o) => (
+                      <option key={o.id} value={o.id}>
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               <div className="graph-container">
                 <ForceGraph2D
+                  ref={fgRef}
                   graphData={graphData}
                   nodeLabel={(node) =>
                     `${node.title}\n${node.type || ""}${
@@ -566,56 +1857,400 @@ function App() {
                     if (node.type === "Paper") return "paper";
                     return "other";
                   }}
+                  onRenderFramePre={(ctx) => {
+                    const t = ctx.getTransform().inverse();
+                    const a = t.transformPoint({ x: 0, y: 0 });
+                    const b = t.transformPoint({
+                      x: ctx.canvas.width,
+                      y: ctx.canvas.height
+                    });
+                    viewportRef.current = { x0: a.x, y0: a.y, x1: b.x, y1: b.y };
+                  }}
+                  onZoom={({ k }) => setZoomedIn(k >= LABEL_ZOOM)}
                   nodeCanvasObject={(node, ctx, globalScale) => {
                     const label = node.title;
-                    const metric = metrics[node.id] || {};
-                    const degree = metric.degree_centrality ?? 0;
-                    const radius = 4 + degree * 24;
-                    const risk = node.risk ?? 0.3;
-                    let color = "#22c55e";
-                    if (risk >= 0.7) color = "#f97373";
-                    else if (risk >= 0.4) color = "#fb923c";
+                    const { radius, color, hot } = nodeStyles[node.id];
+                    // skip nodes (and their labels) outside the viewport
+                    const vp = viewportRef.current;
+                    const margin = radius + 80 / globalScale;
+                    if (
+                      vp &&
+                      (node.x < vp.x0 - margin ||
+                        node.x > vp.x1 + margin ||
+                        node.y < vp.y0 - margin ||
+                        node.y > vp.y1 + margin)
+                    ) {
+                      return;
+                    }
+                    ctx.globalAlpha =
+                      (hoverNeighbours && !hoverNeighbours.has(node.id)) ||
+                      activeGraph.expired.has(node.id)
+                        ? 0.25
+                        : 1;
 
                     ctx.beginPath();
                     ctx.arc(node.x, node.y, radius, 0, 2 * Math.PI, false);
                     ctx.fillStyle = color;
                     ctx.fill();
-                    ctx.lineWidth = 1;
-                    ctx.strokeStyle = "#020617";
-                    ctx.stroke();
-
-                    const fontSize = 10 / globalScale;
-                    ctx.font = `${fontSize}px system-ui`;
-                    ctx.textAlign = "center";
-                    ctx.textBaseline = "top";
-                    ctx.fillStyle = "#e5e7eb";
-                    ctx.fillText(label.slice(0, 22), node.x, node.y + radius + 2);
+                    // the outline is invisible on nodes a few pixels across
+                    if (radius * globalScale > 3) {
+                      ctx.lineWidth = 1;
+                      ctx.strokeStyle = "#020617";
+                      ctx.stroke();
+                    }
+
+                    if (highlight?.nodes.has(node.id)) {
+                      ctx.beginPath();
+                      ctx.arc(node.x, node.y, radius + 1.5, 0, 2 * Math.PI, false);
+                      ctx.lineWidth = 2 / globalScale;
+                      ctx.strokeStyle = highlight.color;
+                      ctx.stroke();
+                    }
+
+                    if (node.id === linkTargetId) {
+                      ctx.beginPath();
+                      ctx.arc(node.x, node.y, radius + 4, 0, 2 * Math.PI, false);
+                      ctx.setLineDash([2 / globalScale, 2 / globalScale]);
+                      ctx.lineWidth = 2 / globalScale;
+                      ctx.strokeStyle = "#f8fafc";
+                      ctx.stroke();
+                      ctx.setLineDash([]);
+                    }
+
+                    if (simActive[node.id] != null) {
+                      ctx.beginPath();
+                      ctx.arc(node.x, node.y, radius + 3, 0, 2 * Math.PI, false);
+                      ctx.lineWidth = 2.5 / globalScale;
+                      ctx.strokeStyle =
+                        simActive[node.id] === 0 ? "#f4ff4e" : "#ef4444";
+                      ctx.stroke();
+                    }
+
+                    // zoomed-out large graphs only label what stands out
+                    if (
+                      !largeGraph ||
+                      globalScale >= LABEL_ZOOM ||
+                      hot ||
+                      node.id === selectedNodeId ||
+                      hoverNeighbours?.has(node.id) ||
+                      highlight?.nodes.has(node.id)
+                    ) {
+                      const fontSize = 10 / globalScale;
+                      ctx.font = `${fontSize}px system-ui`;
+                      ctx.textAlign = "center";
+                      ctx.textBaseline = "top";
+                      ctx.fillStyle = "#e5e7eb";
+                      ctx.fillText(label.slice(0, 22), node.x, node.y + radius + 2);
+                    }
+                    ctx.globalAlpha = 1;
                   }}
-                  linkDirectionalArrowLength={4}
+                  linkDirectionalArrowLength={largeGraph && !zoomedIn ? 0 : 4}
                   linkDirectionalArrowRelPos={1}
-                  linkColor={() => "rgba(148,163,184,0.7)"}
-                  linkWidth={1}
+                  linkColor={(link) => {
+                    if (hoverNeighbours) {
+                      const s = endId(link.source);
+                      const t = endId(link.target);
+                      if (s === hoverNodeId || t === hoverNodeId) {
+                        return "rgba(255,255,255,0.95)";
+                      }
+                      return "rgba(148,163,184,0.12)";
+                    }
+                    if (highlight?.edges.has(link.key)) return highlight.color;
+                    return link.inferred
+                      ? "rgba(244,255,78,0.75)"
+                      : "rgba(148,163,184,0.7)";
+                  }}
+                  linkWidth={(link) => {
+                    if (
+                      hoverNodeId &&
+                      (endId(link.source) === hoverNodeId ||
+                        endId(link.target) === hoverNodeId)
+                    ) {
+                      return 2.5;
+                    }
+                    if (highlight?.edges.has(link.key)) return 2.5;
+                    return link.inferred ? 0.5 + 2.5 * (link.weight ?? 0) : 1;
+                  }}
+                  linkLabel={(link) =>
+                    link.inferred
+                      ? `${link.relation} (${link.weight.toFixed(2)})`
+                      : link.relation
+                  }
                   onNodeClick={handleNodeClick}
-                  cooldownTicks={60}
+                  onNodeDrag={handleNodeDrag}
+                  onNodeDragEnd={handleNodeDragEnd}
+                  onNodeHover={(node) => setHoverNodeId(node ? node.id : null)}
+                  cooldownTicks={workerLayout ? 0 : 60}
                 />
               </div>
             </div>
           </div>
 
-          <div className="card">
+          <div className="card">
+            <div className="card-header">
+              <div>
+                <div className="card-title">Map</div>
+                <div className="card-subtitle">
+                  Locations from the bundled gazetteer · events sized by
+                  severity, coloured by risk · policies cover the regions
+                  inside their jurisdiction
+                </div>
+              </div>
+            </div>
+            <div className="card-body">
+              <MapView
+                nodesMap={activeGraph.nodesMap}
+                edges={activeGraph.edges}
+                metrics={metrics}
+                colorFor={(id) => metricColor(metrics[id] || {}, "risk_score")}
+                selectedNodeId={selectedNodeId}
+                highlight={highlight}
+                onSelectNode={focusNode}
+              />
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <div>
+                <div className="card-title">Graph query</div>
+                <div className="card-subtitle">
+                  Cypher-like MATCH / WHERE / RETURN over nodes and relations,
+                  or ask in plain language.
+                </div>
+              </div>
+            </div>
+            <div className="card-body">
+              <div className="field-row">
+                <input
+                  type="text"
+                  style={{ flex: 1 }}
+                  placeholder="e.g. transmission events above 0.7 severity where a subsidy applies"
+                  value={queryQuestion}
+                  onChange={(e) => setQueryQuestion(e.target.value)}
+                />
+                <button
+                  className="btn-secondary"
+                  onClick={translateQuestion}
+                  disabled={loadingTranslate || !nodeCount}
+                >
+                  {loadingTranslate ? "Translating…" : "Translate to query"}
+                </button>
+              </div>
+              <textarea
+                className="query-editor"
+                spellCheck={false}
+                value={queryText}
+                onChange={(e) => setQueryText(e.target.value)}
+              />
+              <div className="rag-footer-row">
+                <div className="small-muted">
+                  {queryResult
+                    ? `${queryResult.rows.length} row(s)${
+                        queryResult.truncated ? ", more past the LIMIT" : ""
+                      } · matches are outlined in pink on the graph`
+                    : "Labels are node types; relationship types are edge relations."}
+                </div>
+                <div className="field-row" style={{ marginBottom: 0 }}>
+                  <button
+                    className="btn-secondary"
+                    onClick={() => {
+                      setQueryResult(null);
+                      setHighlight(null);
+                    }}
+                    disabled={!queryResult}
+                  >
+                    Clear
+                  </button>
+                  <button onClick={() => executeQuery()} disabled={!nodeCount}>
+                    Run query
+                  </button>
+                </div>
+              </div>
+              {queryError && (
+                <div className="validation-panel">
+                  <div className="validation-item">{queryError}</div>
+                </div>
+              )}
+              {queryResult && queryResult.rows.length > 0 && (
+                <div className="query-results">
+                  <table className="sim-table">
+                    <thead>
+                      <tr>
+                        {queryResult.columns.map((c) => (
+                          <th key={c}>{c}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {queryResult.rows.map((row, ri) => (
+                        <tr key={ri}>
+                          {row.map((v, ci) => (
+                            <td key={ci}>{renderQueryValue(v)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div
+            className={`card${dragActive ? " drop-active" : ""}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragActive(true);
+            }}
+            onDragLeave={() => setDragActive(false)}
+            onDrop={handleDrop}
+          >
             <div className="card-header">
               <div>
                 <div className="card-title">Ingest data into the graph</div>
                 <div className="card-subtitle">
-                  Paste research papers, grid events and policy JSON.
+                  Paste research papers, grid events and policy JSON, or drop
+                  CSV, JSONL and GeoJSON files here.
                 </div>
               </div>
+              <button
+                className="btn-secondary"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                Upload files
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept=".json,.jsonl,.ndjson,.csv,.tsv,.geojson"
+                style={{ display: "none" }}
+                onChange={(e) => {
+                  queueFiles(e.target.files);
+                  e.target.value = "";
+                }}
+              />
             </div>
             <div className="card-body">
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Model provider</div>
+                  <select
+                    value={providerId}
+                    onChange={(e) => setProviderId(e.target.value)}
+                  >
+                    {PROVIDER_OPTIONS.map((opt) => (
+                      <option key={opt.id} value={opt.id}>
+                        {opt.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {providerId === "proxy" && (
+                  <div className="small-muted" style={{ flex: 2 }}>
+                    {proxyInfo
+                      ? `Upstream: ${proxyInfo.upstream} · embeddings: ${proxyInfo.embeddingModel} · ${proxyInfo.limits.requestsPerMinute} requests/min`
+                      : `Studio server not reachable${proxyError ? `: ${proxyError}` : ""}`}
+                  </div>
+                )}
+              </div>
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Ingest mode</div>
+                  <select
+                    value={ingestMode}
+                    onChange={(e) => setIngestMode(e.target.value)}
+                  >
+                    <option value="rebuild">Rebuild graph from scratch</option>
+                    <option value="merge">Append / merge by id</option>
+                  </select>
+                </div>
+                {ingestMode === "merge" && (
+                  <label className="checkbox-label" style={{ flex: 1 }}>
+                    <input
+                      type="checkbox"
+                      checked={pruneMissing}
+                      onChange={(e) => setPruneMissing(e.target.checked)}
+                    />
+                    Remove papers, events and policies missing from the input
+                  </label>
+                )}
+              </div>
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Semantic link threshold</div>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={linkSettings.threshold}
+                    onChange={(e) =>
+                      setLinkSettings((prev) => ({
+                        ...prev,
+                        threshold: Number(e.target.value)
+                      }))
+                    }
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Top-k links per node</div>
+                  <input
+                    type="number"
+                    min="0"
+                    max="20"
+                    step="1"
+                    value={linkSettings.topK}
+                    onChange={(e) =>
+                      setLinkSettings((prev) => ({
+                        ...prev,
+                        topK: Number(e.target.value)
+                      }))
+                    }
+                  />
+                </div>
+                <div style={{ display: "flex", alignItems: "flex-end" }}>
+                  <button
+                    className="btn-secondary"
+                    onClick={relinkGraph}
+                    disabled={!nodeCount || loadingIngest}
+                  >
+                    Re-link now
+                  </button>
+                </div>
+              </div>
+              <div className="field-row">
+                <button
+                  className="btn-secondary"
+                  onClick={() => runExtraction(Object.keys(nodesMap))}
+                  disabled={!nodeCount || loadingIngest || loadingExtract}
+                >
+                  {loadingExtract && extraction.progress
+                    ? `Extracting ${extraction.progress.done}/${extraction.progress.total}...`
+                    : "Extract entities & relations"}
+                </button>
+                {loadingExtract && (
+                  <button className="btn-secondary" onClick={extraction.cancel}>
+                    Cancel
+                  </button>
+                )}
+                <div className="small-muted" style={{ flex: 1 }}>
+                  Adds Asset, Technology, Organization and Hazard nodes from
+                  the text of papers, events and policies.
+                </div>
+              </div>
+              {extractStatus && (
+                <div className="node-summary small-muted extract-status">
+                  {extractStatus}
+                </div>
+              )}
               <div className="field-row">
                 <div style={{ flex: 1 }}>
                   <div className="label">Papers JSON</div>
                   <textarea
+                    ref={papersEditorRef}
+                    className={invalidSources.has("papers") ? "invalid" : ""}
                     value={papersJson}
                     onChange={(e) => setPapersJson(e.target.value)}
                   />
@@ -625,6 +2260,8 @@ function App() {
                 <div style={{ flex: 1 }}>
                   <div className="label">Grid events JSON</div>
                   <textarea
+                    ref={eventsEditorRef}
+                    className={invalidSources.has("events") ? "invalid" : ""}
                     value={eventsJson}
                     onChange={(e) => setEventsJson(e.target.value)}
                   />
@@ -632,16 +2269,188 @@ function App() {
                 <div style={{ flex: 1 }}>
                   <div className="label">Policies JSON</div>
                   <textarea
+                    ref={policiesEditorRef}
+                    className={invalidSources.has("policies") ? "invalid" : ""}
                     value={policiesJson}
                     onChange={(e) => setPoliciesJson(e.target.value)}
                   />
                 </div>
               </div>
+              {validationIssues.length > 0 && (
+                <div className="validation-panel">
+                  <div className="label">
+                    {validationIssues.length} validation problem(s) — click
+                    one to jump to its line
+                  </div>
+                  <ul className="validation-list">
+                    {validationIssues.map((issue, i) => (
+                      <li
+                        key={i}
+                        className="validation-item"
+                        onClick={() => focusIssue(issue)}
+                      >
+                        <span className="chip red">
+                          {SOURCE_LABELS[issue.source]}
+                          {issue.index != null ? ` #${issue.index + 1}` : ""}
+                        </span>{" "}
+                        {issue.field && <strong>{issue.field}: </strong>}
+                        {issue.message}
+                        {issue.line ? (
+                          <span className="small-muted"> (line {issue.line})</span>
+                        ) : null}
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="field-row" style={{ marginTop: "0.4rem" }}>
+                    {!validationIssues.some((i) => i.fatal) && (
+                      <button
+                        onClick={() => ingestAll({ skipInvalid: true })}
+                        disabled={loadingIngest}
+                      >
+                        Skip invalid records and ingest
+                      </button>
+                    )}
+                    <button className="btn-secondary" onClick={dismissValidation}>
+                      Abort
+                    </button>
+                  </div>
+                </div>
+              )}
+              {ingestion.progress && (
+                <div className="ingest-progress">
+                  {Object.entries(ingestion.progress).map(([group, p]) => (
+                    <div key={group} className="progress-row">
+                      <div className="progress-label">
+                        {group}: {p.done}/{p.total}
+                        {p.cached ? ` (${p.cached} cached)` : ""}
+                      </div>
+                      <div className="progress-track">
+                        <div
+                          className="progress-fill"
+                          style={{
+                            width: `${p.total ? (100 * p.done) / p.total : 100}%`
+                          }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {ingestDiff && (
+                <details className="ingest-diff">
+                  <summary>
+                    Nodes: +{ingestDiff.nodes.added.length} added · ~
+                    {ingestDiff.nodes.updated.length} updated · −
+                    {ingestDiff.nodes.removed.length} removed · Edges: +
+                    {ingestDiff.edges.added.length} added · −
+                    {ingestDiff.edges.removed.length} removed
+                  </summary>
+                  {[
+                    ["Added nodes", ingestDiff.nodes.added],
+                    ["Updated nodes", ingestDiff.nodes.updated],
+                    ["Removed nodes", ingestDiff.nodes.removed],
+                    ["Added edges", ingestDiff.edges.added],
+                    ["Removed edges", ingestDiff.edges.removed]
+                  ]
+                    .filter(([, ids]) => ids.length)
+                    .map(([label, ids]) => (
+                      <div key={label} className="ingest-diff-group">
+                        <div className="label">{label}</div>
+                        <div className="small-muted">{ids.join(", ")}</div>
+                      </div>
+                    ))}
+                </details>
+              )}
               <div className="small-muted">
-                The component calls OpenAI for embeddings directly from the
-                browser. Don&apos;t ship this pattern to production with a real
-                secret key.
+                Model calls go through the studio server, which keeps the
+                API key and applies rate limits. The offline provider uses
+                hashed bag-of-words embeddings and an extractive summarizer,
+                so it needs no network at all.
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <div>
+                <div className="card-title">Snapshots</div>
+                <div className="card-subtitle">
+                  Save the graph and its embeddings in this browser, or hand
+                  it over as a file.
+                </div>
+              </div>
+            </div>
+            <div className="card-body">
+              <div className="field-row">
+                <input
+                  style={{ flex: 2 }}
+                  placeholder="Snapshot name"
+                  value={snapshotName}
+                  onChange={(e) => setSnapshotName(e.target.value)}
+                />
+                <button onClick={saveCurrentSnapshot} disabled={!nodeCount}>
+                  Save
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={exportSnapshotFile}
+                  disabled={!nodeCount}
+                >
+                  Export file
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={() => snapshotFileRef.current?.click()}
+                >
+                  Import file
+                </button>
+                <input
+                  ref={snapshotFileRef}
+                  type="file"
+                  accept=".json"
+                  style={{ display: "none" }}
+                  onChange={(e) => {
+                    importSnapshotFile(e.target.files[0]);
+                    e.target.value = "";
+                  }}
+                />
               </div>
+              {snapshots.length === 0 ? (
+                <div className="small-muted">No saved snapshots yet.</div>
+              ) : (
+                <ul className="snapshot-list">
+                  {snapshots.map((snap) => (
+                    <li key={snap.name} className="snapshot-item">
+                      <div>
+                        <div className="timeline-title">{snap.name}</div>
+                        <div className="timeline-meta">
+                          {formatDate(snap.savedAt)} · {snap.meta.nodeCount ?? 0}{" "}
+                          nodes · {snap.meta.edgeCount ?? 0} edges
+                          {snap.meta.embeddingModel
+                            ? ` · ${snap.meta.embeddingModel}`
+                            : ""}
+                        </div>
+                      </div>
+                      <div className="snapshot-actions">
+                        <button onClick={() => restoreSnapshot(snap.name)}>
+                          Restore
+                        </button>
+                        <button
+                          className="btn-secondary"
+                          onClick={() => removeSnapshot(snap.name)}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {snapshotStatus && (
+                <div className="small-muted" style={{ marginTop: "0.4rem" }}>
+                  {snapshotStatus}
+                </div>
+              )}
             </div>
           </div>
         </section>
@@ -671,32 +2480,313 @@ function App() {
               {selectedNodeId && (
                 <>
                   <div className="field-row" style={{ marginBottom: "0.4rem" }}>
-                    <div
-                      className={getRiskChipClass(
-                        metrics[selectedNodeId]?.risk_score ?? 0.3
-                      )}
-                    >
-                      Risk:{" "}
-                      {(metrics[selectedNodeId]?.risk_score ?? 0.3).toFixed(2)}
-                    </div>
+                    {riskChip(metrics[selectedNodeId]?.risk_score ?? 0.3)}
                     <div className="chip">
                       Degree:{" "}
                       {(
                         metrics[selectedNodeId]?.degree_centrality ?? 0
                       ).toFixed(2)}
                     </div>
+                    <div className="chip">
+                      Betweenness:{" "}
+                      {(metrics[selectedNodeId]?.betweenness ?? 0).toFixed(2)}
+                    </div>
+                    <div className="chip">
+                      PageRank:{" "}
+                      {(metrics[selectedNodeId]?.pagerank ?? 0).toFixed(3)}
+                    </div>
+                    <div className="chip">
+                      k-core: {metrics[selectedNodeId]?.core ?? 0}
+                    </div>
+                    <div className="chip">
+                      Community: {metrics[selectedNodeId]?.community ?? "–"}
+                    </div>
                   </div>
 
+                  {riskLines.length > 0 && (
+                    <details className="ingest-diff">
+                      <summary>
+                        How the risk score was computed ({riskProfile.name})
+                      </summary>
+                      {riskLines.map((line, i) => (
+                        <div key={i} className="ingest-diff-group">
+                          {line}
+                        </div>
+                      ))}
+                    </details>
+                  )}
+
                   <div className="node-summary">
                     {loadingSummary
                       ? "Loading node summary..."
                       : selectedNodeSummary || "No summary yet."}
                   </div>
+
+                  {INGESTED_TYPES.has(nodesMap[selectedNodeId]?.type) && (
+                    <div className="field-row" style={{ marginTop: "0.4rem" }}>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => runExtraction([selectedNodeId])}
+                        disabled={loadingExtract}
+                      >
+                        Extract entities from this node
+                      </button>
+                    </div>
+                  )}
+
+                  {nodesMap[selectedNodeId]?.provenance?.length > 0 && (
+                    <>
+                      <div className="label" style={{ marginTop: "0.4rem" }}>
+                        Extracted from
+                      </div>
+                      <ul className="timeline-list">
+                        {nodesMap[selectedNodeId].provenance.map((p) => (
+                          <li key={p.node} className="timeline-item">
+                            <div className="timeline-title">
+                              {nodesMap[p.node]?.title || p.node}
+                            </div>
+                            <div className="timeline-summary">
+                              “{p.text}”{" "}
+                              <span className="small-muted">
+                                chars {p.start}–{p.end}
+                              </span>
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+
+                  {nodesMap[selectedNodeId] && (
+                    <NodeEditor
+                      node={nodesMap[selectedNodeId]}
+                      nodesMap={nodesMap}
+                      edges={edges}
+                      duplicates={locationDuplicates}
+                      onSave={saveNodeAttrs}
+                      onDelete={removeSelectedNode}
+                      onDeleteEdge={removeEdge}
+                      onMerge={mergeLocation}
+                      onSelectNode={focusNode}
+                    />
+                  )}
                 </>
               )}
             </div>
           </div>
 
+          <div className="card">
+            <div className="card-header">
+              <div>
+                <div className="card-title">Risk scoring rules</div>
+                <div className="card-subtitle">
+                  Factor weights, baselines and colour bands behind every risk
+                  score on the canvas, map, inspector and exports.
+                </div>
+              </div>
+              <span className="chip">Applied: {riskProfile.name}</span>
+            </div>
+            <div className="card-body">
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Profile</div>
+                  <select
+                    value={riskProfile.name}
+                    onChange={(e) => selectRiskProfile(e.target.value)}
+                  >
+                    <option value={DEFAULT_PROFILE_NAME}>{DEFAULT_PROFILE_NAME}</option>
+                    {riskProfile.name !== DEFAULT_PROFILE_NAME &&
+                      !riskProfiles.some((p) => p.name === riskProfile.name) && (
+                        <option value={riskProfile.name}>
+                          {riskProfile.name} (not saved)
+                        </option>
+                      )}
+                    {riskProfiles.map((p) => (
+                      <option key={p.name} value={p.name}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Save as</div>
+                  <input
+                    type="text"
+                    value={riskDraft.name}
+                    onChange={(e) =>
+                      setRiskDraft((prev) => ({ ...prev, name: e.target.value }))
+                    }
+                  />
+                </div>
+              </div>
+
+              <div className="label">Factor weights (0 = ignore, 1 = full effect)</div>
+              <div className="field-row">
+                {RISK_FACTORS.map((f) => (
+                  <div key={f.id} style={{ flex: 1 }}>
+                    <div className="label">{f.label}</div>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={riskDraft.model.weights[f.id]}
+                      onChange={(e) =>
+                        updateRiskEntry("weights", f.id, Number(e.target.value))
+                      }
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Recency half-life (days)</div>
+                  <input
+                    type="number"
+                    min="1"
+                    value={riskDraft.model.halfLifeDays}
+                    onChange={(e) =>
+                      updateRiskModel("halfLifeDays", Number(e.target.value))
+                    }
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Location → policy share</div>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={riskDraft.model.policyTransfer}
+                    onChange={(e) =>
+                      updateRiskModel("policyTransfer", Number(e.target.value))
+                    }
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Neighbour share</div>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={riskDraft.model.neighbourTransfer}
+                    onChange={(e) =>
+                      updateRiskModel("neighbourTransfer", Number(e.target.value))
+                    }
+                  />
+                </div>
+              </div>
+
+              <details className="ingest-diff">
+                <summary>Asset type multipliers and baselines</summary>
+                <div className="label" style={{ marginTop: "0.4rem" }}>
+                  Event asset type multiplier (0–2)
+                </div>
+                <div className="field-row">
+                  {assetTypeOptions.map((type) => (
+                    <div key={type} style={{ flex: 1 }}>
+                      <div className="label">{type}</div>
+                      <input
+                        type="number"
+                        min="0"
+                        max="2"
+                        step="0.1"
+                        value={riskDraft.model.assetTypes[type] ?? 1}
+                        onChange={(e) =>
+                          updateRiskEntry("assetTypes", type, Number(e.target.value))
+                        }
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="label">Lowest score per node type</div>
+                <div className="field-row">
+                  {NODE_TYPES.map((type) => (
+                    <div key={type} style={{ flex: 1 }}>
+                      <div className="label">{type}</div>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={riskDraft.model.baselines[type] ?? riskDraft.model.baseline}
+                        onChange={(e) =>
+                          updateRiskEntry("baselines", type, Number(e.target.value))
+                        }
+                      />
+                    </div>
+                  ))}
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Other types</div>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={riskDraft.model.baseline}
+                      onChange={(e) => updateRiskModel("baseline", Number(e.target.value))}
+                    />
+                  </div>
+                </div>
+              </details>
+
+              <div className="label">Colour bands (from this score up)</div>
+              {riskDraft.bands.map((band, i) => (
+                <div key={i} className="field-row">
+                  <input
+                    type="text"
+                    style={{ flex: 2 }}
+                    value={band.label}
+                    onChange={(e) => updateRiskBand(i, "label", e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    style={{ flex: 1 }}
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={band.min}
+                    onChange={(e) => updateRiskBand(i, "min", Number(e.target.value))}
+                  />
+                  <input
+                    type="color"
+                    style={{ flex: "0 0 2.5rem" }}
+                    value={band.color}
+                    onChange={(e) => updateRiskBand(i, "color", e.target.value)}
+                  />
+                  <button
+                    className="btn-secondary"
+                    onClick={() => removeRiskBand(i)}
+                    disabled={riskDraft.bands.length < 2}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+
+              <div className="field-row">
+                <button onClick={applyRiskDraft} disabled={riskDraft === riskProfile}>
+                  Apply
+                </button>
+                <button className="btn-secondary" onClick={saveRiskDraft}>
+                  Save profile
+                </button>
+                <button className="btn-secondary" onClick={addRiskBand}>
+                  Add band
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={removeRiskProfile}
+                  disabled={riskProfile.name === DEFAULT_PROFILE_NAME}
+                >
+                  Delete profile
+                </button>
+              </div>
+              {riskStatus && <div className="small-muted">{riskStatus}</div>}
+            </div>
+          </div>
+
           <div className="card">
             <div className="card-header">
               <div>
@@ -707,6 +2797,95 @@ function App() {
               </div>
             </div>
             <div className="card-body">
+              <details className="ingest-diff">
+                <summary>Temporal link windows</summary>
+                <div className="field-row" style={{ marginTop: "0.4rem" }}>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">PRECEDES within (days)</div>
+                    <input
+                      type="number"
+                      min="0"
+                      value={temporalSettings.precedesDays}
+                      onChange={(e) =>
+                        updateTemporalSetting("precedesDays", Number(e.target.value))
+                      }
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Policy within (months)</div>
+                    <input
+                      type="number"
+                      min="0"
+                      value={temporalSettings.policyMonths}
+                      onChange={(e) =>
+                        updateTemporalSetting("policyMonths", Number(e.target.value))
+                      }
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Min. event severity</div>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={temporalSettings.minSeverity}
+                      onChange={(e) =>
+                        updateTemporalSetting("minSeverity", Number(e.target.value))
+                      }
+                    />
+                  </div>
+                </div>
+                <div className="field-row">
+                  <label className="checkbox-label" style={{ flex: 1 }}>
+                    <input
+                      type="checkbox"
+                      checked={temporalSettings.sameRegion}
+                      onChange={(e) =>
+                        updateTemporalSetting("sameRegion", e.target.checked)
+                      }
+                    />
+                    Same region / jurisdiction only
+                  </label>
+                  <button
+                    className="btn-secondary"
+                    onClick={relinkTimeline}
+                    disabled={!nodeCount}
+                  >
+                    Apply
+                  </button>
+                </div>
+              </details>
+              {timelineRange && (
+                <div className="replay-bar">
+                  <button className="btn-secondary" onClick={toggleReplay}>
+                    {replayPlaying ? "Pause" : "Play"}
+                  </button>
+                  <input
+                    type="range"
+                    min={timelineRange.start}
+                    max={timelineRange.end}
+                    step={replayStep}
+                    value={replayTime ?? timelineRange.end}
+                    onChange={(e) => {
+                      setReplayPlaying(false);
+                      setReplayTime(Number(e.target.value));
+                    }}
+                  />
+                  <span className="small-muted replay-date">
+                    {replayTime == null
+                      ? "All time"
+                      : formatDate(new Date(replayTime).toISOString())}
+                  </span>
+                  <button
+                    className="btn-secondary"
+                    onClick={stopReplay}
+                    disabled={replayTime == null}
+                  >
+                    Show all
+                  </button>
+                </div>
+              )}
               {timeline.length === 0 ? (
                 <div className="small-muted">
                   Timeline is empty. Ingest some events and policies first.
@@ -714,7 +2893,15 @@ function App() {
               ) : (
                 <ul className="timeline-list">
                   {timeline.map((item) => (
-                    <li key={item.id} className="timeline-item">
+                    <li
+                      key={item.id}
+                      className={`timeline-item clickable${
+                        replayTime != null && item.timestamp > replayTime
+                          ? " future"
+                          : ""
+                      }`}
+                      onClick={() => focusNode(item.id)}
+                    >
                       <div className="timeline-title">
                         {item.title}{" "}
                         <span className="small-muted">
@@ -737,63 +2924,468 @@ function App() {
             </div>
           </div>
 
+          <div className="card">
+            <div className="card-header">
+              <div>
+                <div className="card-title">Causal chain</div>
+                <div className="card-subtitle">
+                  What happened before and after the selected node, following
+                  PRECEDES, OVERLAPS and FOLLOWED_BY_POLICY edges.
+                </div>
+              </div>
+            </div>
+            <div className="card-body">
+              {!chain || (!chain.before.length && !chain.after.length) ? (
+                <div className="small-muted">
+                  Select an event or policy with temporal links to see its
+                  chain.
+                </div>
+              ) : (
+                <ul className="timeline-list chain-list">
+                  {[...chain.before]
+                    .reverse()
+                    .map((step) => ({ ...step, side: "before" }))
+                    .concat([{ id: selectedNodeId, side: "self" }])
+                    .concat(chain.after.map((step) => ({ ...step, side: "after" })))
+                    .map((step) => {
+                      const n = nodesMap[step.id];
+                      if (!n) return null;
+                      return (
+                        <li
+                          key={`${step.side}:${step.id}`}
+                          className={`timeline-item chain-${step.side}`}
+                          onClick={() => step.side !== "self" && selectNode(step.id)}
+                        >
+                          <div className="timeline-title">
+                            {n.title || n.name || n.id}{" "}
+                            <span className="small-muted">[{n.type}]</span>
+                          </div>
+                          <div className="timeline-meta">
+                            {formatDate(n.start_time || n.start_date || n.published)}
+                            {step.side === "before" &&
+                              ` · ${step.relation} → ${step.via}`}
+                            {step.side === "after" &&
+                              ` · ${step.via} → ${step.relation}`}
+                            {step.side === "self" && " · selected"}
+                          </div>
+                        </li>
+                      );
+                    })}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <div>
+                <div className="card-title">What-if cascade simulation</div>
+                <div className="card-subtitle">
+                  Monte Carlo spread of a failure along graph edges, weighted
+                  by edge strength and node risk.
+                </div>
+              </div>
+            </div>
+            <div className="card-body">
+              <div className="field-row">
+                <div style={{ flex: 2 }}>
+                  <div className="label">Seed event or location</div>
+                  <select
+                    value={simSeedId}
+                    onChange={(e) => setSimSeedId(e.target.value)}
+                  >
+                    <option value="">— choose —</option>
+                    {simSeedOptions.map((n) => (
+                      <option key={n.id} value={n.id}>
+                        {n.title || n.name || n.id} [{n.type}]
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Model</div>
+                  <select
+                    value={simSettings.model}
+                    onChange={(e) => updateSimSetting("model", e.target.value)}
+                  >
+                    {CASCADE_MODELS.map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {m.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="field-row">
+                <div style={{ flex: 1 }}>
+                  <div className="label">Runs</div>
+                  <input
+                    type="number"
+                    min="1"
+                    max="5000"
+                    value={simSettings.runs}
+                    onChange={(e) =>
+                      updateSimSetting("runs", Math.max(1, Number(e.target.value)))
+                    }
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div className="label">Spread probability</div>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={simSettings.spread}
+                    onChange={(e) =>
+                      updateSimSetting("spread", Number(e.target.value))
+                    }
+                  />
+                </div>
+                <div style={{ flex: 2 }}>
+                  <div className="label">Compare with policy hardening</div>
+                  <select
+                    value={simPolicyId}
+                    onChange={(e) => setSimPolicyId(e.target.value)}
+                  >
+                    <option value="">— no comparison —</option>
+                    {policyOptions.map((n) => (
+                      <option key={n.id} value={n.id}>
+                        {n.title || n.id}
+                        {n.jurisdiction ? ` (${n.jurisdiction})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="field-row">
+                <button onClick={runSimulation} disabled={!nodeCount}>
+                  Run simulation
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={() => playSimulation(simResult?.baseline.steps)}
+                  disabled={!simResult}
+                >
+                  Replay
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={clearSimulation}
+                  disabled={!simResult}
+                >
+                  Clear
+                </button>
+                {simResult && simFrame != null && (
+                  <span className="small-muted">
+                    Step {simFrame + 1} / {simResult.baseline.steps.length}{" "}
+                    (worst run)
+                  </span>
+                )}
+              </div>
+
+              {simResult && (
+                <div className="sim-results">
+                  <div className="small-muted">
+                    Expected impacted nodes:{" "}
+                    <strong>{simResult.baseline.expectedImpacted.toFixed(1)}</strong>
+                    {simResult.hardened &&
+                      ` → ${simResult.hardened.expectedImpacted.toFixed(
+                        1
+                      )} with ${
+                        nodesMap[simResult.hardened.policyId]?.title ||
+                        simResult.hardened.policyId
+                      }`}
+                  </div>
+                  <div className="label" style={{ marginTop: "0.5rem" }}>
+                    Impacted regions
+                  </div>
+                  <table className="sim-table">
+                    <thead>
+                      <tr>
+                        <th>Region</th>
+                        <th>Baseline</th>
+                        {simResult.hardened && <th>Hardened</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {simResult.baseline.regions.map((r) => (
+                        <tr key={r.region}>
+                          <td>{r.region}</td>
+                          <td>{(r.rate * 100).toFixed(0)}%</td>
+                          {simResult.hardened && (
+                            <td>
+                              {(
+                                (simResult.hardened.regions.find(
+                                  (h) => h.region === r.region
+                                )?.rate ?? 0) * 100
+                              ).toFixed(0)}
+                              %
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="label" style={{ marginTop: "0.5rem" }}>
+                    Most frequently hit nodes
+                  </div>
+                  <ul className="timeline-list chain-list">
+                    {simResult.baseline.hitRates
+                      .filter((h) => h.id !== simResult.seedId && nodesMap[h.id])
+                      .slice(0, 10)
+                      .map((h) => (
+                        <li
+                          key={h.id}
+                          className="timeline-item"
+                          onClick={() => selectNode(h.id)}
+                        >
+                          <div className="timeline-title">
+                            {nodesMap[h.id].title || nodesMap[h.id].name || h.id}{" "}
+                            <span className="small-muted">
+                              [{nodesMap[h.id].type}]
+                            </span>
+                          </div>
+                          <div className="timeline-meta">
+                            hit in {(h.rate * 100).toFixed(0)}% of runs
+                          </div>
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+
           <div className="card">
             <div className="card-header">
               <div>
                 <div className="card-title">RAG over the graph</div>
                 <div className="card-subtitle">
-                  Embedding search and GPT answer, fully in-browser.
+                  Multi-turn chat over the graph with streamed, cited answers.
                 </div>
               </div>
             </div>
             <div className="card-body">
-              <div className="label">Question</div>
+              {chatSession.turns.length === 0 && !streamingTurn && (
+                <div className="small-muted">
+                  Ask a question to start a conversation. Follow-ups keep the
+                  earlier turns.
+                </div>
+              )}
+              <div className="chat-thread">
+                {chatSession.turns.map((turn, i) => (
+                  <ChatTurn
+                    key={i}
+                    turn={turn}
+                    nodesMap={nodesMap}
+                    onSelectNode={selectNode}
+                    onShowSubgraph={showTurnSubgraph}
+                  />
+                ))}
+                {streamingTurn && (
+                  <ChatTurn
+                    turn={streamingTurn}
+                    nodesMap={nodesMap}
+                    streaming
+                    onSelectNode={selectNode}
+                    onShowSubgraph={showTurnSubgraph}
+                  />
+                )}
+              </div>
+
+              <div className="label">
+                {chatSession.turns.length ? "Follow-up question" : "Question"}
+              </div>
               <textarea
                 value={ragQuery}
                 onChange={(e) => setRagQuery(e.target.value)}
               />
 
+              <details className="ingest-diff">
+                <summary>Retrieval options</summary>
+                <div className="field-row" style={{ marginTop: "0.4rem" }}>
+                  {["Paper", "Event", "Policy", "Location"].map((t) => (
+                    <label key={t} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={retrievalSettings.types.includes(t)}
+                        onChange={() => toggleRetrievalType(t)}
+                      />
+                      {t}
+                    </label>
+                  ))}
+                  <span className="small-muted">(none ticked = all types)</span>
+                </div>
+                <div className="field-row">
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Region</div>
+                    <select
+                      value={retrievalSettings.region}
+                      onChange={(e) =>
+                        updateRetrievalSetting("region", e.target.value)
+                      }
+                    >
+                      <option value="">Any region</option>
+                      {regionOptions.map((r) => (
+                        <option key={r} value={r}>
+                          {r}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">From</div>
+                    <input
+                      type="date"
+                      value={retrievalSettings.from}
+                      onChange={(e) =>
+                        updateRetrievalSetting("from", e.target.value)
+                      }
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">To</div>
+                    <input
+                      type="date"
+                      value={retrievalSettings.to}
+                      onChange={(e) => updateRetrievalSetting("to", e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="field-row">
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Top-k</div>
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={retrievalSettings.topK}
+                      onChange={(e) =>
+                        updateRetrievalSetting(
+                          "topK",
+                          Math.max(1, Number(e.target.value))
+                        )
+                      }
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Vector weight (vs BM25)</div>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      value={retrievalSettings.alpha}
+                      onChange={(e) =>
+                        updateRetrievalSetting("alpha", Number(e.target.value))
+                      }
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Expand hops</div>
+                    <input
+                      type="number"
+                      min="0"
+                      max="3"
+                      value={retrievalSettings.hops}
+                      onChange={(e) =>
+                        updateRetrievalSetting("hops", Number(e.target.value))
+                      }
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div className="label">Re-rank</div>
+                    <select
+                      value={retrievalSettings.rerank}
+                      onChange={(e) =>
+                        updateRetrievalSetting("rerank", e.target.value)
+                      }
+                    >
+                      {RERANK_OPTIONS.map((o) => (
+                        <option key={o.id} value={o.id}>
+                          {o.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </details>
+
               <div className="rag-footer-row">
                 <div className="small-muted">
-                  We retrieve top-k nodes using embeddings, then ask the model
-                  with that context.
+                  We retrieve top-k nodes with BM25 + embeddings, expand along
+                  edges, then ask the model with that context.
+                </div>
+                <div className="field-row" style={{ marginBottom: 0 }}>
+                  <button
+                    className="btn-secondary"
+                    onClick={startNewChat}
+                    disabled={loadingRag || !chatSession.turns.length}
+                  >
+                    New chat
+                  </button>
+                  {loadingRag ? (
+                    <button onClick={stopRagQuery}>Stop</button>
+                  ) : (
+                    <button onClick={submitRagQuery}>Run Graph RAG</button>
+                  )}
                 </div>
-                <button onClick={submitRagQuery} disabled={loadingRag}>
-                  {loadingRag ? "Asking Model" : "Run Graph RAG"}
-                </button>
               </div>
 
-              {ragAnswer && (
-                <>
-                  <div className="label" style={{ marginTop: "0.5rem" }}>
-                    Answer
-                  </div>
-                  <div className="rag-answer">{ragAnswer}</div>
-                </>
-              )}
-
-              {ragContexts.length > 0 && (
-                <>
-                  <div className="label" style={{ marginTop: "0.4rem" }}>
-                    Top supporting nodes
-                  </div>
-                  <div>
-                    {ragContexts.map((c) => (
-                      <span key={c.id} className="context-pill">
-                        <span>{c.type}</span>
-                        <span>·</span>
-                        <span>{(c.title || c.name || c.id).slice(0, 22)}</span>
-                        <span>·</span>
-                        <span>{c.similarity.toFixed(2)}</span>
-                      </span>
+              {sessions.length > 0 && (
+                <details className="ingest-diff">
+                  <summary>Saved sessions ({sessions.length})</summary>
+                  <ul className="snapshot-list">
+                    {sessions.map((sess) => (
+                      <li key={sess.id} className="snapshot-item">
+                        <div>
+                          <div className="timeline-title">
+                            {sess.title || "Untitled chat"}
+                            {sess.id === chatSession.id && (
+                              <span className="small-muted"> (open)</span>
+                            )}
+                          </div>
+                          <div className="timeline-meta">
+                            {formatDate(sess.updatedAt)} · {sess.turnCount}{" "}
+                            turn(s)
+                          </div>
+                        </div>
+                        <div className="snapshot-actions">
+                          <button
+                            onClick={() => openSession(sess.id)}
+                            disabled={loadingRag}
+                          >
+                            Open
+                          </button>
+                          <button
+                            className="btn-secondary"
+                            onClick={() => removeSession(sess.id)}
+                            disabled={loadingRag}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </li>
                     ))}
-                  </div>
-                </>
+                  </ul>
+                </details>
               )}
             </div>
           </div>
         </section>
       </main>
+
+      {importQueue.length > 0 && (
+        <ImportDialog
+          key={importQueue.length}
+          draft={importQueue[0]}
+          remaining={importQueue.length - 1}
+          onChange={updateImportDraft}
+          onConfirm={confirmImport}
+          onCancel={skipImport}
+        />
+      )}
     </div>
   );
 }
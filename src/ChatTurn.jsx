@@ -0,0 +1,134 @@
+import React, { useMemo } from "react";
+import { checkGrounding, parseCitations } from "./grounding.js";
+
+// One question/answer exchange in the RAG thread: the answer with citation
+// chips and grounding flags, and the context nodes it was based on. While a
+// turn is streaming the answer is shown as plain text.
+function ChatTurn({ turn, nodesMap, streaming, onSelectNode, onShowSubgraph }) {
+  const grounding = useMemo(() => {
+    if (streaming || turn.failed || !turn.answer || !turn.contexts.length) {
+      return null;
+    }
+    return checkGrounding(
+      parseCitations(turn.answer),
+      turn.contexts.map((c) => c.id)
+    );
+  }, [turn, streaming]);
+
+  // answer paragraphs as lists of checked sentences
+  const paragraphs = useMemo(() => {
+    if (!grounding) return [];
+    const out = [];
+    grounding.sentences.forEach((s) => {
+      (out[s.paragraph] = out[s.paragraph] || []).push(s);
+    });
+    return out.filter(Boolean);
+  }, [grounding]);
+
+  // prefer the live node title; fall back to the snapshot from the turn
+  const titleOf = (id) => {
+    const node = nodesMap[id];
+    const ctx = turn.contexts.find((c) => c.id === id);
+    return node?.title || node?.name || ctx?.title || id;
+  };
+
+  return (
+    <div className="chat-turn">
+      <div className="chat-question">{turn.question}</div>
+      {turn.query && turn.query !== turn.question && (
+        <div className="small-muted">Searched for: {turn.query}</div>
+      )}
+
+      {grounding ? (
+        <>
+          <div className="rag-answer">
+            {paragraphs.map((sentences, pi) => (
+              <p key={pi}>
+                {sentences.map((s, si) => (
+                  <span
+                    key={si}
+                    className={`rag-sentence ${s.status}`}
+                    title={
+                      s.status === "uncited"
+                        ? "No supporting node cited"
+                        : s.status === "outside"
+                        ? `Cites nodes that were not retrieved: ${s.outside.join(", ")}`
+                        : undefined
+                    }
+                  >
+                    {s.segments.map((seg, gi) =>
+                      seg.cite ? (
+                        seg.cite.map((id) => (
+                          <button
+                            key={`${gi}-${id}`}
+                            className={`cite-chip${
+                              s.outside.includes(id) ? " invalid" : ""
+                            }`}
+                            disabled={!nodesMap[id]}
+                            onClick={() => onSelectNode(id)}
+                          >
+                            {titleOf(id).slice(0, 28)}
+                          </button>
+                        ))
+                      ) : (
+                        <React.Fragment key={gi}>{seg.text}</React.Fragment>
+                      )
+                    )}{" "}
+                  </span>
+                ))}
+              </p>
+            ))}
+          </div>
+          <div className="small-muted grounding-summary">
+            {grounding.counts.ok} of {grounding.sentences.length} sentence(s)
+            grounded in retrieved nodes
+            {grounding.counts.uncited > 0 &&
+              ` · ${grounding.counts.uncited} without a citation`}
+            {grounding.counts.outside > 0 &&
+              ` · ${grounding.counts.outside} citing nodes outside the retrieved set`}
+          </div>
+        </>
+      ) : (
+        <div className="rag-answer">
+          {turn.answer || (streaming ? "Retrieving context…" : "")}
+          {streaming && turn.answer && <span className="chat-cursor">▍</span>}
+        </div>
+      )}
+      {turn.stopped && (
+        <div className="small-muted">Stopped before the answer finished.</div>
+      )}
+
+      {turn.contexts.length > 0 && (
+        <div className="chat-contexts">
+          {turn.contexts.map((c) => (
+            <span
+              key={c.id}
+              className="context-pill"
+              title={
+                c.hop
+                  ? `Reached by ${c.hop}-hop expansion`
+                  : `vector ${(c.vectorScore ?? 0).toFixed(2)} · BM25 ${(
+                      c.bm25Score ?? 0
+                    ).toFixed(2)}`
+              }
+              onClick={() => onSelectNode(c.id)}
+            >
+              <span>{c.type}</span>
+              <span>·</span>
+              <span>{(c.title || c.id).slice(0, 22)}</span>
+              <span>·</span>
+              <span>{c.hop ? `+${c.hop} hop` : (c.score ?? 0).toFixed(2)}</span>
+            </span>
+          ))}
+          {turn.subgraph && (
+            <button className="btn-secondary" onClick={() => onShowSubgraph(turn)}>
+              Show on graph
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChatTurn;
@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import {
+  TARGET_FIELDS,
+  draftRecords,
+  guessMapping
+} from "./importers.js";
+import { SOURCE_LABELS } from "./validate.js";
+
+const FORMAT_LABELS = {
+  csv: "CSV",
+  jsonl: "JSONL",
+  geojson: "GeoJSON FeatureCollection",
+  json: "JSON"
+};
+
+// Review step for one dropped/uploaded file: pick which editor it feeds,
+// map CSV columns onto record fields, then append or replace.
+function ImportDialog({ draft, remaining, onChange, onConfirm, onCancel }) {
+  const [replace, setReplace] = useState(false);
+  const records = draftRecords(draft);
+
+  const setTarget = (target) => {
+    onChange({
+      ...draft,
+      target,
+      mapping:
+        draft.format === "csv"
+          ? guessMapping(draft.headers, target)
+          : draft.mapping
+    });
+  };
+
+  const setColumn = (field, idx) => {
+    onChange({ ...draft, mapping: { ...draft.mapping, [field]: idx } });
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal card">
+        <div className="card-header">
+          <div>
+            <div className="card-title">Import {draft.fileName}</div>
+            <div className="card-subtitle">
+              {FORMAT_LABELS[draft.format]} · {records.length} record(s)
+              {remaining ? ` · ${remaining} more file(s) queued` : ""}
+            </div>
+          </div>
+        </div>
+        <div className="card-body">
+          {draft.errors.length > 0 && (
+            <div className="validation-panel">
+              {draft.errors.map((err, i) => (
+                <div key={i} className="validation-item">
+                  {err}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="field-row">
+            <div style={{ flex: 1 }}>
+              <div className="label">Import into</div>
+              <select
+                value={draft.target}
+                disabled={draft.format === "geojson"}
+                onChange={(e) => setTarget(e.target.value)}
+              >
+                {Object.keys(TARGET_FIELDS).map((t) => (
+                  <option key={t} value={t}>
+                    {SOURCE_LABELS[t]} JSON
+                  </option>
+                ))}
+              </select>
+            </div>
+            <label className="checkbox-label" style={{ flex: 1 }}>
+              <input
+                type="checkbox"
+                checked={replace}
+                onChange={(e) => setReplace(e.target.checked)}
+              />
+              Replace the current {SOURCE_LABELS[draft.target]} JSON instead of
+              appending
+            </label>
+          </div>
+
+          {draft.format === "csv" && (
+            <>
+              <div className="label">Column mapping</div>
+              <div className="mapping-grid">
+                {TARGET_FIELDS[draft.target].map((field) => (
+                  <React.Fragment key={field}>
+                    <div className="mapping-field">{field}</div>
+                    <select
+                      value={draft.mapping[field] ?? -1}
+                      onChange={(e) => setColumn(field, Number(e.target.value))}
+                    >
+                      <option value={-1}>— not mapped —</option>
+                      {draft.headers.map((h, i) => (
+                        <option key={i} value={i}>
+                          {h}
+                        </option>
+                      ))}
+                    </select>
+                  </React.Fragment>
+                ))}
+              </div>
+            </>
+          )}
+
+          {records.length > 0 && (
+            <>
+              <div className="label" style={{ marginTop: "0.5rem" }}>
+                Preview
+              </div>
+              <pre className="import-preview">
+                {JSON.stringify(records.slice(0, 2), null, 2)}
+              </pre>
+            </>
+          )}
+
+          <div className="rag-footer-row">
+            <div className="small-muted">
+              Imported records are written into the editor and validated on
+              the next ingest.
+            </div>
+            <div className="field-row" style={{ marginBottom: 0 }}>
+              <button className="btn-secondary" onClick={onCancel}>
+                Skip file
+              </button>
+              <button
+                disabled={!records.length}
+                onClick={() => onConfirm(records, { replace })}
+              >
+                Import {records.length} record(s)
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
@@ -0,0 +1,226 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { GAZETTEER } from "./gazetteer.js";
+import {
+  fitView,
+  geocodeGraph,
+  inView,
+  policiesInForce,
+  projection,
+  zoomView
+} from "./geo.js";
+
+const WIDTH = 640;
+const HEIGHT = 340;
+
+// graticule spacing in degrees for the current view width
+const gridStep = (span) => (span > 120 ? 30 : span > 40 ? 10 : span > 12 ? 5 : 1);
+
+const area = (bbox) => (bbox ? (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]) : 0);
+
+const overlaps = (view, [w, s, e, n]) =>
+  e >= view.west && w <= view.east && n >= view.south && s <= view.north;
+
+// Offline map of the graph: gazetteer regions as the basemap, Location
+// nodes shaded by risk, Events sized by severity and coloured by risk_score,
+// Policies at the region they apply to. Clicking selects the node in the
+// graph; the graph's selection is outlined here.
+function MapView({ nodesMap, edges, metrics, colorFor, selectedNodeId, highlight, onSelectNode }) {
+  const { placed, unplaced } = useMemo(() => geocodeGraph(nodesMap, edges), [nodesMap, edges]);
+  const fitted = useMemo(() => fitView(Object.values(placed)), [placed]);
+  // null follows the data; zooming pins an explicit view
+  const [pinnedView, setPinnedView] = useState(null);
+  const view = pinnedView || fitted;
+  const project = useMemo(() => projection(view, WIDTH, HEIGHT), [view]);
+
+  // bring the graph's selection into view
+  useEffect(() => {
+    const at = placed[selectedNodeId];
+    if (at && !inView(view, at)) setPinnedView(zoomView(view, 1, at));
+  }, [selectedNodeId, placed]);
+
+  const zoom = (factor) => setPinnedView(zoomView(view, factor, placed[selectedNodeId]));
+
+  const basemap = useMemo(
+    () => GAZETTEER.filter((p) => p.bbox && overlaps(view, p.bbox)),
+    [view]
+  );
+
+  const grid = useMemo(() => {
+    const step = gridStep(view.east - view.west);
+    const lines = [];
+    for (let lon = Math.ceil(view.west / step) * step; lon <= view.east; lon += step) {
+      lines.push({ lon, from: project({ lon, lat: view.north }), to: project({ lon, lat: view.south }) });
+    }
+    for (let lat = Math.ceil(view.south / step) * step; lat <= view.north; lat += step) {
+      lines.push({ lat, from: project({ lon: view.west, lat }), to: project({ lon: view.east, lat }) });
+    }
+    return lines;
+  }, [view, project]);
+
+  // events / policies sharing a spot are fanned out around it
+  const markers = useMemo(() => {
+    const bySpot = {};
+    return Object.entries(placed)
+      .filter(([, p]) => p.kind !== "Location")
+      .map(([id, p]) => {
+        const spot = `${p.lon.toFixed(3)},${p.lat.toFixed(3)}`;
+        const i = (bySpot[spot] = (bySpot[spot] ?? -1) + 1);
+        const { x, y } = project(p);
+        const angle = i * 2.4;
+        const r = i ? 7 * Math.sqrt(i) : 0;
+        return { id, kind: p.kind, x: x + r * Math.cos(angle), y: y + r * Math.sin(angle) };
+      });
+  }, [placed, project]);
+
+  const box = (bbox) => {
+    const a = project({ lon: bbox[0], lat: bbox[3] });
+    const b = project({ lon: bbox[2], lat: bbox[1] });
+    return { x: a.x, y: a.y, width: Math.max(b.x - a.x, 2), height: Math.max(b.y - a.y, 2) };
+  };
+
+  const titleOf = (id) => nodesMap[id]?.title || nodesMap[id]?.name || id;
+  const risk = (id) => metrics[id]?.risk_score ?? 0;
+  const ringColor = (id) =>
+    id === selectedNodeId ? "#f8fafc" : highlight?.nodes.has(id) ? highlight.color : null;
+
+  const selected = nodesMap[selectedNodeId];
+  const inForce =
+    selected?.type === "Location" ? policiesInForce(selectedNodeId, nodesMap, edges) : [];
+
+  return (
+    <div className="map-view">
+      <div className="field-row">
+        <button className="btn-secondary" onClick={() => zoom(0.5)}>
+          +
+        </button>
+        <button className="btn-secondary" onClick={() => zoom(2)}>
+          −
+        </button>
+        <button className="btn-secondary" onClick={() => setPinnedView(null)}>
+          Fit to data
+        </button>
+        <span className="small-muted">
+          {Object.keys(placed).length} placed
+          {unplaced.length > 0 && ` · ${unplaced.length} not in the gazetteer`}
+        </span>
+      </div>
+
+      <svg className="map-svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+        <rect width={WIDTH} height={HEIGHT} className="map-sea" />
+        {grid.map((g, i) => (
+          <line key={i} x1={g.from.x} y1={g.from.y} x2={g.to.x} y2={g.to.y} className="map-grid" />
+        ))}
+        {basemap.map((p) => {
+          const b = box(p.bbox);
+          return (
+            <g key={p.name}>
+              <rect {...b} rx={3} className={`map-region${p.parent ? " sub" : ""}`} />
+              {b.width > 40 && (
+                <text x={b.x + 4} y={b.y + 11} className="map-label">
+                  {p.name}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {Object.entries(placed)
+          .filter(([, p]) => p.kind === "Location")
+          // larger regions first so states stay clickable on top of countries
+          .sort(([, a], [, b]) => area(b.bbox) - area(a.bbox))
+          .map(([id, p]) => {
+            const ring = ringColor(id);
+            if (p.bbox) {
+              return (
+                <rect
+                  key={id}
+                  {...box(p.bbox)}
+                  rx={3}
+                  className="map-location"
+                  style={{
+                    fill: colorFor(id),
+                    fillOpacity: 0.12 + 0.4 * risk(id),
+                    stroke: ring || undefined,
+                    strokeWidth: ring ? 2 : undefined
+                  }}
+                  onClick={() => onSelectNode(id)}
+                >
+                  <title>{`${titleOf(id)} · risk ${risk(id).toFixed(2)}`}</title>
+                </rect>
+              );
+            }
+            const { x, y } = project(p);
+            return (
+              <circle
+                key={id}
+                cx={x}
+                cy={y}
+                r={4}
+                className="map-location"
+                style={{ fill: colorFor(id), stroke: ring || undefined }}
+                onClick={() => onSelectNode(id)}
+              >
+                <title>{`${titleOf(id)} · risk ${risk(id).toFixed(2)}`}</title>
+              </circle>
+            );
+          })}
+
+        {markers.map((m) => {
+          const node = nodesMap[m.id];
+          const ring = ringColor(m.id);
+          const label = `${titleOf(m.id)}\n${m.kind}${
+            node.severity != null ? ` · severity ${node.severity}` : ""
+          } · risk ${risk(m.id).toFixed(2)}`;
+          if (m.kind === "Policy") {
+            return (
+              <rect
+                key={m.id}
+                x={m.x - 4}
+                y={m.y - 4}
+                width={8}
+                height={8}
+                className="map-policy"
+                style={{ stroke: ring || undefined }}
+                onClick={() => onSelectNode(m.id)}
+              >
+                <title>{label}</title>
+              </rect>
+            );
+          }
+          const r = 3 + 7 * (node.severity ?? 0.5);
+          return (
+            <g key={m.id} onClick={() => onSelectNode(m.id)} className="map-event">
+              {ring && <circle cx={m.x} cy={m.y} r={r + 3} className="map-ring" style={{ stroke: ring }} />}
+              <circle cx={m.x} cy={m.y} r={r} style={{ fill: colorFor(m.id) }}>
+                <title>{label}</title>
+              </circle>
+            </g>
+          );
+        })}
+      </svg>
+
+      {selected?.type === "Location" && (
+        <div className="small-muted">
+          {inForce.length
+            ? `Policies in force in ${titleOf(selectedNodeId)}: ` +
+              inForce
+                .map(({ policyId, via }) =>
+                  via === selectedNodeId
+                    ? titleOf(policyId)
+                    : `${titleOf(policyId)} (via ${titleOf(via)})`
+                )
+                .join(", ")
+            : `No policies apply to ${titleOf(selectedNodeId)}.`}
+        </div>
+      )}
+      {unplaced.length > 0 && (
+        <div className="small-muted">
+          Not on the map: {unplaced.slice(0, 8).map(titleOf).join(", ")}
+          {unplaced.length > 8 && ` and ${unplaced.length - 8} more`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapView;
@@ -0,0 +1,186 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { edgeKey } from "./ingest.js";
+
+// attributes that are structural or not plain values
+const READ_ONLY = new Set(["id", "type", "provenance", "aliases"]);
+
+const editableEntries = (node) =>
+  Object.entries(node).filter(
+    ([k, v]) => !READ_ONLY.has(k) && (v == null || typeof v !== "object")
+  );
+
+// Editing panel under the Node Inspector: attribute form, the node's edges
+// with delete buttons, merging for Locations and deleting the node. Changes
+// are handed to App, which records them in the undo history.
+function NodeEditor({
+  node,
+  nodesMap,
+  edges,
+  duplicates,
+  onSave,
+  onDelete,
+  onDeleteEdge,
+  onMerge,
+  onSelectNode
+}) {
+  const [draft, setDraft] = useState({});
+  const [newKey, setNewKey] = useState("");
+  const [newValue, setNewValue] = useState("");
+  const [mergeTarget, setMergeTarget] = useState("");
+
+  useEffect(() => {
+    setDraft(
+      Object.fromEntries(editableEntries(node).map(([k, v]) => [k, v == null ? "" : String(v)]))
+    );
+    setNewKey("");
+    setNewValue("");
+    setMergeTarget("");
+  }, [node]);
+
+  const connections = useMemo(
+    () => edges.filter((e) => e.source === node.id || e.target === node.id),
+    [edges, node.id]
+  );
+
+  const otherLocations = useMemo(
+    () =>
+      node.type === "Location"
+        ? Object.values(nodesMap).filter((n) => n.type === "Location" && n.id !== node.id)
+        : [],
+    [nodesMap, node]
+  );
+
+  const duplicateGroup = duplicates.find((g) => g.ids.includes(node.id));
+
+  const titleOf = (id) => nodesMap[id]?.title || nodesMap[id]?.name || id;
+
+  // only changed attributes, numbers kept as numbers
+  const save = () => {
+    const attrs = {};
+    Object.entries(draft).forEach(([k, text]) => {
+      const before = node[k];
+      const value =
+        typeof before === "number" && text.trim() !== "" && !isNaN(Number(text))
+          ? Number(text)
+          : text;
+      if (value !== (before ?? "")) attrs[k] = value;
+    });
+    const key = newKey.trim();
+    if (key && !READ_ONLY.has(key) && newValue.trim()) {
+      attrs[key] = isNaN(Number(newValue)) ? newValue.trim() : Number(newValue);
+    }
+    if (Object.keys(attrs).length) onSave(attrs);
+  };
+
+  return (
+    <div className="node-editor">
+      <details className="ingest-diff">
+        <summary>Edit attributes</summary>
+        {Object.keys(draft).map((k) => (
+          <div key={k} className="editor-field">
+            <div className="label">{k}</div>
+            {k === "summary" ? (
+              <textarea
+                rows={3}
+                value={draft[k]}
+                onChange={(e) => setDraft((d) => ({ ...d, [k]: e.target.value }))}
+              />
+            ) : (
+              <input
+                type="text"
+                value={draft[k]}
+                onChange={(e) => setDraft((d) => ({ ...d, [k]: e.target.value }))}
+              />
+            )}
+          </div>
+        ))}
+        <div className="field-row">
+          <input
+            type="text"
+            placeholder="new attribute"
+            value={newKey}
+            onChange={(e) => setNewKey(e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="value"
+            value={newValue}
+            onChange={(e) => setNewValue(e.target.value)}
+          />
+        </div>
+        <div className="small-muted">
+          Clear a field to remove the attribute. Text changes are re-embedded.
+        </div>
+        <button className="btn-secondary" onClick={save}>
+          Save changes
+        </button>
+      </details>
+
+      <details className="ingest-diff">
+        <summary>Edges ({connections.length})</summary>
+        <ul className="edge-list">
+          {connections.map((e) => {
+            const outgoing = e.source === node.id;
+            const other = outgoing ? e.target : e.source;
+            return (
+              <li key={edgeKey(e)}>
+                <span className="small-muted">
+                  {outgoing ? `${e.relation} →` : `← ${e.relation}`}
+                </span>{" "}
+                <button className="link-button" onClick={() => onSelectNode(other)}>
+                  {titleOf(other).slice(0, 40)}
+                </button>
+                {e.manual && <span className="small-muted"> (manual)</span>}
+                <button
+                  className="icon-button"
+                  title="Delete edge"
+                  onClick={() => onDeleteEdge(edgeKey(e))}
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </details>
+
+      {node.type === "Location" && (
+        <div className="editor-merge">
+          {duplicateGroup && (
+            <div className="small-muted">
+              Same place as{" "}
+              {duplicateGroup.ids
+                .filter((id) => id !== node.id)
+                .map(titleOf)
+                .join(", ")}{" "}
+              in the gazetteer ({duplicateGroup.place}).
+            </div>
+          )}
+          <div className="field-row">
+            <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+              <option value="">Merge this location into…</option>
+              {otherLocations.map((n) => (
+                <option key={n.id} value={n.id}>
+                  {n.name || n.id}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn-secondary"
+              disabled={!mergeTarget}
+              onClick={() => onMerge(mergeTarget, node.id)}
+            >
+              Merge
+            </button>
+          </div>
+        </div>
+      )}
+
+      <button className="btn-danger" onClick={onDelete}>
+        Delete node
+      </button>
+    </div>
+  );
+}
+
+export default NodeEditor;
@@ -0,0 +1,516 @@
+// Graph analytics: centralities, k-core, Louvain communities and the
+// cascade-risk model. Everything here is pure so it can run in the analytics
+// worker as well as on the main thread.
+//
+// Structural metrics treat the graph as undirected (relation direction says
+// little about how disruption spreads), except PageRank which follows edge
+// direction. Edge `weight` is used where present, 1 otherwise.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Parameters of the cascade-risk model (see propagateRisk). The studio edits
+// them as named profiles, see riskProfiles.js.
+export const DEFAULT_RISK_MODEL = {
+  // how strongly each factor moves the score, all in [0, 1]
+  weights: {
+    severity: 1,
+    recency: 1,
+    assetType: 1,
+    activePolicies: 0,
+    centrality: 0.2
+  },
+  halfLifeDays: 365,
+  // multiplier per event asset_type; types not listed count 1
+  assetTypes: { Transmission: 1, Distribution: 1, Generation: 1 },
+  policyTransfer: 0.6,
+  neighbourTransfer: 0.5,
+  // lowest score per node type; `baseline` covers the types not listed
+  baselines: { Event: 0, Location: 0, Policy: 0, Paper: 0.1 },
+  baseline: 0.1
+};
+
+// Factors of an event's own score, in the order the inspector lists them.
+export const RISK_FACTORS = [
+  { id: "severity", label: "Severity" },
+  { id: "recency", label: "Recency" },
+  { id: "assetType", label: "Asset type" },
+  { id: "activePolicies", label: "Active policies in region" },
+  { id: "centrality", label: "Centrality (betweenness)" }
+];
+
+// Metrics the canvas can map onto node size / colour.
+export const METRIC_OPTIONS = [
+  { id: "risk_score", label: "Risk score" },
+  { id: "degree_centrality", label: "Degree centrality" },
+  { id: "betweenness", label: "Betweenness" },
+  { id: "pagerank", label: "PageRank" },
+  { id: "core", label: "k-core" },
+  { id: "community", label: "Community", categorical: true }
+];
+
+const endId = (v) => (typeof v === "object" && v ? v.id : v);
+
+// Undirected weighted adjacency: { [id]: Map(neighbourId -> weight) }.
+// Self-loops and edges to unknown nodes are ignored; parallel edges add up.
+function adjacency(ids, edges) {
+  const adj = {};
+  ids.forEach((id) => {
+    adj[id] = new Map();
+  });
+  edges.forEach((e) => {
+    const s = endId(e.source);
+    const t = endId(e.target);
+    if (s === t || !adj[s] || !adj[t]) return;
+    const w = typeof e.weight === "number" ? e.weight : 1;
+    adj[s].set(t, (adj[s].get(t) || 0) + w);
+    adj[t].set(s, (adj[t].get(s) || 0) + w);
+  });
+  return adj;
+}
+
+// ---------------------- centralities ----------------------
+
+export function degreeCentrality(ids, adj) {
+  const n = Math.max(ids.length - 1, 1);
+  const out = {};
+  ids.forEach((id) => {
+    out[id] = adj[id].size / n;
+  });
+  return out;
+}
+
+// Brandes' algorithm on the unweighted undirected graph, normalized to [0, 1].
+export function betweenness(ids, adj) {
+  const cb = {};
+  ids.forEach((id) => {
+    cb[id] = 0;
+  });
+  ids.forEach((s) => {
+    const stack = [];
+    const pred = {};
+    const sigma = { [s]: 1 };
+    const dist = { [s]: 0 };
+    const queue = [s];
+    for (let qi = 0; qi < queue.length; qi++) {
+      const v = queue[qi];
+      stack.push(v);
+      adj[v].forEach((_, w) => {
+        if (dist[w] == null) {
+          dist[w] = dist[v] + 1;
+          queue.push(w);
+        }
+        if (dist[w] === dist[v] + 1) {
+          sigma[w] = (sigma[w] || 0) + sigma[v];
+          (pred[w] = pred[w] || []).push(v);
+        }
+      });
+    }
+    const delta = {};
+    while (stack.length) {
+      const w = stack.pop();
+      (pred[w] || []).forEach((v) => {
+        delta[v] = (delta[v] || 0) + (sigma[v] / sigma[w]) * (1 + (delta[w] || 0));
+      });
+      if (w !== s) cb[w] += delta[w] || 0;
+    }
+  });
+  // each pair was counted from both ends
+  const n = ids.length;
+  const norm = n > 2 ? ((n - 1) * (n - 2)) / 2 : 1;
+  ids.forEach((id) => {
+    cb[id] = cb[id] / 2 / norm;
+  });
+  return cb;
+}
+
+// Power iteration over directed edges; dangling nodes spread their rank
+// uniformly.
+export function pagerank(ids, edges, { damping = 0.85, iterations = 60, tolerance = 1e-8 } = {}) {
+  const n = ids.length;
+  if (!n) return {};
+  const index = {};
+  ids.forEach((id, i) => {
+    index[id] = i;
+  });
+  const out = ids.map(() => []);
+  const outWeight = new Array(n).fill(0);
+  edges.forEach((e) => {
+    const s = index[endId(e.source)];
+    const t = index[endId(e.target)];
+    if (s == null || t == null || s === t) return;
+    const w = typeof e.weight === "number" ? e.weight : 1;
+    out[s].push([t, w]);
+    outWeight[s] += w;
+  });
+
+  let rank = new Array(n).fill(1 / n);
+  for (let it = 0; it < iterations; it++) {
+    const next = new Array(n).fill((1 - damping) / n);
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (!outWeight[i]) {
+        dangling += rank[i];
+        continue;
+      }
+      out[i].forEach(([t, w]) => {
+        next[t] += (damping * rank[i] * w) / outWeight[i];
+      });
+    }
+    let diff = 0;
+    for (let i = 0; i < n; i++) {
+      next[i] += (damping * dangling) / n;
+      diff += Math.abs(next[i] - rank[i]);
+    }
+    rank = next;
+    if (diff < tolerance) break;
+  }
+  const result = {};
+  ids.forEach((id, i) => {
+    result[id] = rank[i];
+  });
+  return result;
+}
+
+// Core number of each node (largest k such that it belongs to the k-core).
+export function kCore(ids, adj) {
+  const degree = {};
+  ids.forEach((id) => {
+    degree[id] = adj[id].size;
+  });
+  const core = {};
+  const remaining = new Set(ids);
+  let k = 0;
+  while (remaining.size) {
+    let peeled = true;
+    while (peeled) {
+      peeled = false;
+      remaining.forEach((id) => {
+        if (degree[id] > k) return;
+        core[id] = k;
+        remaining.delete(id);
+        adj[id].forEach((_, nb) => {
+          if (remaining.has(nb)) degree[nb] -= 1;
+        });
+        peeled = true;
+      });
+    }
+    k += 1;
+  }
+  return core;
+}
+
+// ---------------------- communities ----------------------
+
+// Local-moving phase of Louvain over `nodes` with weighted adjacency `adj`
+// (`m2` is twice the total edge weight). Returns { community, moved }.
+function louvainPass(nodes, adj, m2) {
+  const community = {};
+  const tot = {};
+  const k = {};
+  nodes.forEach((id) => {
+    community[id] = id;
+    let deg = 0;
+    adj[id].forEach((w) => {
+      deg += w;
+    });
+    k[id] = deg;
+    tot[id] = deg;
+  });
+
+  let moved = false;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    nodes.forEach((id) => {
+      const current = community[id];
+      const links = {};
+      adj[id].forEach((w, nb) => {
+        if (nb === id) return;
+        const c = community[nb];
+        links[c] = (links[c] || 0) + w;
+      });
+      tot[current] -= k[id];
+      let best = current;
+      let bestGain = (links[current] || 0) - (tot[current] * k[id]) / m2;
+      Object.entries(links).forEach(([c, w]) => {
+        const gain = w - (tot[c] * k[id]) / m2;
+        if (gain > bestGain + 1e-12) {
+          best = c;
+          bestGain = gain;
+        }
+      });
+      tot[best] += k[id];
+      if (best !== current) {
+        community[id] = best;
+        moved = true;
+        improved = true;
+      }
+    });
+  }
+  return { community, moved };
+}
+
+// Louvain modularity optimisation. Community ids are renumbered 0..n-1 by
+// decreasing size so colours stay stable across small edits.
+export function louvain(ids, adj) {
+  let m2 = 0;
+  ids.forEach((id) => {
+    adj[id].forEach((w) => {
+      m2 += w;
+    });
+  });
+  const membership = {};
+  ids.forEach((id) => {
+    membership[id] = id;
+  });
+  if (!m2) return renumber(membership);
+
+  let nodes = ids;
+  let level = adj;
+  for (let round = 0; round < 20; round++) {
+    const { community, moved } = louvainPass(nodes, level, m2);
+    if (!moved) break;
+    ids.forEach((id) => {
+      membership[id] = community[membership[id]];
+    });
+    // aggregate communities into super-nodes
+    const next = {};
+    nodes.forEach((id) => {
+      const c = community[id];
+      next[c] = next[c] || new Map();
+      level[id].forEach((w, nb) => {
+        const cn = community[nb];
+        next[c].set(cn, (next[c].get(cn) || 0) + w);
+      });
+    });
+    nodes = Object.keys(next);
+    level = next;
+  }
+  return renumber(membership);
+}
+
+function renumber(membership) {
+  const sizes = {};
+  Object.values(membership).forEach((c) => {
+    sizes[c] = (sizes[c] || 0) + 1;
+  });
+  const order = Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a]);
+  const ids = {};
+  order.forEach((c, i) => {
+    ids[c] = i;
+  });
+  const out = {};
+  Object.entries(membership).forEach(([id, c]) => {
+    out[id] = ids[c];
+  });
+  return out;
+}
+
+// ---------------------- risk model ----------------------
+
+const time = (v) => {
+  if (!v) return null;
+  const t = new Date(v).getTime();
+  return isNaN(t) ? null : t;
+};
+
+// Reference time for recency weighting: the latest event in the graph, so a
+// historical dataset is not scored as if everything in it were stale.
+export function latestEventTime(nodesMap) {
+  let latest = null;
+  Object.values(nodesMap).forEach((n) => {
+    if (n.type !== "Event") return;
+    const t = time(n.end_time) ?? time(n.start_time);
+    if (t != null && (latest == null || t > latest)) latest = t;
+  });
+  return latest;
+}
+
+// A policy is active at `ref` once started and until its end date.
+const activeAt = (n, ref) =>
+  (time(n.start_date) ?? -Infinity) <= ref && (time(n.end_date) ?? Infinity) >= ref;
+
+// Cascade risk in [0, 1]:
+//  - Event: its severity, recency (half-life decay from the reference time),
+//    asset type multiplier and the policies active in its region, each
+//    pulled towards 1 by its weight; each active policy removes
+//    `weights.activePolicies` of what is left,
+//  - Location: noisy-OR of the events that OCCURS_IN it or in a region
+//    that is PART_OF it,
+//  - Policy: `policyTransfer` times the riskiest location it APPLIES_TO,
+//  - anything else: `neighbourTransfer` times its riskiest neighbour (scaled
+//    by edge weight),
+// floored at the baseline for the node type and blended with normalized
+// betweenness by `weights.centrality`.
+// Returns { [id]: { risk, base, exposure, breakdown } }; `breakdown` says
+// how the score was reached, for the inspector.
+export function propagateRisk(nodesMap, edges, structural, model = DEFAULT_RISK_MODEL, asOf) {
+  const ref = asOf ?? latestEventTime(nodesMap) ?? Date.now();
+  const { weights } = model;
+  const toward = (w, f) => 1 - w * (1 - f);
+
+  // containing regions (PART_OF), so an event in Tamil Nadu also counts
+  // towards India and national policies see state-level risk
+  const parents = {};
+  edges.forEach((e) => {
+    if (e.relation !== "PART_OF") return;
+    (parents[endId(e.source)] = parents[endId(e.source)] || []).push(endId(e.target));
+  });
+  const withAncestors = (id) => {
+    const out = [id];
+    for (let i = 0; i < out.length; i++) {
+      (parents[out[i]] || []).forEach((p) => {
+        if (!out.includes(p)) out.push(p);
+      });
+    }
+    return out;
+  };
+
+  // policies in force at the reference time, per location they cover
+  const policiesAt = {};
+  const regionsOf = {};
+  edges.forEach((e) => {
+    const s = endId(e.source);
+    const t = endId(e.target);
+    if (e.relation === "APPLIES_TO" && nodesMap[s]?.type === "Policy" && activeAt(nodesMap[s], ref)) {
+      (policiesAt[t] = policiesAt[t] || new Set()).add(s);
+    }
+    if (e.relation === "OCCURS_IN" && nodesMap[s]?.type === "Event") {
+      (regionsOf[s] = regionsOf[s] || []).push(t);
+    }
+  });
+
+  const own = {};
+  const factors = {};
+  Object.values(nodesMap).forEach((n) => {
+    if (n.type !== "Event") return;
+    const t = time(n.start_time);
+    const ageDays = t == null ? 0 : Math.max(0, (ref - t) / DAY);
+    const severity = n.severity ?? 0.5;
+    const recency = Math.pow(0.5, ageDays / model.halfLifeDays);
+    const asset = model.assetTypes[n.asset_type] ?? 1;
+    const policies = new Set();
+    (regionsOf[n.id] || []).forEach((loc) =>
+      withAncestors(loc).forEach((id) => policiesAt[id]?.forEach((p) => policies.add(p)))
+    );
+    factors[n.id] = [
+      { id: "severity", value: severity, effect: toward(weights.severity, severity) },
+      { id: "recency", value: recency, effect: toward(weights.recency, recency) },
+      { id: "assetType", value: asset, effect: toward(weights.assetType, asset) },
+      {
+        id: "activePolicies",
+        value: policies.size,
+        effect: Math.pow(1 - weights.activePolicies, policies.size)
+      }
+    ];
+    own[n.id] = Math.min(1, factors[n.id].reduce((acc, f) => acc * f.effect, 1));
+  });
+
+  const exposure = {};
+  const safe = {};
+  const sources = {};
+  edges.forEach((e) => {
+    const s = endId(e.source);
+    const t = endId(e.target);
+    if (e.relation === "OCCURS_IN" && own[s] != null && nodesMap[t]) {
+      withAncestors(t).forEach((id) => {
+        if (!nodesMap[id]) return;
+        safe[id] = (safe[id] ?? 1) * (1 - own[s]);
+        sources[id] = (sources[id] ?? 0) + 1;
+      });
+    }
+  });
+  Object.entries(safe).forEach(([id, p]) => {
+    exposure[id] = 1 - p;
+  });
+  const via = {};
+  edges.forEach((e) => {
+    const s = endId(e.source);
+    const t = endId(e.target);
+    if (e.relation === "APPLIES_TO" && nodesMap[s]?.type === "Policy") {
+      const v = model.policyTransfer * (exposure[t] ?? 0);
+      if (via[s] == null || v > exposure[s]) {
+        exposure[s] = v;
+        via[s] = t;
+      }
+    }
+  });
+
+  const base = {};
+  Object.values(nodesMap).forEach((n) => {
+    if (own[n.id] != null) base[n.id] = own[n.id];
+    else if (exposure[n.id] != null) base[n.id] = exposure[n.id];
+  });
+  // one-hop spill-over for papers, extracted entities and the rest
+  const spill = {};
+  edges.forEach((e) => {
+    const s = endId(e.source);
+    const t = endId(e.target);
+    const w = typeof e.weight === "number" ? e.weight : 1;
+    [
+      [s, t],
+      [t, s]
+    ].forEach(([from, to]) => {
+      if (base[from] == null || base[to] != null || !nodesMap[to]) return;
+      const v = model.neighbourTransfer * w * base[from];
+      if (spill[to] == null || v > spill[to].value) spill[to] = { value: v, from };
+    });
+  });
+
+  const maxStructural = Math.max(...Object.values(structural), 0) || 1;
+  const result = {};
+  Object.values(nodesMap).forEach((n) => {
+    const id = n.id;
+    const raw = base[id] ?? spill[id]?.value ?? 0;
+    const baseline = model.baselines[n.type] ?? model.baseline;
+    const b = Math.max(baseline, raw);
+    const s = (structural[id] ?? 0) / maxStructural;
+    const risk = Math.min(1, (1 - weights.centrality) * b + weights.centrality * s);
+    let kind = "neighbour";
+    if (own[id] != null) kind = "event";
+    else if (via[id] != null) kind = "policy";
+    else if (exposure[id] != null) kind = "location";
+    result[id] = {
+      risk,
+      base: b,
+      exposure: exposure[id] ?? null,
+      breakdown: {
+        kind,
+        raw,
+        factors: factors[id] || [],
+        events: sources[id] ?? 0,
+        from: via[id] ?? spill[id]?.from ?? null,
+        baseline,
+        floored: baseline > raw,
+        centrality: s
+      }
+    };
+  });
+  return result;
+}
+
+// ---------------------- all metrics ----------------------
+
+export function computeMetrics(nodesMap, edges, { riskModel = DEFAULT_RISK_MODEL, asOf } = {}) {
+  const ids = Object.keys(nodesMap);
+  const adj = adjacency(ids, edges);
+  const degree = degreeCentrality(ids, adj);
+  const between = betweenness(ids, adj);
+  const rank = pagerank(ids, edges);
+  const core = kCore(ids, adj);
+  const community = louvain(ids, adj);
+  const risk = propagateRisk(nodesMap, edges, between, riskModel, asOf);
+
+  const map = {};
+  ids.forEach((id) => {
+    map[id] = {
+      degree_centrality: degree[id],
+      betweenness: between[id],
+      pagerank: rank[id],
+      core: core[id],
+      community: community[id],
+      risk_score: risk[id].risk
+    };
+  });
+  return map;
+}
@@ -0,0 +1,13 @@
+// Runs computeMetrics off the main thread. Each request carries an id so the
+// app can drop answers for a graph that has since changed.
+
+import { computeMetrics } from "./analytics.js";
+
+self.onmessage = (event) => {
+  const { id, nodesMap, edges, options } = event.data;
+  try {
+    self.postMessage({ id, metrics: computeMetrics(nodesMap, edges, options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
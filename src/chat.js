@@ -0,0 +1,142 @@
+// Multi-turn graph RAG: follow-up query rewriting, conversation history for
+// the model, and chat sessions persisted to IndexedDB.
+//
+// A session is { id, title, createdAt, updatedAt, turns } and each turn is
+// { question, query, answer, contexts, subgraph, stopped, failed, at } where
+// `contexts` are copies of the nodes retrieved for that turn, so a reopened
+// session shows what the answer was based on even after the graph changes.
+
+import { CITATION_INSTRUCTIONS } from "./grounding.js";
+import { idbDelete, idbGetAll, idbGetMany, idbPutMany } from "./idb.js";
+
+const STORE = "sessions";
+
+// Turns sent back to the model as conversation history.
+const HISTORY_TURNS = 4;
+
+export function newSession() {
+  const now = new Date().toISOString();
+  return {
+    id: `session-${Date.now().toString(36)}`,
+    title: "",
+    createdAt: now,
+    updatedAt: now,
+    turns: []
+  };
+}
+
+export function historyFor(turns) {
+  return turns
+    .filter((t) => t.answer && !t.failed)
+    .slice(-HISTORY_TURNS)
+    .flatMap((t) => [
+      { role: "user", content: t.question },
+      { role: "assistant", content: t.answer }
+    ]);
+}
+
+// Rewrites a follow-up ("what about Kerala?") into a standalone retrieval
+// query using the previous turns. The offline provider has no model to ask,
+// so it appends the previous question to give BM25 and the hashed
+// embeddings the missing context. That is the question as asked, not its
+// rewrite, so the query doesn't pile up every earlier topic.
+export async function rewriteQuery(provider, turns, question, { signal } = {}) {
+  const previous = turns.filter((t) => t.question).slice(-HISTORY_TURNS);
+  if (!previous.length) return question;
+  if (provider.id === "offline") {
+    return `${question} ${previous[previous.length - 1].question}`;
+  }
+  const transcript = previous
+    .map((t) => `User: ${t.question}\nAssistant: ${(t.answer || "").slice(0, 400)}`)
+    .join("\n");
+  const prompt =
+    "Rewrite the user's follow-up question as a standalone search query for an energy knowledge graph, " +
+    "resolving pronouns and references to earlier turns.\n\n" +
+    `Conversation so far:\n${transcript}\n\n` +
+    `Follow-up question: ${question}\n\n` +
+    "Return only the rewritten query on one line, with no quotes or explanation.";
+  const rewritten = (await provider.complete(prompt, { signal }))
+    .split("\n")[0]
+    .replace(/^["']|["']$/g, "")
+    .trim();
+  return rewritten || question;
+}
+
+// Prompt for answering `question` from the retrieved `contexts`, asking for
+// inline citations of their ids. `query` is the rewritten standalone form.
+export function buildRagPrompt(question, query, contexts) {
+  const ctxStr = contexts
+    .map(
+      (c) =>
+        `[${c.id}]${c.hop ? ` (neighbour, ${c.hop} hop)` : ""} type=${
+          c.type
+        }, title=${c.title || c.name}, time=${
+          c.start_time || c.published || c.start_date || c.time || ""
+        }, region=${c.region || c.jurisdiction || ""}, summary=${c.summary}`
+    )
+    .join("\n");
+  return (
+    "User question:\n" +
+    question +
+    (query && query !== question ? `\n(Standalone form: ${query})` : "") +
+    "\n\nRelevant graph context (nodes and events):\n" +
+    ctxStr +
+    "\n\nUsing only this context and your own energy-domain knowledge, do the following: " +
+    "1. Give a concise answer (3–6 sentences). " +
+    "2. Describe which nodes are high-risk and why, focusing on outages, cascading risks, and policy gaps. " +
+    "3. Describe the rough timeline of key events in simple language. " +
+    "Keep the answer in plain text paragraphs, no bullet points, no markdown. " +
+    CITATION_INSTRUCTIONS
+  );
+}
+
+// Streams the answer for one turn. Providers with their own RAG endpoint
+// (the studio server) build the prompt there; the rest get it built here.
+export function streamAnswer(provider, { question, query, contexts }, { signal, history, onDelta } = {}) {
+  if (provider.rag) {
+    return provider.rag({ question, query, contexts }, { signal, history, onDelta });
+  }
+  return provider.stream(buildRagPrompt(question, query, contexts), { signal, history, onDelta });
+}
+
+// Node fields kept in a turn's context snapshot.
+export const snapshotContext = (c) => ({
+  id: c.id,
+  type: c.type,
+  title: c.title || c.name || c.id,
+  summary: c.summary,
+  region: c.region || c.jurisdiction,
+  time: c.start_time || c.published || c.start_date,
+  score: c.score,
+  vectorScore: c.vectorScore,
+  bm25Score: c.bm25Score,
+  hop: c.hop
+});
+
+// ---------------------- persistence ----------------------
+
+export async function saveSession(session) {
+  await idbPutMany(STORE, [{ key: session.id, value: session }]);
+}
+
+export async function loadSession(id) {
+  const found = await idbGetMany(STORE, [id]);
+  return found[id] || null;
+}
+
+export async function deleteSession(id) {
+  await idbDelete(STORE, id);
+}
+
+// Session metadata for the picker, most recently updated first.
+export async function listSessions() {
+  const all = await idbGetAll(STORE);
+  return all
+    .map(({ id, title, updatedAt, turns }) => ({
+      id,
+      title,
+      updatedAt,
+      turnCount: turns?.length || 0
+    }))
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
@@ -0,0 +1,137 @@
+// Manual edits from the canvas and the Node Inspector: adding and deleting
+// edges, editing node attributes, deleting nodes and merging duplicate
+// Locations. Every edit takes a graph { nodesMap, edges } and returns a new
+// one without touching its input, so earlier graphs can be kept as undo
+// history.
+
+import { EXTRACTED_RELATIONS } from "./extraction.js";
+import { HIERARCHY_RELATION, hierarchyFor, lookupPlace } from "./geo.js";
+import { dedupeEdges, dropOrphans, edgeKey } from "./ingest.js";
+
+// Graphs kept for undo / redo.
+export const HISTORY_LIMIT = 50;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+// Relations offered by the edge picker, before the ones already in the graph.
+export const EDITABLE_RELATIONS = [
+  "OCCURS_IN",
+  "APPLIES_TO",
+  HIERARCHY_RELATION,
+  ...EXTRACTED_RELATIONS
+];
+
+// Attributes that also decide which Location a node links to.
+const LOCATION_ATTRS = { Event: ["region", "OCCURS_IN"], Policy: ["jurisdiction", "APPLIES_TO"] };
+
+export function addEdge(graph, { source, target, relation }) {
+  if (!graph.nodesMap[source] || !graph.nodesMap[target]) {
+    throw new Error("Both ends of the edge must be nodes in the graph.");
+  }
+  if (source === target) throw new Error("An edge cannot link a node to itself.");
+  const rel = String(relation || "").trim().toUpperCase().replace(/\s+/g, "_");
+  if (!rel) throw new Error("Pick a relation for the new edge.");
+  const edge = { source, target, relation: rel, manual: true };
+  if (graph.edges.some((e) => edgeKey(e) === edgeKey(edge))) {
+    throw new Error(`${source} already ${rel} ${target}.`);
+  }
+  return { nodesMap: graph.nodesMap, edges: [...graph.edges, edge] };
+}
+
+export function deleteEdge(graph, key) {
+  return dropOrphans(
+    graph.nodesMap,
+    graph.edges.filter((e) => edgeKey(e) !== key)
+  );
+}
+
+export function deleteNode(graph, id) {
+  const nodesMap = { ...graph.nodesMap };
+  delete nodesMap[id];
+  return dropOrphans(
+    nodesMap,
+    graph.edges.filter((e) => e.source !== id && e.target !== id)
+  );
+}
+
+// Replaces attributes of node `id`. Blank values remove the attribute;
+// changing an Event's region or a Policy's jurisdiction moves its
+// OCCURS_IN / APPLIES_TO edge to the matching Location, created if needed.
+export function updateNode(graph, id, attrs) {
+  const prev = graph.nodesMap[id];
+  if (!prev) throw new Error(`Node ${id} no longer exists.`);
+  const node = { ...prev };
+  Object.entries(attrs).forEach(([k, v]) => {
+    if (k === "id" || k === "type") return;
+    if (v === "" || v == null) delete node[k];
+    else node[k] = v;
+  });
+  const nodesMap = { ...graph.nodesMap, [id]: node };
+  let edges = graph.edges;
+
+  const [attr, relation] = LOCATION_ATTRS[node.type] || [];
+  if (attr && node[attr] !== prev[attr]) {
+    edges = edges.filter((e) => !(e.source === id && e.relation === relation));
+    if (node[attr]) {
+      const locId = `location:${node[attr]}`;
+      nodesMap[locId] = { ...(nodesMap[locId] || {}), id: locId, type: "Location", name: node[attr] };
+      const hierarchy = hierarchyFor(locId, node[attr]);
+      hierarchy.nodes.forEach((n) => {
+        nodesMap[n.id] = { ...(nodesMap[n.id] || {}), ...n };
+      });
+      edges = dedupeEdges([
+        ...edges,
+        { source: id, target: locId, relation },
+        ...hierarchy.edges
+      ]);
+    }
+  }
+  return dropOrphans(nodesMap, edges);
+}
+
+// Folds node `dropId` into `keepId`: its edges are rewired to `keepId`
+// (duplicates and self-loops dropped), attributes the kept node lacks are
+// copied over, and the dropped name is remembered in `aliases`. Merging
+// Locations also renames the region / jurisdiction of the nodes in them.
+export function mergeNodes(graph, keepId, dropId) {
+  const keep = graph.nodesMap[keepId];
+  const drop = graph.nodesMap[dropId];
+  if (!keep || !drop) throw new Error("Both nodes must exist to merge them.");
+  if (keepId === dropId) throw new Error("Pick a different node to merge into.");
+  const aliases = [
+    ...new Set([...(keep.aliases || []), ...(drop.aliases || []), drop.name || drop.title || dropId])
+  ].filter((a) => a !== (keep.name || keep.title));
+  const nodesMap = { ...graph.nodesMap, [keepId]: { ...drop, ...keep, aliases } };
+  delete nodesMap[dropId];
+  // events and policies naming the dropped location now name the kept one
+  if (keep.type === "Location" && drop.name && keep.name) {
+    Object.values(nodesMap).forEach((n) => {
+      const [attr] = LOCATION_ATTRS[n.type] || [];
+      if (attr && n[attr] === drop.name) nodesMap[n.id] = { ...n, [attr]: keep.name };
+    });
+  }
+  const rewire = (v) => (v === dropId ? keepId : v);
+  const edges = dedupeEdges(
+    graph.edges
+      .map((e) => ({ ...e, source: rewire(e.source), target: rewire(e.target) }))
+      .filter((e) => e.source !== e.target)
+  );
+  return dropOrphans(nodesMap, edges);
+}
+
+// Groups of Location ids that resolve to the same gazetteer place, e.g.
+// "TN" and "Tamil Nadu": [{ place, ids }], canonical name first.
+export function duplicateLocations(nodesMap) {
+  const byPlace = {};
+  Object.values(nodesMap).forEach((n) => {
+    if (n.type !== "Location") return;
+    const place = lookupPlace(n.name || n.id.replace(/^location:/, ""));
+    if (place) (byPlace[place.name] = byPlace[place.name] || []).push(n.id);
+  });
+  return Object.entries(byPlace)
+    .filter(([, ids]) => ids.length > 1)
+    .map(([place, ids]) => ({
+      place,
+      ids: ids.sort((a, b) => (a === `location:${place}` ? -1 : b === `location:${place}` ? 1 : 0))
+    }));
+}
@@ -0,0 +1,118 @@
+// Batched, cached and concurrent embedding for ingestion.
+
+import { fnv1a } from "./providers.js";
+import { idbAvailable, idbGetMany, idbPutMany } from "./idb.js";
+
+const CACHE_STORE = "embeddings";
+
+export async function contentHash(text) {
+  if (globalThis.crypto?.subtle) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+  // crypto.subtle only exists in secure contexts (https / localhost).
+  return "fnv-" + fnv1a(text).toString(16);
+}
+
+const readCache = async (keys) => {
+  if (!idbAvailable() || !keys.length) return {};
+  try {
+    return await idbGetMany(CACHE_STORE, keys);
+  } catch (err) {
+    console.warn("Embedding cache read failed", err);
+    return {};
+  }
+};
+
+const writeCache = async (entries) => {
+  if (!idbAvailable() || !entries.length) return;
+  try {
+    await idbPutMany(CACHE_STORE, entries);
+  } catch (err) {
+    console.warn("Embedding cache write failed", err);
+  }
+};
+
+// Embeds `items` ({ key, text, group }) and resolves to { [key]: embedding }.
+//
+// Texts are keyed by provider, model and SHA-256 of the content, so anything
+// embedded before is served from IndexedDB. Misses are deduplicated, split
+// into batches of `batchSize` and sent with at most `concurrency` requests in
+// flight. `onProgress` receives { [group]: { done, total, cached } } after
+// every step; aborting `signal` stops scheduling new batches and rejects.
+export async function embedAll(
+  provider,
+  items,
+  { batchSize = 64, concurrency = 3, signal, onProgress } = {}
+) {
+  const progress = {};
+  items.forEach(({ group }) => {
+    progress[group] = progress[group] || { done: 0, total: 0, cached: 0 };
+    progress[group].total += 1;
+  });
+  const report = () => {
+    if (!onProgress) return;
+    const copy = {};
+    Object.entries(progress).forEach(([g, p]) => {
+      copy[g] = { ...p };
+    });
+    onProgress(copy);
+  };
+  report();
+
+  const keyed = await Promise.all(
+    items.map(async (item) => ({
+      ...item,
+      cacheKey: `${provider.id}:${provider.embeddingModel}:${await contentHash(
+        item.text
+      )}`
+    }))
+  );
+
+  const cached = await readCache([...new Set(keyed.map((i) => i.cacheKey))]);
+  const result = {};
+  const pending = {};
+  keyed.forEach((item) => {
+    if (cached[item.cacheKey]) {
+      result[item.key] = cached[item.cacheKey];
+      progress[item.group].done += 1;
+      progress[item.group].cached += 1;
+    } else {
+      (pending[item.cacheKey] = pending[item.cacheKey] || []).push(item);
+    }
+  });
+  report();
+
+  const missKeys = Object.keys(pending);
+  const batches = [];
+  for (let i = 0; i < missKeys.length; i += batchSize) {
+    batches.push(missKeys.slice(i, i + batchSize));
+  }
+
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      signal?.throwIfAborted();
+      const batch = batches[next++];
+      const texts = batch.map((k) => pending[k][0].text);
+      const vectors = await provider.embedMany(texts, { signal });
+      const entries = batch.map((k, i) => ({ key: k, value: vectors[i] }));
+      await writeCache(entries);
+      batch.forEach((k, i) => {
+        pending[k].forEach((item) => {
+          result[item.key] = vectors[i];
+          progress[item.group].done += 1;
+        });
+      });
+      report();
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, batches.length) }, worker)
+  );
+  signal?.throwIfAborted();
+  return result;
+}
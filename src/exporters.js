@@ -0,0 +1,321 @@
+// Serializers for moving the graph into Gephi, Neo4j and triple stores.
+//
+// All exporters take { nodesMap, edges, metrics } where `metrics` is the
+// per-node { degree_centrality, risk_score, ... } map the studio computes;
+// metric values are written as ordinary node attributes.
+
+const VOCAB = "https://energy-verse-portal.netlify.app/vocab#";
+const NODE_IRI = "urn:energy-graph:";
+const nodeIri = (id) => NODE_IRI + encodeURI(id);
+
+const xmlEscape = (v) =>
+  String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const isScalar = (v) =>
+  v != null && ["string", "number", "boolean"].includes(typeof v);
+
+const nodeLabel = (n) => n.title || n.name || n.id;
+
+// Nodes with metric values folded in, and edges as plain id pairs.
+function flatten({ nodesMap, edges, metrics = {} }) {
+  const nodes = Object.values(nodesMap).map((n) => ({
+    ...n,
+    ...(metrics[n.id] || {})
+  }));
+  const links = edges.map((e, i) => ({
+    ...e,
+    id: `e${i}`,
+    source: typeof e.source === "object" ? e.source.id : e.source,
+    target: typeof e.target === "object" ? e.target.id : e.target
+  }));
+  return { nodes, links };
+}
+
+// Attribute columns for a list of records: every scalar key, typed as
+// "double" when all present values are numbers, "boolean" when all are
+// booleans and "string" otherwise.
+function attributeColumns(records, skip) {
+  const cols = {};
+  records.forEach((r) => {
+    Object.entries(r).forEach(([k, v]) => {
+      if (skip.includes(k) || !isScalar(v)) return;
+      const t =
+        typeof v === "number" ? "double" : typeof v === "boolean" ? "boolean" : "string";
+      cols[k] = cols[k] == null || cols[k] === t ? t : "string";
+    });
+  });
+  return Object.entries(cols).map(([name, type]) => ({ name, type }));
+}
+
+// ---------------------- GraphML ----------------------
+
+export function toGraphML(graph) {
+  const { nodes, links } = flatten(graph);
+  const nodeCols = attributeColumns(nodes, ["id"]);
+  const edgeCols = attributeColumns(links, ["id", "source", "target"]);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+  ];
+  nodeCols.forEach((c) =>
+    out.push(
+      `  <key id="n_${c.name}" for="node" attr.name="${c.name}" attr.type="${c.type}"/>`
+    )
+  );
+  edgeCols.forEach((c) =>
+    out.push(
+      `  <key id="e_${c.name}" for="edge" attr.name="${c.name}" attr.type="${c.type}"/>`
+    )
+  );
+  out.push('  <graph id="energy-graph" edgedefault="directed">');
+  nodes.forEach((n) => {
+    out.push(`    <node id="${xmlEscape(n.id)}">`);
+    nodeCols.forEach((c) => {
+      if (isScalar(n[c.name])) {
+        out.push(`      <data key="n_${c.name}">${xmlEscape(n[c.name])}</data>`);
+      }
+    });
+    out.push("    </node>");
+  });
+  links.forEach((e) => {
+    out.push(
+      `    <edge id="${e.id}" source="${xmlEscape(e.source)}" target="${xmlEscape(e.target)}">`
+    );
+    edgeCols.forEach((c) => {
+      if (isScalar(e[c.name])) {
+        out.push(`      <data key="e_${c.name}">${xmlEscape(e[c.name])}</data>`);
+      }
+    });
+    out.push("    </edge>");
+  });
+  out.push("  </graph>", "</graphml>", "");
+  return out.join("\n");
+}
+
+// ---------------------- GEXF ----------------------
+
+export function toGEXF(graph) {
+  const { nodes, links } = flatten(graph);
+  const nodeCols = attributeColumns(nodes, ["id"]);
+  const edgeCols = attributeColumns(links, ["id", "source", "target"]);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    "    <creator>EnergyVerse Graph RAG Studio</creator>",
+    "  </meta>",
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">'
+  ];
+  nodeCols.forEach((c, i) =>
+    out.push(`      <attribute id="${i}" title="${c.name}" type="${c.type}"/>`)
+  );
+  out.push("    </attributes>", '    <attributes class="edge">');
+  edgeCols.forEach((c, i) =>
+    out.push(`      <attribute id="${i}" title="${c.name}" type="${c.type}"/>`)
+  );
+  out.push("    </attributes>", "    <nodes>");
+  nodes.forEach((n) => {
+    out.push(
+      `      <node id="${xmlEscape(n.id)}" label="${xmlEscape(nodeLabel(n))}">`,
+      "        <attvalues>"
+    );
+    nodeCols.forEach((c, i) => {
+      if (isScalar(n[c.name])) {
+        out.push(`          <attvalue for="${i}" value="${xmlEscape(n[c.name])}"/>`);
+      }
+    });
+    out.push("        </attvalues>", "      </node>");
+  });
+  out.push("    </nodes>", "    <edges>");
+  links.forEach((e) => {
+    const weight = typeof e.weight === "number" ? ` weight="${e.weight}"` : "";
+    out.push(
+      `      <edge id="${e.id}" source="${xmlEscape(e.source)}" target="${xmlEscape(e.target)}" label="${xmlEscape(e.relation || "")}"${weight}>`,
+      "        <attvalues>"
+    );
+    edgeCols.forEach((c, i) => {
+      if (isScalar(e[c.name])) {
+        out.push(`          <attvalue for="${i}" value="${xmlEscape(e[c.name])}"/>`);
+      }
+    });
+    out.push("        </attvalues>", "      </edge>");
+  });
+  out.push("    </edges>", "  </graph>", "</gexf>", "");
+  return out.join("\n");
+}
+
+// ---------------------- Neo4j Cypher ----------------------
+
+const cypherString = (v) =>
+  "'" + String(v).replace(/\\/g, "\\\\").replace(/'/g, "\\'") + "'";
+
+const cypherValue = (v) =>
+  typeof v === "number" || typeof v === "boolean" ? String(v) : cypherString(v);
+
+const cypherIdent = (s) =>
+  String(s || "RELATED_TO")
+    .replace(/[^A-Za-z0-9_]/g, "_")
+    .replace(/^(\d)/, "_$1");
+
+const cypherProps = (obj, skip) => {
+  const parts = Object.entries(obj)
+    .filter(([k, v]) => !skip.includes(k) && isScalar(v))
+    .map(([k, v]) => `${cypherIdent(k)}: ${cypherValue(v)}`);
+  return `{${parts.join(", ")}}`;
+};
+
+// `mode` "merge" produces an idempotent script keyed on node id (safe to
+// re-run against an existing database); "create" a plain bulk load.
+export function toCypher(graph, { mode = "merge" } = {}) {
+  const { nodes, links } = flatten(graph);
+  const out = [
+    "// EnergyVerse knowledge graph export",
+    "CREATE CONSTRAINT energy_node_id IF NOT EXISTS FOR (n:EnergyNode) REQUIRE n.id IS UNIQUE;",
+    ""
+  ];
+  nodes.forEach((n) => {
+    const label = `EnergyNode:${cypherIdent(n.type || "Node")}`;
+    if (mode === "merge") {
+      out.push(
+        `MERGE (n:${label} {id: ${cypherString(n.id)}}) SET n += ${cypherProps(n, ["id"])};`
+      );
+    } else {
+      out.push(`CREATE (:${label} ${cypherProps(n, [])});`);
+    }
+  });
+  out.push("");
+  links.forEach((e) => {
+    const rel = cypherIdent(e.relation);
+    const props = cypherProps(e, ["id", "source", "target", "relation"]);
+    const match =
+      `MATCH (a:EnergyNode {id: ${cypherString(e.source)}}), ` +
+      `(b:EnergyNode {id: ${cypherString(e.target)}}) `;
+    const hasProps = props !== "{}";
+    out.push(
+      mode === "merge"
+        ? `${match}MERGE (a)-[r:${rel}]->(b)${hasProps ? ` SET r += ${props}` : ""};`
+        : `${match}CREATE (a)-[:${rel}${hasProps ? " " + props : ""}]->(b);`
+    );
+  });
+  out.push("");
+  return out.join("\n");
+}
+
+// ---------------------- JSON-LD ----------------------
+
+const camel = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+const XSD = "http://www.w3.org/2001/XMLSchema#";
+
+// Node attributes with a well-known meaning map onto schema.org; everything
+// else lives in the small `ev:` energy-events vocabulary.
+const LD_TERMS = {
+  title: { "@id": "schema:name" },
+  name: { "@id": "schema:name" },
+  summary: { "@id": "schema:description" },
+  published: { "@id": "schema:datePublished", "@type": "xsd:dateTime" },
+  start_time: { "@id": "schema:startDate", "@type": "xsd:dateTime" },
+  end_time: { "@id": "schema:endDate", "@type": "xsd:dateTime" },
+  start_date: { "@id": "ev:effectiveFrom", "@type": "xsd:date" },
+  end_date: { "@id": "ev:effectiveUntil", "@type": "xsd:date" },
+  region: { "@id": "ev:region" },
+  jurisdiction: { "@id": "ev:jurisdiction" },
+  asset_type: { "@id": "ev:assetType" },
+  category: { "@id": "ev:policyCategory" },
+  severity: { "@id": "ev:severity", "@type": "xsd:double" },
+  lat: { "@id": "schema:latitude", "@type": "xsd:double" },
+  lon: { "@id": "schema:longitude", "@type": "xsd:double" },
+  degree_centrality: { "@id": "ev:degreeCentrality", "@type": "xsd:double" },
+  risk_score: { "@id": "ev:riskScore", "@type": "xsd:double" }
+};
+
+export function toJSONLD(graph) {
+  const { nodes, links } = flatten(graph);
+  const context = {
+    ev: VOCAB,
+    schema: "https://schema.org/",
+    xsd: XSD
+  };
+  const termFor = (key) => {
+    const term = camel(key);
+    if (!context[term]) {
+      context[term] = LD_TERMS[key] || { "@id": `ev:${term}` };
+    }
+    return term;
+  };
+
+  const byId = {};
+  const graphNodes = nodes.map((n) => {
+    const doc = {
+      "@id": nodeIri(n.id),
+      "@type": `ev:${cypherIdent(n.type || "Node")}`
+    };
+    Object.entries(n).forEach(([k, v]) => {
+      if (k === "id" || k === "type" || !isScalar(v)) return;
+      doc[termFor(k)] = v;
+    });
+    byId[n.id] = doc;
+    return doc;
+  });
+
+  links.forEach((e) => {
+    const src = byId[e.source];
+    if (!src) return;
+    const term = camel(cypherIdent(e.relation));
+    context[term] = context[term] || { "@id": `ev:${term}`, "@type": "@id" };
+    src[term] = [...(src[term] || []), nodeIri(e.target)];
+  });
+
+  return JSON.stringify({ "@context": context, "@graph": graphNodes }, null, 2);
+}
+
+// ---------------------- registry ----------------------
+
+export const EXPORT_FORMATS = [
+  {
+    id: "graphml",
+    label: "GraphML (Gephi, yEd)",
+    ext: "graphml",
+    mime: "application/xml",
+    serialize: toGraphML
+  },
+  {
+    id: "gexf",
+    label: "GEXF (Gephi)",
+    ext: "gexf",
+    mime: "application/xml",
+    serialize: toGEXF
+  },
+  {
+    id: "cypher-merge",
+    label: "Neo4j Cypher (MERGE)",
+    ext: "cypher",
+    mime: "text/plain",
+    serialize: (g) => toCypher(g, { mode: "merge" })
+  },
+  {
+    id: "cypher-create",
+    label: "Neo4j Cypher (CREATE)",
+    ext: "cypher",
+    mime: "text/plain",
+    serialize: (g) => toCypher(g, { mode: "create" })
+  },
+  {
+    id: "jsonld",
+    label: "JSON-LD",
+    ext: "jsonld",
+    mime: "application/ld+json",
+    serialize: toJSONLD
+  }
+];
@@ -0,0 +1,279 @@
+// Entity and relation extraction from node text into new graph nodes/edges.
+//
+// The model is asked for { entities: [{ name, type, span }], relations:
+// [{ source, target, type }] } where `source` may be "SELF" for the node the
+// text came from. The answer is validated before anything touches the graph,
+// and every extracted node and edge keeps provenance pointing back to the
+// source node and the character span of the supporting text.
+
+import { dedupeEdges } from "./ingest.js";
+
+export const ENTITY_TYPES = ["Asset", "Technology", "Organization", "Hazard"];
+
+export const EXTRACTED_RELATIONS = [
+  "MENTIONS",
+  "INVOLVES",
+  "CAUSED_BY",
+  "AFFECTS",
+  "OPERATES",
+  "USES",
+  "REGULATES",
+  "SUPPORTS"
+];
+
+const MAX_NAME_LENGTH = 80;
+
+export function buildExtractionPrompt(node) {
+  return (
+    "Extract entities and relations from this energy knowledge graph node.\n\n" +
+    `Node type: ${node.type}\n` +
+    `Title: ${node.title || node.name || ""}\n` +
+    `Text: ${node.summary || ""}\n\n` +
+    `Entity types: ${ENTITY_TYPES.join(", ")} ` +
+    "(Asset = physical grid equipment such as substations, transmission lines, transformers or plants; " +
+    "Technology = wind, solar, storage, HVDC and similar; Organization = utilities, regulators, operators; " +
+    "Hazard = flood, heatwave, cyclone, wildfire, cyberattack and similar). " +
+    `Relation types: ${EXTRACTED_RELATIONS.join(", ")}. ` +
+    'Use "SELF" as the relation source when the relation starts at this node. ' +
+    "For each entity, copy the exact phrase from the text it came from into span. " +
+    "Return only JSON with no prose and no code fences, shaped as " +
+    '{"entities":[{"name":"","type":"","span":""}],"relations":[{"source":"","target":"","type":""}]}.'
+  );
+}
+
+// Pulls the first JSON object out of a model answer, tolerating code fences
+// or stray prose around it.
+export function parseModelJson(text) {
+  const cleaned = String(text || "")
+    .replace(/```(?:json)?/gi, "")
+    .trim();
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start < 0 || end <= start) {
+    throw new Error("The model did not return JSON.");
+  }
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch {
+    throw new Error("The model returned malformed JSON.");
+  }
+}
+
+const normalizeName = (name) =>
+  String(name || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const findSpan = (text, phrase) => {
+  if (!phrase) return null;
+  const start = text.toLowerCase().indexOf(String(phrase).toLowerCase());
+  if (start < 0) return null;
+  return { start, end: start + phrase.length, text: text.slice(start, start + phrase.length) };
+};
+
+// Validates a raw extraction against the allowed types and the source text.
+// Returns { entities, relations, warnings }; invalid items are dropped with
+// a warning rather than failing the whole node.
+export function validateExtraction(raw, sourceText) {
+  const warnings = [];
+  const entities = [];
+  const byName = {};
+  (Array.isArray(raw?.entities) ? raw.entities : []).forEach((e, i) => {
+    const name = normalizeName(e?.name);
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      warnings.push(`Entity #${i + 1} has no usable name.`);
+      return;
+    }
+    if (!ENTITY_TYPES.includes(e.type)) {
+      warnings.push(`Entity "${name}" has unknown type "${e?.type}".`);
+      return;
+    }
+    const key = name.toLowerCase();
+    if (byName[key]) return;
+    const span = findSpan(sourceText, e.span) || findSpan(sourceText, name);
+    if (!span) {
+      warnings.push(`Entity "${name}" does not appear in the source text.`);
+      return;
+    }
+    const entity = { name, type: e.type, span };
+    byName[key] = entity;
+    entities.push(entity);
+  });
+
+  const relations = [];
+  (Array.isArray(raw?.relations) ? raw.relations : []).forEach((r, i) => {
+    const source = normalizeName(r?.source);
+    const target = normalizeName(r?.target);
+    const type = String(r?.type || "").toUpperCase();
+    const from = source.toUpperCase() === "SELF" ? "SELF" : byName[source.toLowerCase()];
+    const to = byName[target.toLowerCase()];
+    if (!from || !to) {
+      warnings.push(`Relation #${i + 1} refers to an unknown entity.`);
+      return;
+    }
+    if (!EXTRACTED_RELATIONS.includes(type)) {
+      warnings.push(`Relation #${i + 1} has unknown type "${r?.type}".`);
+      return;
+    }
+    relations.push({ from, to, type });
+  });
+
+  // every entity stays reachable from its source node
+  entities.forEach((e) => {
+    if (!relations.some((r) => r.from === "SELF" && r.to === e)) {
+      relations.push({ from: "SELF", to: e, type: "MENTIONS" });
+    }
+  });
+
+  return { entities, relations, warnings };
+}
+
+// ---------------------- offline extraction ----------------------
+
+const KEYWORDS = {
+  Asset: [
+    "substation",
+    "transmission line",
+    "transmission tower",
+    "distribution feeder",
+    "transformer",
+    "power plant",
+    "wind farm",
+    "solar park",
+    "interconnector",
+    "grid"
+  ],
+  Technology: [
+    "wind",
+    "solar",
+    "rooftop pv",
+    "pv",
+    "battery",
+    "storage",
+    "hydro",
+    "hvdc",
+    "nuclear",
+    "demand response",
+    "smart meter"
+  ],
+  Organization: [
+    "utility",
+    "regulator",
+    "system operator",
+    "discom",
+    "ministry",
+    "commission"
+  ],
+  Hazard: [
+    "flood",
+    "flooding",
+    "heatwave",
+    "cyclone",
+    "storm",
+    "monsoon",
+    "wildfire",
+    "earthquake",
+    "drought",
+    "cyberattack"
+  ]
+};
+
+// Keyword fallback for the offline provider: same output shape as a model
+// answer, so it goes through the same validation.
+export function keywordExtraction(text) {
+  const lower = (text || "").toLowerCase();
+  const entities = [];
+  const taken = [];
+  Object.entries(KEYWORDS).forEach(([type, words]) => {
+    [...words]
+      .sort((a, b) => b.length - a.length)
+      .forEach((w) => {
+        const re = new RegExp(`\\b${w}\\b`);
+        const m = re.exec(lower);
+        if (!m) return;
+        const start = m.index;
+        const end = start + w.length;
+        if (taken.some(([s, e]) => start < e && end > s)) return;
+        taken.push([start, end]);
+        entities.push({ name: text.slice(start, end), type, span: text.slice(start, end) });
+      });
+  });
+  const hazards = entities.filter((e) => e.type === "Hazard");
+  const assets = entities.filter((e) => e.type === "Asset");
+  const relations = [
+    ...hazards.map((h) => ({ source: "SELF", target: h.name, type: "CAUSED_BY" })),
+    ...hazards.flatMap((h) =>
+      assets.map((a) => ({ source: h.name, target: a.name, type: "AFFECTS" }))
+    )
+  ];
+  return { entities, relations };
+}
+
+export async function extractFromNode(provider, node, { signal } = {}) {
+  const sourceText = node.summary || "";
+  if (!sourceText.trim()) return { entities: [], relations: [], warnings: [] };
+  const raw =
+    provider.id === "offline"
+      ? keywordExtraction(sourceText)
+      : parseModelJson(
+          await provider.complete(buildExtractionPrompt(node), { signal })
+        );
+  return validateExtraction(raw, sourceText);
+}
+
+// ---------------------- graph merge ----------------------
+
+const entityId = (e) =>
+  `${e.type.toLowerCase()}:${e.name.toLowerCase().replace(/\s+/g, "_")}`;
+
+// Adds one node's extraction to the graph. Edges previously extracted from
+// the same source node are replaced; entity nodes collect provenance from
+// every source that mentions them.
+export function applyExtraction({ nodesMap, edges }, sourceId, extraction) {
+  const nextNodes = {};
+  Object.values(nodesMap).forEach((n) => {
+    nextNodes[n.id] = n.provenance
+      ? { ...n, provenance: n.provenance.filter((p) => p.node !== sourceId) }
+      : n;
+  });
+  extraction.entities.forEach((e) => {
+    const id = entityId(e);
+    const existing = nextNodes[id];
+    const provenance = [
+      ...(existing?.provenance || []),
+      { node: sourceId, ...e.span }
+    ];
+    nextNodes[id] = {
+      ...(existing || {}),
+      id,
+      type: e.type,
+      name: existing?.name || e.name,
+      provenance
+    };
+  });
+
+  const nextEdges = dedupeEdges([
+    ...edges.filter((e) => !(e.extracted && e.provenance?.node === sourceId)),
+    ...extraction.relations.map((r) => ({
+      source: r.from === "SELF" ? sourceId : entityId(r.from),
+      target: entityId(r.to),
+      relation: r.type,
+      extracted: true,
+      provenance: { node: sourceId, ...(r.from === "SELF" ? r.to.span : r.from.span) }
+    }))
+  ]);
+
+  // entities no longer backed by any extracted edge go away
+  const referenced = new Set();
+  nextEdges.forEach((e) => {
+    referenced.add(e.source);
+    referenced.add(e.target);
+  });
+  Object.values(nextNodes).forEach((n) => {
+    if (ENTITY_TYPES.includes(n.type) && !referenced.has(n.id)) {
+      delete nextNodes[n.id];
+    }
+  });
+
+  return { nodesMap: nextNodes, edges: nextEdges };
+}
@@ -0,0 +1,72 @@
+// Bundled gazetteer for placing Location nodes on the map without a network
+// geocoder. Each place has a canonical `name`, optional `aliases`, the name of
+// its `parent` (Tamil Nadu is inside India) and either a bounding box
+// `bbox: [west, south, east, north]` in degrees (regions, drawn as the map's
+// basemap shapes) or a point `lat` / `lon` (cities). Boxes are approximate.
+
+export const GAZETTEER = [
+  // ---------------------- countries and unions ----------------------
+  { name: "European Union", aliases: ["EU", "Europe"], bbox: [-10.5, 35, 30, 70] },
+  { name: "India", aliases: ["Republic of India", "IN"], bbox: [68.1, 6.5, 97.4, 35.5] },
+  { name: "Pakistan", bbox: [60.9, 23.7, 77.8, 37.1] },
+  { name: "Nepal", bbox: [80.1, 26.4, 88.2, 30.4] },
+  { name: "Bangladesh", bbox: [88, 20.7, 92.7, 26.6] },
+  { name: "Sri Lanka", bbox: [79.7, 5.9, 81.9, 9.8] },
+  { name: "China", aliases: ["PRC"], bbox: [73.5, 18.2, 134.8, 53.6] },
+  { name: "Japan", bbox: [129.4, 31, 145.5, 45.5] },
+  { name: "Australia", bbox: [113.3, -43.6, 153.6, -10.7] },
+  {
+    name: "United States",
+    aliases: ["USA", "US", "United States of America"],
+    bbox: [-124.8, 24.5, -66.9, 49.4]
+  },
+  { name: "Canada", bbox: [-141, 41.7, -52.6, 70] },
+  { name: "Brazil", bbox: [-74, -33.7, -34.8, 5.3] },
+  { name: "South Africa", bbox: [16.5, -34.8, 32.9, -22.1] },
+  { name: "United Kingdom", aliases: ["UK", "Great Britain", "Britain"], bbox: [-8.2, 49.9, 1.8, 58.7] },
+  { name: "Germany", parent: "European Union", bbox: [5.9, 47.3, 15, 55.1] },
+  { name: "France", parent: "European Union", bbox: [-5.1, 41.3, 9.6, 51.1] },
+  { name: "Spain", parent: "European Union", bbox: [-9.3, 36, 3.3, 43.8] },
+  { name: "Italy", parent: "European Union", bbox: [6.6, 36.6, 18.5, 47.1] },
+
+  // ---------------------- Indian states ----------------------
+  { name: "Tamil Nadu", aliases: ["TN"], parent: "India", bbox: [76.2, 8.1, 80.4, 13.6] },
+  { name: "Kerala", parent: "India", bbox: [74.8, 8.2, 77.4, 12.8] },
+  { name: "Karnataka", parent: "India", bbox: [74, 11.5, 78.6, 18.5] },
+  { name: "Andhra Pradesh", aliases: ["AP"], parent: "India", bbox: [76.7, 12.6, 84.8, 19.9] },
+  { name: "Telangana", parent: "India", bbox: [77.2, 15.8, 81.3, 19.9] },
+  { name: "Maharashtra", parent: "India", bbox: [72.6, 15.6, 80.9, 22] },
+  { name: "Goa", parent: "India", bbox: [73.7, 14.9, 74.3, 15.8] },
+  { name: "Gujarat", parent: "India", bbox: [68.1, 20.1, 74.5, 24.7] },
+  { name: "Rajasthan", parent: "India", bbox: [69.5, 23, 78.3, 30.2] },
+  { name: "Madhya Pradesh", aliases: ["MP"], parent: "India", bbox: [74, 21.1, 82.8, 26.9] },
+  { name: "Chhattisgarh", parent: "India", bbox: [80.2, 17.8, 84.4, 24.1] },
+  { name: "Uttar Pradesh", aliases: ["UP"], parent: "India", bbox: [77.1, 23.9, 84.6, 30.4] },
+  { name: "Uttarakhand", parent: "India", bbox: [77.6, 28.7, 81, 31.5] },
+  { name: "Himachal Pradesh", parent: "India", bbox: [75.6, 30.4, 79, 33.2] },
+  { name: "Punjab", parent: "India", bbox: [73.9, 29.5, 77, 32.5] },
+  { name: "Haryana", parent: "India", bbox: [74.5, 27.6, 77.6, 30.9] },
+  { name: "Delhi", aliases: ["NCT of Delhi"], parent: "India", bbox: [76.8, 28.4, 77.35, 28.9] },
+  { name: "Bihar", parent: "India", bbox: [83.3, 24.3, 88.3, 27.5] },
+  { name: "Jharkhand", parent: "India", bbox: [83.3, 21.9, 87.9, 25.3] },
+  { name: "Odisha", aliases: ["Orissa"], parent: "India", bbox: [81.4, 17.8, 87.5, 22.6] },
+  { name: "West Bengal", parent: "India", bbox: [85.8, 21.5, 89.9, 27.2] },
+  { name: "Assam", parent: "India", bbox: [89.7, 24.1, 96, 28] },
+
+  // ---------------------- US states ----------------------
+  { name: "California", aliases: ["CA"], parent: "United States", bbox: [-124.4, 32.5, -114.1, 42] },
+  { name: "Texas", aliases: ["TX", "ERCOT"], parent: "United States", bbox: [-106.6, 25.8, -93.5, 36.5] },
+  { name: "New York", aliases: ["NY"], parent: "United States", bbox: [-79.8, 40.5, -71.9, 45] },
+  { name: "Florida", aliases: ["FL"], parent: "United States", bbox: [-87.6, 24.5, -80, 31] },
+
+  // ---------------------- cities ----------------------
+  { name: "Chennai", aliases: ["Madras"], parent: "Tamil Nadu", lat: 13.08, lon: 80.27 },
+  { name: "Coimbatore", parent: "Tamil Nadu", lat: 11.02, lon: 76.96 },
+  { name: "Mumbai", aliases: ["Bombay"], parent: "Maharashtra", lat: 19.08, lon: 72.88 },
+  { name: "Bengaluru", aliases: ["Bangalore"], parent: "Karnataka", lat: 12.97, lon: 77.59 },
+  { name: "Hyderabad", parent: "Telangana", lat: 17.39, lon: 78.49 },
+  { name: "Kolkata", aliases: ["Calcutta"], parent: "West Bengal", lat: 22.57, lon: 88.36 },
+  { name: "New Delhi", parent: "Delhi", lat: 28.61, lon: 77.21 },
+  { name: "Houston", parent: "Texas", lat: 29.76, lon: -95.37 },
+  { name: "Los Angeles", parent: "California", lat: 34.05, lon: -118.24 }
+];
@@ -0,0 +1,202 @@
+// Geocoding against the bundled gazetteer, the Location hierarchy
+// (PART_OF edges from a region to the region that contains it) and the
+// equirectangular projection used by the map panel.
+
+import { GAZETTEER } from "./gazetteer.js";
+
+export const HIERARCHY_RELATION = "PART_OF";
+
+const normalize = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// places by canonical name and alias; boxes get their centre as lat / lon
+const PLACES = new Map();
+GAZETTEER.forEach((p) => {
+  const place = p.bbox
+    ? { ...p, lon: (p.bbox[0] + p.bbox[2]) / 2, lat: (p.bbox[1] + p.bbox[3]) / 2 }
+    : p;
+  [p.name, ...(p.aliases || [])].forEach((n) => PLACES.set(normalize(n), place));
+});
+
+export const lookupPlace = (name) => PLACES.get(normalize(name)) || null;
+
+// Containing places from the nearest parent outwards.
+export function placeAncestors(place) {
+  const out = [];
+  const seen = new Set();
+  let parent = place && lookupPlace(place.parent);
+  while (parent && !seen.has(parent.name)) {
+    seen.add(parent.name);
+    out.push(parent);
+    parent = lookupPlace(parent.parent);
+  }
+  return out;
+}
+
+// Location nodes and PART_OF edges for the chain of regions containing
+// `name`, starting from the node `locId` that was created for it.
+export function hierarchyFor(locId, name) {
+  const nodes = [];
+  const edges = [];
+  let child = locId;
+  placeAncestors(lookupPlace(name)).forEach((p) => {
+    const parentId = `location:${p.name}`;
+    nodes.push({ id: parentId, type: "Location", name: p.name });
+    edges.push({ source: child, target: parentId, relation: HIERARCHY_RELATION });
+    child = parentId;
+  });
+  return { nodes, edges };
+}
+
+// Ids of the Locations containing `id` (nearest first) or contained in it,
+// following PART_OF edges.
+function walkHierarchy(id, edges, upwards) {
+  const out = [];
+  const seen = new Set([id]);
+  let frontier = [id];
+  while (frontier.length) {
+    const next = [];
+    edges.forEach((e) => {
+      if (e.relation !== HIERARCHY_RELATION) return;
+      const from = upwards ? e.source : e.target;
+      const to = upwards ? e.target : e.source;
+      if (frontier.includes(from) && !seen.has(to)) {
+        seen.add(to);
+        out.push(to);
+        next.push(to);
+      }
+    });
+    frontier = next;
+  }
+  return out;
+}
+
+export const locationAncestors = (id, edges) => walkHierarchy(id, edges, true);
+export const locationDescendants = (id, edges) => walkHierarchy(id, edges, false);
+
+// Policies that apply to a Location, directly or through a region containing
+// it: [{ policyId, via }] where `via` is the Location the policy targets.
+export function policiesInForce(locId, nodesMap, edges) {
+  const targets = [locId, ...locationAncestors(locId, edges)];
+  const out = [];
+  targets.forEach((via) => {
+    edges.forEach((e) => {
+      if (
+        e.relation === "APPLIES_TO" &&
+        e.target === via &&
+        nodesMap[e.source]?.type === "Policy"
+      ) {
+        out.push({ policyId: e.source, via });
+      }
+    });
+  });
+  return out;
+}
+
+// ---------------------- placement ----------------------
+
+// Map positions for the graph: { placed: { [id]: { lon, lat, bbox, kind } },
+// unplaced: [id] }. Locations come from the gazetteer; Events use their own
+// lat / lon when present, else the Location they OCCURS_IN; Policies sit at
+// the Location they APPLY_TO. Papers and extracted entities are not placed.
+export function geocodeGraph(nodesMap, edges) {
+  const placed = {};
+  const unplaced = [];
+  const nodes = Object.values(nodesMap);
+
+  nodes.forEach((n) => {
+    if (n.type !== "Location") return;
+    const place = lookupPlace(n.name || n.id.replace(/^location:/, ""));
+    if (place) {
+      placed[n.id] = { lon: place.lon, lat: place.lat, bbox: place.bbox || null, kind: "Location" };
+    } else {
+      unplaced.push(n.id);
+    }
+  });
+
+  const anchorOf = (id, relation, fallbackName) => {
+    const e = edges.find((e) => e.source === id && e.relation === relation && placed[e.target]);
+    if (e) return placed[e.target];
+    const place = fallbackName && lookupPlace(fallbackName);
+    return place ? { lon: place.lon, lat: place.lat } : null;
+  };
+
+  nodes.forEach((n) => {
+    let at = null;
+    if (n.type === "Event") {
+      at =
+        n.lat != null && n.lon != null
+          ? { lon: Number(n.lon), lat: Number(n.lat) }
+          : anchorOf(n.id, "OCCURS_IN", n.region);
+    } else if (n.type === "Policy") {
+      at = anchorOf(n.id, "APPLIES_TO", n.jurisdiction);
+    } else {
+      return;
+    }
+    if (at && isFinite(at.lon) && isFinite(at.lat)) {
+      placed[n.id] = { lon: at.lon, lat: at.lat, bbox: null, kind: n.type };
+    } else {
+      unplaced.push(n.id);
+    }
+  });
+
+  return { placed, unplaced };
+}
+
+// ---------------------- projection ----------------------
+
+export const WORLD_VIEW = { west: -180, south: -60, east: 180, north: 80 };
+
+// Smallest view containing every placed point and box, padded by `pad`
+// (a fraction of its size) and kept at least `minSpan` degrees wide.
+export function fitView(placements, { pad = 0.1, minSpan = 6 } = {}) {
+  let west = Infinity;
+  let south = Infinity;
+  let east = -Infinity;
+  let north = -Infinity;
+  placements.forEach((p) => {
+    const [w, s, e, n] = p.bbox || [p.lon, p.lat, p.lon, p.lat];
+    west = Math.min(west, w);
+    south = Math.min(south, s);
+    east = Math.max(east, e);
+    north = Math.max(north, n);
+  });
+  if (!isFinite(west)) return WORLD_VIEW;
+  const cx = (west + east) / 2;
+  const cy = (south + north) / 2;
+  const halfW = Math.max(east - west, minSpan) * (0.5 + pad);
+  const halfH = Math.max(north - south, minSpan) * (0.5 + pad);
+  return { west: cx - halfW, south: cy - halfH, east: cx + halfW, north: cy + halfH };
+}
+
+// Scales a view about its centre (factor < 1 zooms in) or moves its centre.
+export function zoomView(view, factor, center) {
+  const cx = center ? center.lon : (view.west + view.east) / 2;
+  const cy = center ? center.lat : (view.south + view.north) / 2;
+  const halfW = ((view.east - view.west) / 2) * factor;
+  const halfH = ((view.north - view.south) / 2) * factor;
+  return { west: cx - halfW, south: cy - halfH, east: cx + halfW, north: cy + halfH };
+}
+
+export const inView = (view, p) =>
+  p.lon >= view.west && p.lon <= view.east && p.lat >= view.south && p.lat <= view.north;
+
+// Equirectangular projection of a view onto a width x height box. Latitude
+// is scaled by the cosine of the view's middle latitude so regions keep a
+// plausible shape away from the equator.
+export function projection(view, width, height) {
+  const midLat = ((view.south + view.north) / 2) * (Math.PI / 180);
+  const aspect = Math.max(Math.cos(midLat), 0.2);
+  const spanX = (view.east - view.west) * aspect;
+  const spanY = view.north - view.south;
+  const scale = Math.min(width / spanX, height / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  return ({ lon, lat }) => ({
+    x: offsetX + (lon - view.west) * aspect * scale,
+    y: offsetY + (view.north - lat) * scale
+  });
+}
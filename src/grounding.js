@@ -0,0 +1,84 @@
+// Inline node-id citations in RAG answers and the grounding check run on
+// them.
+//
+// The model is asked to cite like "[event:evt-1]" or "[paper:p1, policy:p2]".
+// Answers are split into sentences, each carrying the ids it cites, then
+// flagged when it cites nothing or cites nodes outside the retrieved set.
+
+export const CITATION_INSTRUCTIONS =
+  "Cite your sources inline: end every sentence with the ids of the context nodes that support it, " +
+  "in square brackets exactly as written in the context, e.g. [event:evt-1] or [paper:p1, policy:pol-2]. " +
+  "Only cite ids that appear in the context above.";
+
+// A bracket group counts as a citation when every entry looks like a node id
+// ("type:rest").
+const CITATION_RE = /\[([^\[\]]+)\]/g;
+const ID_RE = /^[A-Za-z_]+:\S.*$/;
+
+const splitIds = (inner) =>
+  inner
+    .split(/[,;]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const isCitation = (inner) => {
+  const ids = splitIds(inner);
+  return ids.length > 0 && ids.every((id) => ID_RE.test(id));
+};
+
+// Splits on sentence ends, keeping citations that follow the full stop
+// ("... outage. [event:e1] Next ...") with the sentence before them.
+const SENTENCE_RE = /(?<=[.!?](?:\s*\[[^\[\]]*\])*)\s+(?=[^\s\[])/;
+
+// Parses an answer into sentences of { text, citations, segments } where
+// `segments` interleave { text } and { cite: [ids] } for rendering.
+export function parseCitations(answer) {
+  const sentences = [];
+  String(answer || "")
+    .split(/\n+/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .forEach((paragraph, pIndex) => {
+      paragraph.split(SENTENCE_RE).forEach((raw) => {
+        const segments = [];
+        const citations = [];
+        let last = 0;
+        raw.replace(CITATION_RE, (match, inner, offset) => {
+          if (!isCitation(inner)) return match;
+          if (offset > last) segments.push({ text: raw.slice(last, offset) });
+          const ids = splitIds(inner);
+          segments.push({ cite: ids });
+          ids.forEach((id) => {
+            if (!citations.includes(id)) citations.push(id);
+          });
+          last = offset + match.length;
+          return match;
+        });
+        if (last < raw.length) segments.push({ text: raw.slice(last) });
+        const text = segments
+          .filter((s) => s.text)
+          .map((s) => s.text)
+          .join("")
+          .replace(/\s+/g, " ")
+          .replace(/\s+([.,;:!?])/g, "$1")
+          .trim();
+        sentences.push({ text, citations, segments, paragraph: pIndex });
+      });
+    });
+  return sentences;
+}
+
+// Adds `status` to each sentence: "ok", "uncited" or "outside" (cites ids
+// that were not retrieved, listed in `outside`). Returns the sentences and
+// counts for a summary line.
+export function checkGrounding(sentences, retrievedIds) {
+  const allowed = new Set(retrievedIds);
+  const counts = { ok: 0, uncited: 0, outside: 0 };
+  const checked = sentences.map((s) => {
+    const outside = s.citations.filter((id) => !allowed.has(id));
+    const status = !s.citations.length ? "uncited" : outside.length ? "outside" : "ok";
+    counts[status] += 1;
+    return { ...s, status, outside };
+  });
+  return { sentences: checked, counts };
+}
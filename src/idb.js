@@ -0,0 +1,84 @@
+// Minimal promise wrapper around IndexedDB for the studio's local stores.
+//
+// Adding a store: append it to STORES and bump DB_VERSION; the upgrade
+// handler creates whatever is missing.
+
+const DB_NAME = "energy-graph-studio";
+const DB_VERSION = 4;
+const STORES = ["embeddings", "snapshots", "sessions", "riskProfiles"];
+
+let dbPromise = null;
+
+export const idbAvailable = () => typeof indexedDB !== "undefined";
+
+const requestToPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+export function openDb() {
+  if (!idbAvailable()) {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      STORES.forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      });
+    };
+    dbPromise = requestToPromise(req).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+const withStore = async (store, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(store, mode);
+  const result = fn(tx.objectStore(store));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+};
+
+export async function idbGetMany(store, keys) {
+  const out = {};
+  await withStore(store, "readonly", (os) => {
+    keys.forEach((key) => {
+      const req = os.get(key);
+      req.onsuccess = () => {
+        if (req.result !== undefined) out[key] = req.result;
+      };
+    });
+  });
+  return out;
+}
+
+export async function idbPutMany(store, entries) {
+  await withStore(store, "readwrite", (os) => {
+    entries.forEach(({ key, value }) => os.put(value, key));
+  });
+}
+
+export async function idbGetAll(store) {
+  let out = [];
+  await withStore(store, "readonly", (os) => {
+    const req = os.getAll();
+    req.onsuccess = () => {
+      out = req.result;
+    };
+  });
+  return out;
+}
+
+export async function idbDelete(store, key) {
+  await withStore(store, "readwrite", (os) => os.delete(key));
+}
@@ -0,0 +1,294 @@
+// File importers: CSV, JSONL and GeoJSON (plus plain JSON arrays) into the
+// same Paper / Event / Policy record shapes the ingest editors hold.
+
+export const TARGET_FIELDS = {
+  papers: ["id", "title", "summary", "published"],
+  events: [
+    "external_id",
+    "name",
+    "description",
+    "start_time",
+    "end_time",
+    "region",
+    "asset_type",
+    "severity",
+    "lat",
+    "lon"
+  ],
+  policies: [
+    "external_id",
+    "name",
+    "description",
+    "jurisdiction",
+    "start_date",
+    "end_date",
+    "category"
+  ]
+};
+
+const NUMERIC_FIELDS = new Set(["severity", "lat", "lon"]);
+
+// Header spellings commonly found in SCADA / tracker exports.
+const SYNONYMS = {
+  id: ["paper_id", "arxiv_id", "doi"],
+  external_id: ["id", "event_id", "policy_id", "uid", "record_id"],
+  title: ["name", "paper_title"],
+  name: ["title", "event_name", "policy_name"],
+  summary: ["abstract", "description"],
+  description: ["desc", "details", "summary", "notes"],
+  published: ["date", "published_date", "publication_date"],
+  start_time: ["start", "begin", "start_date", "timestamp", "event_start"],
+  end_time: ["end", "finish", "end_date", "restored", "event_end"],
+  region: ["location", "area", "zone", "state", "province"],
+  asset_type: ["asset", "equipment", "asset_class"],
+  severity: ["impact", "sev", "severity_score"],
+  lat: ["latitude", "y"],
+  lon: ["lng", "long", "longitude", "x"],
+  jurisdiction: ["country", "region", "state", "location"],
+  start_date: ["start", "effective_date", "start_time"],
+  end_date: ["end", "expiry_date", "end_time"],
+  category: ["type", "policy_type", "instrument"]
+};
+
+const normalizeHeader = (h) =>
+  String(h || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+
+export function detectFormat(fileName, text) {
+  const lower = (fileName || "").toLowerCase();
+  if (lower.endsWith(".csv") || lower.endsWith(".tsv")) return "csv";
+  if (lower.endsWith(".jsonl") || lower.endsWith(".ndjson")) return "jsonl";
+  if (lower.endsWith(".geojson")) return "geojson";
+  const trimmed = (text || "").trim();
+  if (trimmed.startsWith("{")) {
+    // a lone object (pretty-printed or not) is one record; JSONL with
+    // several lines doesn't parse as a whole
+    try {
+      const obj = JSON.parse(trimmed);
+      return obj?.type === "FeatureCollection" ? "geojson" : "json";
+    } catch {
+      return "jsonl";
+    }
+  }
+  if (trimmed.startsWith("[")) return "json";
+  return "csv";
+}
+
+export function guessTarget(fileName, format) {
+  if (format === "geojson") return "events";
+  const lower = (fileName || "").toLowerCase();
+  if (/polic|regulat|tracker/.test(lower)) return "policies";
+  if (/paper|arxiv|article/.test(lower)) return "papers";
+  return "events";
+}
+
+// ---------------------- CSV ----------------------
+
+const sniffDelimiter = (firstLine) => {
+  const counts = [",", ";", "\t"].map((d) => [
+    d,
+    firstLine.split(d).length - 1
+  ]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+};
+
+// RFC 4180-style parser: quoted fields, doubled quotes, CRLF and newlines
+// inside quotes. Returns { headers, rows } with rows as arrays of strings.
+export function parseCsv(text) {
+  const src = (text || "").replace(/^\uFEFF/, "");
+  const delimiter = sniffDelimiter(src.split(/\r?\n/, 1)[0] || "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  const [headers = [], ...body] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows: body };
+}
+
+// Maps each target field to a CSV header index (or -1), by exact name first
+// and then by known synonyms.
+export function guessMapping(headers, target) {
+  const norm = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  TARGET_FIELDS[target].forEach((field) => {
+    const candidates = [field, ...(SYNONYMS[field] || [])];
+    const idx = candidates
+      .map((c) => norm.indexOf(c))
+      .find((i) => i >= 0 && !used.has(i));
+    mapping[field] = idx ?? -1;
+    if (idx != null) used.add(idx);
+  });
+  return mapping;
+}
+
+const coerce = (field, raw) => {
+  const v = raw == null ? "" : String(raw).trim();
+  if (v === "") return undefined;
+  if (NUMERIC_FIELDS.has(field)) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : v;
+  }
+  return v;
+};
+
+export function applyMapping(rows, mapping) {
+  return rows.map((r) => {
+    const rec = {};
+    Object.entries(mapping).forEach(([field, idx]) => {
+      if (idx < 0) return;
+      const value = coerce(field, r[idx]);
+      if (value !== undefined) rec[field] = value;
+    });
+    return rec;
+  });
+}
+
+// ---------------------- JSONL ----------------------
+
+export function parseJsonl(text) {
+  const records = [];
+  const errors = [];
+  (text || "").split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      errors.push(`Line ${i + 1}: ${err.message}`);
+    }
+  });
+  return { records, errors };
+}
+
+// ---------------------- GeoJSON ----------------------
+
+// Representative point of a geometry: the point itself, or the mean of all
+// vertices for lines and polygons.
+function geometryPoint(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === "Point") {
+    return { lon: geometry.coordinates[0], lat: geometry.coordinates[1] };
+  }
+  const flat = [];
+  const walk = (c) => {
+    if (typeof c[0] === "number") flat.push(c);
+    else c.forEach(walk);
+  };
+  if (geometry.type === "GeometryCollection") {
+    const pts = (geometry.geometries || []).map(geometryPoint).filter(Boolean);
+    pts.forEach((p) => flat.push([p.lon, p.lat]));
+  } else if (geometry.coordinates) {
+    walk(geometry.coordinates);
+  }
+  if (!flat.length) return null;
+  const lon = flat.reduce((s, c) => s + c[0], 0) / flat.length;
+  const lat = flat.reduce((s, c) => s + c[1], 0) / flat.length;
+  return { lon, lat };
+}
+
+export function parseGeoJson(text) {
+  const obj = JSON.parse(text);
+  if (obj?.type !== "FeatureCollection" || !Array.isArray(obj.features)) {
+    throw new Error("GeoJSON must be a FeatureCollection.");
+  }
+  return obj.features.map((f, i) => {
+    const props = f.properties || {};
+    const headers = Object.keys(props);
+    const mapping = guessMapping(headers, "events");
+    const [rec] = applyMapping(
+      [headers.map((h) => props[h])],
+      mapping
+    );
+    if (rec.external_id == null && f.id != null) rec.external_id = String(f.id);
+    if (rec.external_id == null) rec.external_id = `feature_${i}`;
+    const pt = geometryPoint(f.geometry);
+    if (pt && rec.lat == null && rec.lon == null) {
+      rec.lat = pt.lat;
+      rec.lon = pt.lon;
+    }
+    return rec;
+  });
+}
+
+// ---------------------- entry point ----------------------
+
+// Reads a file's text into an import draft the dialog can review. CSV drafts
+// carry headers/rows and a guessed column mapping; the others carry records
+// (a single JSON object becomes one record).
+export function prepareImport(fileName, text) {
+  const format = detectFormat(fileName, text);
+  const target = guessTarget(fileName, format);
+  if (format === "csv") {
+    const { headers, rows } = parseCsv(text);
+    return {
+      fileName,
+      format,
+      target,
+      headers,
+      rows,
+      mapping: guessMapping(headers, target),
+      errors: headers.length ? [] : ["The CSV file has no header row."]
+    };
+  }
+  if (format === "jsonl") {
+    const { records, errors } = parseJsonl(text);
+    return { fileName, format, target, records, errors };
+  }
+  if (format === "geojson") {
+    try {
+      return { fileName, format, target, records: parseGeoJson(text), errors: [] };
+    } catch (err) {
+      return { fileName, format, target, records: [], errors: [err.message] };
+    }
+  }
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== "object") {
+      throw new Error("Expected a JSON array or object.");
+    }
+    const records = Array.isArray(parsed) ? parsed : [parsed];
+    return { fileName, format, target, records, errors: [] };
+  } catch (err) {
+    return { fileName, format, target, records: [], errors: [err.message] };
+  }
+}
+
+export const draftRecords = (draft) =>
+  draft.format === "csv" ? applyMapping(draft.rows, draft.mapping) : draft.records;
@@ -0,0 +1,215 @@
+// Turning ingested records into graph nodes/edges, and merging them into an
+// existing graph.
+//
+// A graph here is { nodesMap: { [id]: node }, edges: [{ source, target, relation }] }
+// with string ids on both edge ends.
+
+import { HIERARCHY_RELATION, hierarchyFor } from "./geo.js";
+
+export const edgeKey = (e) => `${e.source}|${e.relation}|${e.target}`;
+
+export const emptyGraph = () => ({ nodesMap: {}, edges: [] });
+
+// Node types created directly from ingest records; every other type (Location,
+// extracted entities) is derived and only lives while something links to it.
+export const INGESTED_TYPES = new Set(["Paper", "Event", "Policy"]);
+
+// Text a Paper / Event / Policy node is embedded from; null for other types.
+// Edits compare it with the text of the current embedding to decide what to
+// re-embed.
+export function embeddingText(n) {
+  if (n.type === "Paper") return `${n.title} - ${n.summary}`;
+  if (n.type === "Event") {
+    return `${n.title}. ${n.summary}. Region: ${n.region || "unknown"}. Asset: ${
+      n.asset_type || "unknown"
+    }.`;
+  }
+  if (n.type === "Policy") {
+    return `${n.title}. ${n.summary}. Jurisdiction: ${n.jurisdiction || "unknown"}.`;
+  }
+  return null;
+}
+
+// Builds nodes, edges and embedding texts for one ingest batch.
+export function recordsToGraph({ papers = [], events = [], policies = [] }) {
+  const nodesMap = {};
+  const edges = [];
+  const texts = [];
+
+  const upsert = (id, attrs) => {
+    nodesMap[id] = { ...(nodesMap[id] || {}), id, ...attrs };
+  };
+
+  // a Location plus the regions containing it, per the gazetteer
+  const upsertLocation = (locId, name) => {
+    upsert(locId, { type: "Location", name });
+    const hierarchy = hierarchyFor(locId, name);
+    hierarchy.nodes.forEach((n) => upsert(n.id, n));
+    edges.push(...hierarchy.edges);
+  };
+
+  // papers
+  for (const p of papers) {
+    const nodeId = `paper:${p.id}`;
+    upsert(nodeId, {
+      type: "Paper",
+      title: p.title,
+      summary: p.summary,
+      published: p.published
+    });
+    texts.push({ key: nodeId, group: "Paper", text: embeddingText(nodesMap[nodeId]) });
+  }
+
+  // events
+  for (const e of events) {
+    const nodeId = `event:${e.external_id}`;
+    upsert(nodeId, {
+      type: "Event",
+      title: e.name,
+      summary: e.description,
+      start_time: e.start_time,
+      end_time: e.end_time,
+      region: e.region,
+      asset_type: e.asset_type,
+      severity: e.severity ?? 0.5,
+      ...(e.lat != null && e.lon != null ? { lat: e.lat, lon: e.lon } : {})
+    });
+    texts.push({ key: nodeId, group: "Event", text: embeddingText(nodesMap[nodeId]) });
+    if (e.region) {
+      const locId = `location:${e.region}`;
+      upsertLocation(locId, e.region);
+      edges.push({ source: nodeId, target: locId, relation: "OCCURS_IN" });
+    }
+  }
+
+  // policies
+  for (const p of policies) {
+    const nodeId = `policy:${p.external_id}`;
+    upsert(nodeId, {
+      type: "Policy",
+      title: p.name,
+      summary: p.description,
+      jurisdiction: p.jurisdiction,
+      start_date: p.start_date,
+      end_date: p.end_date,
+      category: p.category
+    });
+    texts.push({ key: nodeId, group: "Policy", text: embeddingText(nodesMap[nodeId]) });
+    if (p.jurisdiction) {
+      const locId = `location:${p.jurisdiction}`;
+      upsertLocation(locId, p.jurisdiction);
+      edges.push({ source: nodeId, target: locId, relation: "APPLIES_TO" });
+    }
+  }
+
+  return { nodesMap, edges: dedupeEdges(edges), texts };
+}
+
+export function dedupeEdges(edges) {
+  const seen = new Set();
+  return edges.filter((e) => {
+    const k = edgeKey(e);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// Upserts `batch` into `prev`. Nodes in the batch replace their previous
+// version, and the batch's edges replace every ingest-derived edge
+// previously leaving a batch node (so a changed region moves its OCCURS_IN
+// edge); extracted edges are kept until extraction runs again and manual
+// edges until they are deleted. With `prune`, Paper/Event/Policy nodes
+// missing from the batch are removed. Derived nodes left without any edge are
+// dropped either way.
+export function mergeGraph(prev, batch, { prune = false } = {}) {
+  const nodesMap = { ...prev.nodesMap };
+  if (prune) {
+    Object.values(nodesMap).forEach((n) => {
+      if (INGESTED_TYPES.has(n.type) && !batch.nodesMap[n.id]) {
+        delete nodesMap[n.id];
+      }
+    });
+  }
+  Object.values(batch.nodesMap).forEach((n) => {
+    nodesMap[n.id] = INGESTED_TYPES.has(n.type)
+      ? n
+      : { ...(nodesMap[n.id] || {}), ...n };
+  });
+
+  const edges = dedupeEdges([
+    ...prev.edges.filter(
+      (e) =>
+        e.extracted ||
+        e.manual ||
+        !(batch.nodesMap[e.source] && INGESTED_TYPES.has(batch.nodesMap[e.source].type))
+    ),
+    ...batch.edges
+  ]).filter((e) => nodesMap[e.source] && nodesMap[e.target]);
+
+  return dropOrphans(nodesMap, edges);
+}
+
+// Drops derived nodes (Locations, extracted entities) that no edge links to
+// any more, and edges whose ends are gone. A PART_OF edge only keeps the
+// containing region alive, not the region it leaves from.
+export function dropOrphans(nodesMap, edges) {
+  const kept = { ...nodesMap };
+  const linked = new Set();
+  edges.forEach((e) => {
+    if (e.relation === HIERARCHY_RELATION || !kept[e.source] || !kept[e.target]) return;
+    linked.add(e.source);
+    linked.add(e.target);
+  });
+  // containing regions of linked locations, transitively
+  let grew = true;
+  while (grew) {
+    grew = false;
+    edges.forEach((e) => {
+      if (e.relation === HIERARCHY_RELATION && linked.has(e.source) && !linked.has(e.target)) {
+        linked.add(e.target);
+        grew = true;
+      }
+    });
+  }
+  Object.values(kept).forEach((n) => {
+    if (!INGESTED_TYPES.has(n.type) && !linked.has(n.id)) delete kept[n.id];
+  });
+  return {
+    nodesMap: kept,
+    edges: edges.filter((e) => kept[e.source] && kept[e.target])
+  };
+}
+
+const sameNode = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    if (JSON.stringify(a[k]) !== JSON.stringify(b[k])) return false;
+  }
+  return true;
+};
+
+// Node and edge ids added, updated or removed going from `prev` to `next`.
+export function diffGraphs(prev, next) {
+  const diff = {
+    nodes: { added: [], updated: [], removed: [] },
+    edges: { added: [], removed: [] }
+  };
+  Object.keys(next.nodesMap).forEach((id) => {
+    const before = prev.nodesMap[id];
+    if (!before) diff.nodes.added.push(id);
+    else if (!sameNode(before, next.nodesMap[id])) diff.nodes.updated.push(id);
+  });
+  Object.keys(prev.nodesMap).forEach((id) => {
+    if (!next.nodesMap[id]) diff.nodes.removed.push(id);
+  });
+  const prevEdges = new Set(prev.edges.map(edgeKey));
+  const nextEdges = new Set(next.edges.map(edgeKey));
+  nextEdges.forEach((k) => {
+    if (!prevEdges.has(k)) diff.edges.added.push(k);
+  });
+  prevEdges.forEach((k) => {
+    if (!nextEdges.has(k)) diff.edges.removed.push(k);
+  });
+  return diff;
+}
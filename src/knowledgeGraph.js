@@ -0,0 +1,332 @@
+// Headless knowledge-graph engine: the graph, its embeddings and everything
+// the studio does with them (ingest, extract, edit, link, query, metrics,
+// search, RAG, serialize) with no React or DOM dependency, so Node scripts and other
+// EnergyVerse apps can reuse it. useKnowledgeGraph.js binds it to React.
+//
+//   const kg = createKnowledgeGraph({ provider: createOfflineProvider() });
+//   await kg.ingest({ papers, events, policies });
+//   const { results } = await kg.search("cascading outages");
+//
+// The graph is immutable: every change replaces `kg.getGraph()` with a new
+// { nodesMap, edges } and notifies subscribers, so earlier graphs stay valid
+// as undo history or React state.
+
+import { computeMetrics, pagerank } from "./analytics.js";
+import { streamAnswer } from "./chat.js";
+import { addEdge, deleteEdge, deleteNode, mergeNodes, updateNode } from "./editing.js";
+import { embedAll } from "./embedding.js";
+import { applyExtraction, extractFromNode } from "./extraction.js";
+import {
+  INGESTED_TYPES,
+  diffGraphs,
+  embeddingText,
+  emptyGraph,
+  mergeGraph,
+  recordsToGraph
+} from "./ingest.js";
+import { DEFAULT_LINK_SETTINGS, relink } from "./linking.js";
+import { runQuery } from "./query.js";
+import { DEFAULT_RETRIEVAL_SETTINGS, buildBm25Index, hybridSearch } from "./retrieval.js";
+import { buildSnapshot, parseSnapshot } from "./snapshots.js";
+import { DEFAULT_TEMPORAL_SETTINGS, buildTimeline, relinkTemporal } from "./temporal.js";
+import { buildVectorIndex } from "./vector.js";
+
+export function createKnowledgeGraph({
+  provider = null,
+  linkSettings = DEFAULT_LINK_SETTINGS,
+  temporalSettings = DEFAULT_TEMPORAL_SETTINGS
+} = {}) {
+  const config = { provider, linkSettings, temporalSettings };
+  let graph = emptyGraph();
+  let embeddings = {};
+  // text each embedding was computed from, to skip unchanged nodes
+  let embedTexts = {};
+  // latest text requested per node, so slow results never overwrite newer ones
+  const pendingTexts = {};
+  // values derived from the current graph (BM25 index, metrics)
+  let derived = {};
+  // the vector index survives graph edits until an embedding changes
+  let embeddingsVersion = 0;
+  let vectorCache = null;
+  const listeners = new Set();
+
+  const requireProvider = () => {
+    if (!config.provider) throw new Error("No provider configured for the knowledge graph.");
+    return config.provider;
+  };
+
+  // embeddings of nodes that are gone are forgotten with every change
+  const setGraph = (next) => {
+    graph = { nodesMap: next.nodesMap, edges: next.edges };
+    Object.keys(embeddings).forEach((id) => {
+      if (graph.nodesMap[id]) return;
+      delete embeddings[id];
+      delete embedTexts[id];
+      embeddingsVersion += 1;
+    });
+    derived = {};
+    listeners.forEach((fn) => fn(graph));
+    return graph;
+  };
+
+  const edit = (fn) => setGraph(fn(graph));
+
+  const changedTexts = (nodesMap) =>
+    Object.values(nodesMap)
+      .filter((n) => INGESTED_TYPES.has(n.type))
+      .map((n) => ({ key: n.id, group: n.type, text: embeddingText(n) }))
+      .filter((t) => embedTexts[t.key] !== t.text || !embeddings[t.key]);
+
+  const bm25Index = () => (derived.bm25 = derived.bm25 || buildBm25Index(graph.nodesMap));
+  const vectorIndex = () => {
+    if (vectorCache?.version !== embeddingsVersion) {
+      vectorCache = { version: embeddingsVersion, index: buildVectorIndex(embeddings) };
+    }
+    return vectorCache.index;
+  };
+
+  const metrics = (options = {}) => {
+    const key = JSON.stringify(options);
+    if (!derived.metrics || derived.metricsKey !== key) {
+      derived.metrics = computeMetrics(graph.nodesMap, graph.edges, options);
+      derived.metricsKey = key;
+    }
+    return derived.metrics;
+  };
+
+  // Search only reads PageRank, and only to re-rank by centrality, so it
+  // uses cached metrics when there are some and never pays for betweenness.
+  const rankMetrics = () => {
+    if (derived.metrics) return derived.metrics;
+    if (!derived.ranks) {
+      const rank = pagerank(Object.keys(graph.nodesMap), graph.edges);
+      derived.ranks = {};
+      Object.entries(rank).forEach(([id, value]) => {
+        derived.ranks[id] = { pagerank: value };
+      });
+    }
+    return derived.ranks;
+  };
+
+  const search = (query, settings = DEFAULT_RETRIEVAL_SETTINGS, { signal, metrics: known } = {}) =>
+    hybridSearch(
+      {
+        query,
+        provider: requireProvider(),
+        embeddings,
+        nodesMap: graph.nodesMap,
+        edges: graph.edges,
+        metrics: known || (settings.rerank === "centrality" ? rankMetrics() : {}),
+        bm25Index: bm25Index(),
+        vectorIndex: vectorIndex()
+      },
+      settings,
+      { signal }
+    );
+
+  return {
+    getGraph: () => graph,
+    getEmbeddings: () => ({ embeddings, embedTexts }),
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    configure: (changes) => {
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value !== undefined) config[key] = value;
+      });
+    },
+
+    // Replaces the graph (and optionally the embeddings) wholesale.
+    setGraph: (next, { embeddings: nextEmbeddings, embedTexts: nextTexts } = {}) => {
+      if (nextEmbeddings) embeddings = { ...nextEmbeddings };
+      if (nextTexts) embedTexts = { ...nextTexts };
+      if (nextEmbeddings) embeddingsVersion += 1;
+      return setGraph(next);
+    },
+    reset: () => {
+      embeddings = {};
+      embedTexts = {};
+      embeddingsVersion += 1;
+      return setGraph(emptyGraph());
+    },
+
+    // Validated records in, graph out. `mode` "rebuild" starts from an empty
+    // graph, "merge" upserts by id (with `prune`, ingested nodes missing from
+    // the batch go). Only new or changed texts are embedded, then semantic
+    // and temporal links are recomputed. The graph is only replaced once
+    // everything succeeded, so an aborted `signal` keeps the previous one.
+    // Resolves to { graph, diff }.
+    ingest: async (records, { mode = "rebuild", prune = false, signal, onProgress } = {}) => {
+      const batch = recordsToGraph(records);
+      const merging = mode === "merge";
+      const prev = graph;
+      const next = merging ? mergeGraph(prev, batch, { prune }) : mergeGraph(emptyGraph(), batch);
+      const known = merging ? embeddings : {};
+      const knownTexts = merging ? embedTexts : {};
+      const toEmbed = batch.texts.filter(
+        (t) => knownTexts[t.key] !== t.text || !known[t.key]
+      );
+      const fresh = await embedAll(requireProvider(), toEmbed, { signal, onProgress });
+
+      const nextEmbeddings = { ...known };
+      const nextTexts = { ...knownTexts };
+      toEmbed.forEach((t) => {
+        nextEmbeddings[t.key] = fresh[t.key];
+        nextTexts[t.key] = t.text;
+      });
+      next.edges = relink(next.nodesMap, next.edges, nextEmbeddings, config.linkSettings);
+      next.edges = relinkTemporal(next.nodesMap, next.edges, config.temporalSettings);
+
+      embeddings = nextEmbeddings;
+      embedTexts = nextTexts;
+      embeddingsVersion += 1;
+      const diff = diffGraphs(prev, next);
+      return { graph: setGraph(next), diff };
+    },
+
+    // Re-embeds Paper / Event / Policy nodes whose text changed since their
+    // embedding was made; unchanged text is never re-sent. Resolves to the
+    // number of nodes embedded.
+    embedChanged: async ({ signal } = {}) => {
+      const items = changedTexts(graph.nodesMap);
+      if (!items.length) return 0;
+      items.forEach((t) => {
+        pendingTexts[t.key] = t.text;
+      });
+      const fresh = await embedAll(requireProvider(), items, { signal });
+      items.forEach((t) => {
+        if (pendingTexts[t.key] !== t.text) return;
+        embeddings[t.key] = fresh[t.key];
+        embedTexts[t.key] = t.text;
+      });
+      embeddingsVersion += 1;
+      return items.length;
+    },
+    changedCount: () => changedTexts(graph.nodesMap).length,
+
+    // Extracts entities and relations from the summaries of the Paper /
+    // Event / Policy nodes among `nodeIds`, one node at a time. Each result
+    // is applied to the graph as it is when it arrives, so edits made
+    // meanwhile are kept; `onChange` gets the graph from before the first
+    // result (and the run so far), once, e.g. to record the run as one undo
+    // step. An aborted `signal` keeps the nodes already done. Resolves to
+    // { total, entities, warnings, failures, cancelled }.
+    extract: async (nodeIds, { signal, onProgress, onChange } = {}) => {
+      const targets = nodeIds
+        .map((id) => graph.nodesMap[id])
+        .filter((n) => n && INGESTED_TYPES.has(n.type) && n.summary);
+      const run = {
+        total: targets.length,
+        entities: 0,
+        warnings: [],
+        failures: [],
+        cancelled: false
+      };
+      let changed = false;
+      for (let i = 0; i < targets.length; i++) {
+        if (onProgress) onProgress({ done: i, total: targets.length });
+        const node = targets[i];
+        let result;
+        try {
+          result = await extractFromNode(requireProvider(), node, { signal });
+        } catch (err) {
+          if (err?.name !== "AbortError") {
+            run.failures.push(`${node.id}: ${err.message}`);
+            continue;
+          }
+          run.cancelled = true;
+          break;
+        }
+        if (!graph.nodesMap[node.id]) {
+          run.failures.push(`${node.id}: removed while extracting.`);
+          continue;
+        }
+        if (!changed && onChange) onChange(graph, run);
+        changed = true;
+        setGraph(applyExtraction(graph, node.id, result));
+        run.entities += result.entities.length;
+        result.warnings.forEach((w) => run.warnings.push(`${node.id}: ${w}`));
+      }
+      if (onProgress && !run.cancelled) onProgress({ done: targets.length, total: targets.length });
+      return run;
+    },
+
+    // ---------------------- editing ----------------------
+
+    // Creates or updates a node. Setting an Event's region or a Policy's
+    // jurisdiction links it to the matching Location.
+    upsert: ({ id, type, ...attrs }) => {
+      if (!id) throw new Error("A node needs an id.");
+      const existing = graph.nodesMap[id];
+      if (!existing && !type) throw new Error(`New node ${id} needs a type.`);
+      const base = existing
+        ? graph
+        : { nodesMap: { ...graph.nodesMap, [id]: { id, type } }, edges: graph.edges };
+      return setGraph(updateNode(base, id, attrs));
+    },
+    link: (edge) => edit((g) => addEdge(g, edge)),
+    unlink: (key) => edit((g) => deleteEdge(g, key)),
+    remove: (id) => edit((g) => deleteNode(g, id)),
+    merge: (keepId, dropId) => edit((g) => mergeNodes(g, keepId, dropId)),
+
+    relink: () =>
+      edit((g) => ({
+        nodesMap: g.nodesMap,
+        edges: relink(g.nodesMap, g.edges, embeddings, config.linkSettings)
+      })),
+    relinkTimeline: () =>
+      edit((g) => ({
+        nodesMap: g.nodesMap,
+        edges: relinkTemporal(g.nodesMap, g.edges, config.temporalSettings)
+      })),
+
+    // ---------------------- reading ----------------------
+
+    query: (src) => runQuery(src, graph),
+    metrics,
+    timeline: () => buildTimeline(graph.nodesMap),
+    bm25Index,
+    search,
+
+    // One RAG turn: retrieve with `query` (the question unless rewritten),
+    // hand the hits to `onResults`, then stream the cited answer through
+    // `onDelta`. Resolves to { answer, results, subgraph }.
+    ask: async (
+      question,
+      { query = question, settings, history = [], signal, onResults, onDelta, metrics: known } = {}
+    ) => {
+      const found = await search(query, settings, { signal, metrics: known });
+      if (onResults) onResults(found);
+      const answer = await streamAnswer(
+        requireProvider(),
+        { question, query, contexts: found.results },
+        { signal, history, onDelta }
+      );
+      return { answer, ...found };
+    },
+
+    // ---------------------- persistence ----------------------
+
+    serialize: ({ name = "graph", ingestedAt } = {}) =>
+      buildSnapshot({
+        name,
+        nodesMap: graph.nodesMap,
+        edges: graph.edges,
+        embeddings,
+        embedTexts,
+        provider: config.provider,
+        ingestedAt
+      }),
+    // Accepts a snapshot object or its JSON text.
+    load: (snapshot) => {
+      const snap =
+        typeof snapshot === "string" ? parseSnapshot(snapshot) : parseSnapshot(JSON.stringify(snapshot));
+      embeddings = { ...snap.embeddings };
+      embedTexts = { ...snap.embedTexts };
+      embeddingsVersion += 1;
+      setGraph({ nodesMap: snap.nodesMap, edges: snap.edges });
+      return snap;
+    }
+  };
+}
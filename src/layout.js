@@ -0,0 +1,205 @@
+// Force-directed layout for large graphs, computed in layout.worker.js so the
+// canvas only has to draw. It follows d3-force (which the canvas uses for
+// small graphs): many-body repulsion through a Barnes-Hut quadtree, springs
+// along edges and re-centring, integrated with velocity decay while `alpha`
+// cools down.
+
+export const LAYOUT_DEFAULTS = {
+  iterations: 150,
+  // nodes that already have a position only need to settle
+  incrementalIterations: 60,
+  linkDistance: 30,
+  charge: -30,
+  theta: 0.9,
+  velocityDecay: 0.4
+};
+
+const ALPHA_MIN = 0.001;
+
+// Quadtree cell over point indices with its total charge and centroid.
+function buildCell(points, xs, ys, x0, y0, size, charge, depth) {
+  const cell = { size, charge: charge * points.length, cx: 0, cy: 0, children: null, points: null };
+  points.forEach((i) => {
+    cell.cx += xs[i];
+    cell.cy += ys[i];
+  });
+  cell.cx /= points.length;
+  cell.cy /= points.length;
+  // coincident points end up in one leaf
+  if (points.length === 1 || depth > 20) {
+    cell.points = points;
+    return cell;
+  }
+  const half = size / 2;
+  const quads = [[], [], [], []];
+  points.forEach((i) => {
+    quads[(xs[i] >= x0 + half ? 1 : 0) + (ys[i] >= y0 + half ? 2 : 0)].push(i);
+  });
+  cell.children = quads
+    .map((q, k) =>
+      q.length
+        ? buildCell(q, xs, ys, x0 + (k & 1 ? half : 0), y0 + (k & 2 ? half : 0), half, charge, depth + 1)
+        : null
+    )
+    .filter(Boolean);
+  return cell;
+}
+
+function quadtree(xs, ys, charge) {
+  const n = xs.length;
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  for (let i = 0; i < n; i++) {
+    x0 = Math.min(x0, xs[i]);
+    y0 = Math.min(y0, ys[i]);
+    x1 = Math.max(x1, xs[i]);
+    y1 = Math.max(y1, ys[i]);
+  }
+  const size = Math.max(x1 - x0, y1 - y0, 1);
+  return buildCell([...Array(n).keys()], xs, ys, x0, y0, size * 1.0001, charge, 0);
+}
+
+// Initial position for nodes without one: next to a placed neighbour, else
+// on d3's phyllotaxis spiral.
+function seedPositions(ids, neighbours, positions, xs, ys) {
+  const placed = new Uint8Array(ids.length);
+  ids.forEach((id, i) => {
+    const p = positions[id];
+    if (p && Number.isFinite(p.x) && Number.isFinite(p.y)) {
+      xs[i] = p.x;
+      ys[i] = p.y;
+      placed[i] = 1;
+    }
+  });
+  const seeded = placed.reduce((a, b) => a + b, 0);
+  ids.forEach((_, i) => {
+    if (placed[i]) return;
+    const anchor = neighbours[i].find((j) => placed[j]);
+    if (anchor != null) {
+      const angle = Math.random() * 2 * Math.PI;
+      xs[i] = xs[anchor] + 10 * Math.cos(angle);
+      ys[i] = ys[anchor] + 10 * Math.sin(angle);
+    } else {
+      const r = 10 * Math.sqrt(0.5 + i);
+      const angle = i * Math.PI * (3 - Math.sqrt(5));
+      xs[i] = r * Math.cos(angle);
+      ys[i] = r * Math.sin(angle);
+    }
+    placed[i] = 1;
+  });
+  return seeded;
+}
+
+// Lays out `ids` linked by `edges` ({ source, target } ids) and returns
+// { [id]: { x, y } }. `positions` (same shape) are used as the starting
+// point, so re-running after a small change only moves things locally.
+export function forceLayout(ids, edges, { positions = {}, ...options } = {}) {
+  const settings = { ...LAYOUT_DEFAULTS, ...options };
+  const n = ids.length;
+  if (!n) return {};
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const links = [];
+  const neighbours = ids.map(() => []);
+  edges.forEach((e) => {
+    const s = index.get(e.source);
+    const t = index.get(e.target);
+    if (s == null || t == null || s === t) return;
+    links.push([s, t]);
+    neighbours[s].push(t);
+    neighbours[t].push(s);
+  });
+  const degree = neighbours.map((list) => list.length);
+
+  const xs = new Float64Array(n);
+  const ys = new Float64Array(n);
+  const vx = new Float64Array(n);
+  const vy = new Float64Array(n);
+  const seeded = seedPositions(ids, neighbours, positions, xs, ys);
+  const incremental = seeded > n / 2;
+  const iterations = incremental ? settings.incrementalIterations : settings.iterations;
+  let alpha = incremental ? 0.3 : 1;
+  const alphaDecay = 1 - Math.pow(ALPHA_MIN / alpha, 1 / iterations);
+  const theta2 = settings.theta * settings.theta;
+
+  for (let step = 0; step < iterations; step++) {
+    alpha += (0 - alpha) * alphaDecay;
+
+    // springs, stronger for low-degree ends as in d3.forceLink
+    links.forEach(([s, t]) => {
+      let dx = xs[t] + vx[t] - xs[s] - vx[s] || 1e-6;
+      let dy = ys[t] + vy[t] - ys[s] - vy[s] || 1e-6;
+      const l = Math.sqrt(dx * dx + dy * dy);
+      const k = ((l - settings.linkDistance) / l) * alpha / Math.min(degree[s], degree[t]);
+      const bias = degree[s] / (degree[s] + degree[t]);
+      dx *= k;
+      dy *= k;
+      vx[t] -= dx * bias;
+      vy[t] -= dy * bias;
+      vx[s] += dx * (1 - bias);
+      vy[s] += dy * (1 - bias);
+    });
+
+    // many-body repulsion
+    const root = quadtree(xs, ys, settings.charge);
+    const stack = [];
+    for (let i = 0; i < n; i++) {
+      stack.push(root);
+      while (stack.length) {
+        const cell = stack.pop();
+        const dx = cell.cx - xs[i];
+        const dy = cell.cy - ys[i];
+        let l2 = dx * dx + dy * dy;
+        if (cell.children && (cell.size * cell.size) / l2 >= theta2) {
+          for (let c = 0; c < cell.children.length; c++) stack.push(cell.children[c]);
+          continue;
+        }
+        if (cell.points) {
+          for (let p = 0; p < cell.points.length; p++) {
+            const j = cell.points[p];
+            if (j === i) continue;
+            let px = xs[j] - xs[i];
+            let py = ys[j] - ys[i];
+            if (!px && !py) {
+              px = (Math.random() - 0.5) * 1e-6;
+              py = (Math.random() - 0.5) * 1e-6;
+            }
+            let d2 = px * px + py * py;
+            if (d2 < 1) d2 = Math.sqrt(d2);
+            vx[i] += (px * settings.charge * alpha) / d2;
+            vy[i] += (py * settings.charge * alpha) / d2;
+          }
+          continue;
+        }
+        if (l2 < 1) l2 = Math.sqrt(l2);
+        vx[i] += (dx * cell.charge * alpha) / l2;
+        vy[i] += (dy * cell.charge * alpha) / l2;
+      }
+    }
+
+    let mx = 0;
+    let my = 0;
+    for (let i = 0; i < n; i++) {
+      vx[i] *= 1 - settings.velocityDecay;
+      vy[i] *= 1 - settings.velocityDecay;
+      xs[i] += vx[i];
+      ys[i] += vy[i];
+      mx += xs[i];
+      my += ys[i];
+    }
+    // keep the layout centred on the origin
+    mx /= n;
+    my /= n;
+    for (let i = 0; i < n; i++) {
+      xs[i] -= mx;
+      ys[i] -= my;
+    }
+  }
+
+  const out = {};
+  ids.forEach((id, i) => {
+    out[id] = { x: xs[i], y: ys[i] };
+  });
+  return out;
+}
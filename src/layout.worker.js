@@ -0,0 +1,13 @@
+// Runs forceLayout off the main thread. Each request carries an id so the
+// app can drop positions for a graph that has since changed.
+
+import { forceLayout } from "./layout.js";
+
+self.onmessage = (event) => {
+  const { id, ids, edges, positions } = event.data;
+  try {
+    self.postMessage({ id, positions: forceLayout(ids, edges, { positions }) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,79 @@
+// Embedding-similarity links between papers, events and policies.
+
+import { buildVectorIndex, searchVectorIndex } from "./vector.js";
+
+export const LINK_RULES = [
+  { from: "Paper", to: "Event", relation: "STUDIES" },
+  { from: "Policy", to: "Event", relation: "RESPONDS_TO" },
+  { from: "Paper", to: "Policy", relation: "EVALUATES" }
+];
+
+export const INFERRED_RELATIONS = new Set(LINK_RULES.map((r) => r.relation));
+
+export const DEFAULT_LINK_SETTINGS = { threshold: 0.3, topK: 3 };
+
+// Inverted lists of the target index searched per node; only indexes of
+// 1000+ nodes have lists, so smaller graphs are scanned in full.
+const LINK_PROBES = 8;
+
+// For every rule, links each `from` node to its `topK` most similar `to`
+// nodes scoring at least `threshold`, found through a vector index of the
+// `to` nodes rather than comparing every pair. Edges carry the cosine as
+// `weight` and `inferred: true`.
+export function inferSemanticLinks(
+  nodesMap,
+  embeddings,
+  { threshold, topK } = DEFAULT_LINK_SETTINGS
+) {
+  const byType = {};
+  Object.values(nodesMap).forEach((n) => {
+    if (!embeddings[n.id]) return;
+    (byType[n.type] = byType[n.type] || []).push(n.id);
+  });
+
+  const indexes = {};
+  const indexOf = (type) => {
+    if (!indexes[type]) {
+      indexes[type] = buildVectorIndex(
+        Object.fromEntries((byType[type] || []).map((id) => [id, embeddings[id]])),
+        { lists: true }
+      );
+    }
+    return indexes[type];
+  };
+
+  const links = [];
+  LINK_RULES.forEach(({ from, to, relation }) => {
+    if (!byType[from] || !byType[to]) return;
+    const index = indexOf(to);
+    byType[from].forEach((source) => {
+      const scores = searchVectorIndex(index, embeddings[source], {
+        candidates: topK * 4,
+        probes: LINK_PROBES
+      });
+      const scored = Object.entries(scores)
+        .map(([target, weight]) => ({ target, weight }))
+        .filter((s) => s.weight >= threshold)
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, topK);
+      scored.forEach(({ target, weight }) => {
+        links.push({
+          source,
+          target,
+          relation,
+          weight: Number(weight.toFixed(4)),
+          inferred: true
+        });
+      });
+    });
+  });
+  return links;
+}
+
+// Replaces all previously inferred edges with a fresh set.
+export function relink(nodesMap, edges, embeddings, settings) {
+  return [
+    ...edges.filter((e) => !e.inferred),
+    ...inferSemanticLinks(nodesMap, embeddings, settings)
+  ];
+}
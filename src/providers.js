@@ -0,0 +1,475 @@
+// Embedding / completion providers.
+//
+// Every provider exposes the same shape:
+//   { id, label, embeddingModel,
+//     embed(text) -> number[], embedMany(texts) -> number[][],
+//     complete(prompt) -> string }
+// so the studio can swap between OpenAI, a local OpenAI-compatible server and
+// a fully offline, deterministic fallback. Network calls take an optional
+// `{ signal }` so a running ingestion can be cancelled. The browser uses the
+// studio-server provider; OpenAI and compatible providers run on the server.
+
+export const SYSTEM_INSTRUCTIONS =
+  "You are an expert in power systems, renewable integration, and energy policy. " +
+  "Always answer in plain text paragraphs with no markdown headings or bullet characters.";
+
+const cleanInput = (text) =>
+  (text || "").replace(/\n/g, " ").trim() || "empty";
+
+// ---------------------- HTTP helpers ----------------------
+
+const MAX_RETRIES = 4;
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// POSTs JSON and retries 429/5xx with exponential backoff (honouring
+// Retry-After when the server sends one). Resolves with the ok Response.
+async function post(url, { headers, body, signal, errorPrefix }) {
+  for (let attempt = 0; ; attempt++) {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+    if (resp.ok) return resp;
+    if (attempt < MAX_RETRIES && isRetryable(resp.status)) {
+      const retryAfter = Number(resp.headers.get("retry-after"));
+      const delay =
+        retryAfter > 0
+          ? retryAfter * 1000
+          : 500 * 2 ** attempt + Math.random() * 250;
+      await sleep(delay, signal);
+      continue;
+    }
+    const errText = await resp.text();
+    throw new Error(errorPrefix + errText);
+  }
+}
+
+const postJson = async (url, opts) => (await post(url, opts)).json();
+
+// Reads a server-sent event stream, calling onData with the payload of each
+// `data:` line. Retries only happen before the stream starts.
+async function readEventStream(resp, onData) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? "" : lines.pop();
+    lines.forEach((line) => {
+      if (line.startsWith("data:")) onData(line.slice(5).trim());
+    });
+    if (done) return;
+  }
+}
+
+// Earlier turns of a conversation as { role, content } messages.
+const historyMessages = (history = []) =>
+  history.map((m) => ({ role: m.role, content: m.content }));
+
+// The embeddings endpoint returns one item per input, tagged with its index.
+const embeddingsFromResponse = (data) =>
+  [...data.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+
+// ---------------------- OpenAI ----------------------
+
+export function createOpenAIProvider({
+  apiKey,
+  embeddingModel = "text-embedding-3-small",
+  chatModel = "gpt-4o-mini"
+} = {}) {
+  const headers = {
+    Authorization: `Bearer ${apiKey}`,
+    "Content-Type": "application/json"
+  };
+
+  const embedMany = async (texts, { signal } = {}) => {
+    const data = await postJson("https://api.openai.com/v1/embeddings", {
+      headers,
+      signal,
+      errorPrefix: "Embedding error: ",
+      body: {
+        model: embeddingModel,
+        input: texts.map(cleanInput)
+      }
+    });
+    return embeddingsFromResponse(data);
+  };
+
+  const responsesBody = (prompt, history) => ({
+    model: chatModel,
+    instructions: SYSTEM_INSTRUCTIONS,
+    input: [
+      ...historyMessages(history),
+      {
+        role: "user",
+        content: [{ type: "input_text", text: prompt }]
+      }
+    ]
+  });
+
+  const complete = async (prompt, { signal, history } = {}) => {
+    const data = await postJson("https://api.openai.com/v1/responses", {
+      headers,
+      signal,
+      errorPrefix: "GPT error: ",
+      body: responsesBody(prompt, history)
+    });
+    return (data.output_text || "").trim();
+  };
+
+  // Streams output_text deltas from the Responses API.
+  const stream = async (prompt, { signal, history, onDelta } = {}) => {
+    const resp = await post("https://api.openai.com/v1/responses", {
+      headers,
+      signal,
+      errorPrefix: "GPT error: ",
+      body: { ...responsesBody(prompt, history), stream: true }
+    });
+    let text = "";
+    await readEventStream(resp, (data) => {
+      const event = JSON.parse(data);
+      if (event.type === "response.output_text.delta") {
+        text += event.delta;
+        onDelta?.(event.delta, text);
+      } else if (event.type === "response.failed" || event.type === "error") {
+        throw new Error(
+          "GPT error: " +
+            (event.response?.error?.message || event.message || "stream failed")
+        );
+      }
+    });
+    return text.trim();
+  };
+
+  return {
+    id: "openai",
+    label: "OpenAI",
+    embeddingModel,
+    requiresKey: true,
+    ready: Boolean(apiKey),
+    embed: async (text, opts) => (await embedMany([text], opts))[0],
+    embedMany,
+    complete,
+    stream
+  };
+}
+
+// ---------------------- OpenAI-compatible ----------------------
+
+// Local servers (Ollama, llama.cpp, LM Studio, vLLM) implement /embeddings and
+// /chat/completions but rarely the Responses API, so this one uses chat.
+export function createCompatibleProvider({
+  baseUrl,
+  apiKey = "",
+  embeddingModel = "nomic-embed-text",
+  chatModel = "llama3.1"
+} = {}) {
+  const root = (baseUrl || "").replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const embedMany = async (texts, { signal } = {}) => {
+    const data = await postJson(`${root}/embeddings`, {
+      headers,
+      signal,
+      errorPrefix: "Embedding error: ",
+      body: {
+        model: embeddingModel,
+        input: texts.map(cleanInput)
+      }
+    });
+    return embeddingsFromResponse(data);
+  };
+
+  const chatMessages = (prompt, history) => [
+    { role: "system", content: SYSTEM_INSTRUCTIONS },
+    ...historyMessages(history),
+    { role: "user", content: prompt }
+  ];
+
+  const complete = async (prompt, { signal, history } = {}) => {
+    const data = await postJson(`${root}/chat/completions`, {
+      headers,
+      signal,
+      errorPrefix: "Completion error: ",
+      body: {
+        model: chatModel,
+        messages: chatMessages(prompt, history)
+      }
+    });
+    return (data.choices?.[0]?.message?.content || "").trim();
+  };
+
+  const stream = async (prompt, { signal, history, onDelta } = {}) => {
+    const resp = await post(`${root}/chat/completions`, {
+      headers,
+      signal,
+      errorPrefix: "Completion error: ",
+      body: {
+        model: chatModel,
+        messages: chatMessages(prompt, history),
+        stream: true
+      }
+    });
+    let text = "";
+    await readEventStream(resp, (data) => {
+      if (data === "[DONE]") return;
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (!delta) return;
+      text += delta;
+      onDelta?.(delta, text);
+    });
+    return text.trim();
+  };
+
+  return {
+    id: "compatible",
+    label: "OpenAI-compatible",
+    embeddingModel,
+    requiresKey: false,
+    ready: Boolean(root),
+    embed: async (text, opts) => (await embedMany([text], opts))[0],
+    embedMany,
+    complete,
+    stream
+  };
+}
+
+// ---------------------- Studio server ----------------------
+
+// Talks to the studio's own server (server/proxy.js), which holds the API
+// key and forwards to OpenAI or a compatible server. `info` is the server's
+// GET /api/info answer; without it the provider is not ready.
+export function createProxyProvider({ baseUrl = "/api", info = null } = {}) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+
+  const embedMany = async (texts, { signal } = {}) => {
+    const data = await postJson(`${root}/embed`, {
+      headers,
+      signal,
+      errorPrefix: "Embedding error: ",
+      body: { texts: texts.map(cleanInput) }
+    });
+    return data.embeddings;
+  };
+
+  const complete = async (prompt, { signal, history } = {}) => {
+    const data = await postJson(`${root}/complete`, {
+      headers,
+      signal,
+      errorPrefix: "Completion error: ",
+      body: { prompt, history: historyMessages(history) }
+    });
+    return (data.text || "").trim();
+  };
+
+  // the server streams { delta } events, then [DONE] or { error }
+  const streamFrom = async (path, body, { signal, onDelta }) => {
+    const resp = await post(`${root}${path}`, {
+      headers,
+      signal,
+      errorPrefix: "Completion error: ",
+      body: { ...body, stream: true }
+    });
+    let text = "";
+    await readEventStream(resp, (data) => {
+      if (data === "[DONE]") return;
+      const event = JSON.parse(data);
+      if (event.error) throw new Error("Completion error: " + event.error);
+      text += event.delta;
+      onDelta?.(event.delta, text);
+    });
+    return text.trim();
+  };
+
+  return {
+    id: "proxy",
+    label: "Studio server",
+    embeddingModel: info?.embeddingModel || "unknown",
+    requiresKey: false,
+    ready: Boolean(info),
+    embed: async (text, opts) => (await embedMany([text], opts))[0],
+    embedMany,
+    complete,
+    stream: (prompt, { signal, history, onDelta } = {}) =>
+      streamFrom("/complete", { prompt, history: historyMessages(history) }, { signal, onDelta }),
+    // the server builds the RAG prompt from the question and contexts
+    rag: ({ question, query, contexts }, { signal, history, onDelta } = {}) =>
+      streamFrom(
+        "/rag",
+        { question, query, contexts, history: historyMessages(history) },
+        { signal, onDelta }
+      )
+  };
+}
+
+export async function fetchProxyInfo(baseUrl = "/api", { signal } = {}) {
+  const resp = await fetch(`${baseUrl.replace(/\/+$/, "")}/info`, { signal });
+  if (!resp.ok) throw new Error(`Studio server error: ${resp.status}`);
+  return resp.json();
+}
+
+// ---------------------- Offline ----------------------
+
+const OFFLINE_DIM = 256;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be by for from has have in into is it its of on or " +
+    "that the this to was were will with which what why how when where who " +
+    "do does did can could should would about over under than then there " +
+    "these those their they them some any all each more most such not no"
+  ).split(" ")
+);
+
+export function tokenize(text) {
+  return ((text || "").toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+    (t) => t.length > 1 && !STOPWORDS.has(t)
+  );
+}
+
+// 32-bit FNV-1a; stable across runs so offline embeddings are reproducible.
+export function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function hashedEmbedding(text, dim = OFFLINE_DIM) {
+  const vec = new Array(dim).fill(0);
+  const counts = {};
+  tokenize(text).forEach((t) => {
+    counts[t] = (counts[t] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([token, count]) => {
+    const h = fnv1a(token);
+    const sign = h & 0x80000000 ? -1 : 1;
+    vec[h % dim] += sign * (1 + Math.log(count));
+  });
+  let n = 0;
+  for (let i = 0; i < dim; i++) n += vec[i] * vec[i];
+  n = Math.sqrt(n);
+  if (!n) return vec;
+  return vec.map((v) => v / n);
+}
+
+// Prompts built by the studio are laid out as
+//   <task or question>\n\n<source material>\n\n<answer instructions>
+// so the summarizer ranks sentences from the middle blocks against the terms
+// of the first block and returns the best few in their original order.
+export function extractiveSummary(prompt, maxSentences = 4) {
+  const blocks = (prompt || "")
+    .split(/\n\s*\n/)
+    .map((b) => b.trim())
+    .filter(Boolean);
+  if (!blocks.length) return "";
+  const query = blocks[0];
+  const material = blocks.length > 2 ? blocks.slice(1, -1) : blocks.slice(-1);
+
+  const sentences = material
+    .join("\n")
+    .split(/\n|(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => !s.endsWith(":") && tokenize(s).length >= 3);
+  if (!sentences.length) return "No source material available offline.";
+
+  const freq = {};
+  sentences.forEach((s) =>
+    new Set(tokenize(s)).forEach((t) => {
+      freq[t] = (freq[t] || 0) + 1;
+    })
+  );
+  const queryTerms = new Set(tokenize(query));
+
+  const scored = sentences.map((s, index) => {
+    const tokens = tokenize(s);
+    let score = 0;
+    tokens.forEach((t) => {
+      score += queryTerms.has(t) ? 2 : 0;
+      score += freq[t] / sentences.length;
+    });
+    return { s, index, score: score / Math.sqrt(tokens.length) };
+  });
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+  return scored
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index)
+    .map((x) => x.s)
+    .join(" ");
+}
+
+export function createOfflineProvider() {
+  return {
+    id: "offline",
+    label: "Offline (deterministic)",
+    embeddingModel: `hashed-bow-${OFFLINE_DIM}`,
+    requiresKey: false,
+    ready: true,
+    embed: async (text) => hashedEmbedding(cleanInput(text)),
+    embedMany: async (texts) =>
+      texts.map((text) => hashedEmbedding(cleanInput(text))),
+    complete: async (prompt) => extractiveSummary(prompt),
+    // replays the extractive answer word by word so the UI behaves the same
+    stream: async (prompt, { signal, onDelta } = {}) => {
+      const words = extractiveSummary(prompt).split(/(?<=\s)/);
+      let text = "";
+      for (const word of words) {
+        await sleep(15, signal);
+        text += word;
+        onDelta?.(word, text);
+      }
+      return text.trim();
+    }
+  };
+}
+
+// ---------------------- factory ----------------------
+
+// Providers the browser can pick. OpenAI and compatible servers are only
+// reached through the studio server, so no key ever ships to the client.
+export const PROVIDER_OPTIONS = [
+  { id: "proxy", label: "Studio server" },
+  { id: "offline", label: "Offline (no network)" }
+];
+
+export function createProvider(config) {
+  switch (config.id) {
+    case "proxy":
+      return createProxyProvider(config);
+    case "openai":
+      return createOpenAIProvider(config);
+    case "compatible":
+      return createCompatibleProvider(config);
+    case "offline":
+      return createOfflineProvider();
+    default:
+      throw new Error(`Unknown provider: ${config.id}`);
+  }
+}
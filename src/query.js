@@ -0,0 +1,617 @@
+// A small Cypher-like query language over { nodesMap, edges }.
+//
+//   MATCH (e:Event)-[:OCCURS_IN]->(l:Location)<-[:APPLIES_TO]-(p:Policy)
+//   WHERE e.severity > 0.7 AND p.category = "Subsidy"
+//     AND p.start_date <= date() AND (p.end_date IS NULL OR p.end_date >= date())
+//   RETURN e.title, l.name, p.title
+//   ORDER BY e.severity DESC LIMIT 20
+//
+// Supported: comma-separated path patterns with node labels (node `type`),
+// inline {prop: value} maps, relation types (`relation`, alternatives with
+// |) in either direction or undirected; WHERE with AND / OR / NOT,
+// comparisons, CONTAINS, STARTS WITH, ENDS WITH, IN [...], IS [NOT] NULL;
+// RETURN [DISTINCT] vars or var.prop [AS alias] or *; ORDER BY; LIMIT.
+// ISO date strings compare as dates, and date() / date("2024-01-01") build
+// date values.
+
+import { edgeKey } from "./ingest.js";
+
+export const EXAMPLE_QUERY = `MATCH (e:Event)-[:OCCURS_IN]->(l:Location)<-[:APPLIES_TO]-(p:Policy)
+WHERE e.asset_type = "Transmission" AND e.severity > 0.7
+  AND p.category = "Subsidy"
+  AND p.start_date <= date() AND (p.end_date IS NULL OR p.end_date >= date())
+RETURN e.title, e.severity, l.name, p.title
+ORDER BY e.severity DESC
+LIMIT 50`;
+
+const DEFAULT_LIMIT = 200;
+// Complete pattern bindings a query may build before it is stopped, so a
+// cross product can't freeze the page.
+export const MAX_BINDINGS = 100_000;
+
+// ---------------------- tokenizer ----------------------
+
+const PUNCT = ["<-", "->", "<>", "!=", "<=", ">=", "(", ")", "[", "]", "{", "}", ":", ",", ".", "*", "|", "-", "<", ">", "="];
+
+function tokenizeQuery(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "/" && src[i + 1] === "/") {
+      while (i < src.length && src[i] !== "\n") i++;
+      continue;
+    }
+    const pos = i;
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      i++;
+      while (i < src.length && src[i] !== ch) {
+        if (src[i] === "\\" && i + 1 < src.length) i++;
+        value += src[i++];
+      }
+      if (i >= src.length) throw queryError(pos, "unterminated string");
+      i++;
+      tokens.push({ type: "string", value, pos });
+      continue;
+    }
+    if (ch === "`") {
+      const end = src.indexOf("`", i + 1);
+      if (end < 0) throw queryError(pos, "unterminated `identifier`");
+      tokens.push({ type: "ident", value: src.slice(i + 1, end), pos });
+      i = end + 1;
+      continue;
+    }
+    const num = /^\d+(\.\d+)?/.exec(src.slice(i));
+    if (num) {
+      tokens.push({ type: "number", value: Number(num[0]), pos });
+      i += num[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+    if (word) {
+      tokens.push({ type: "ident", value: word[0], pos });
+      i += word[0].length;
+      continue;
+    }
+    const punct = PUNCT.find((p) => src.startsWith(p, i));
+    if (!punct) throw queryError(pos, `unexpected character "${ch}"`);
+    tokens.push({ type: "punct", value: punct, pos });
+    i += punct.length;
+  }
+  tokens.push({ type: "eof", value: "", pos: src.length });
+  return tokens;
+}
+
+function queryError(pos, message) {
+  return new Error(`Query error at ${pos}: ${message}.`);
+}
+
+// ---------------------- parser ----------------------
+
+export function parseQuery(src) {
+  const tokens = tokenizeQuery(src);
+  let k = 0;
+  const peek = (o = 0) => tokens[k + o];
+  const isKw = (t, kw) => t.type === "ident" && t.value.toUpperCase() === kw;
+  const isPunct = (t, p) => t.type === "punct" && t.value === p;
+  const fail = (msg) => {
+    throw queryError(peek().pos, msg);
+  };
+  const expectKw = (kw) => {
+    if (!isKw(peek(), kw)) fail(`expected ${kw}`);
+    return tokens[k++];
+  };
+  const expectPunct = (p) => {
+    if (!isPunct(peek(), p)) fail(`expected "${p}"`);
+    return tokens[k++];
+  };
+  const ident = () => {
+    if (peek().type !== "ident") fail("expected a name");
+    return tokens[k++].value;
+  };
+  const acceptKw = (kw) => (isKw(peek(), kw) ? tokens[k++] : null);
+  const acceptPunct = (p) => (isPunct(peek(), p) ? tokens[k++] : null);
+
+  const literal = () => {
+    const t = peek();
+    if (isPunct(t, "-") && peek(1).type === "number") {
+      k += 2;
+      return { kind: "literal", value: -peek(-1).value };
+    }
+    if (t.type === "string" || t.type === "number") {
+      k++;
+      return { kind: "literal", value: t.value };
+    }
+    if (isKw(t, "TRUE") || isKw(t, "FALSE")) {
+      k++;
+      return { kind: "literal", value: t.value.toUpperCase() === "TRUE" };
+    }
+    if (isKw(t, "NULL")) {
+      k++;
+      return { kind: "literal", value: null };
+    }
+    return null;
+  };
+
+  const labels = () => {
+    const out = [];
+    if (!acceptPunct(":")) return out;
+    out.push(ident());
+    while (acceptPunct("|")) {
+      acceptPunct(":");
+      out.push(ident());
+    }
+    return out;
+  };
+
+  const propMap = () => {
+    const props = {};
+    if (!acceptPunct("{")) return props;
+    if (!acceptPunct("}")) {
+      do {
+        const key = ident();
+        expectPunct(":");
+        const lit = literal();
+        if (!lit) fail("expected a literal value");
+        props[key] = lit.value;
+      } while (acceptPunct(","));
+      expectPunct("}");
+    }
+    return props;
+  };
+
+  const nodePattern = () => {
+    expectPunct("(");
+    const v = peek().type === "ident" ? ident() : null;
+    const node = { variable: v, labels: labels(), props: propMap() };
+    expectPunct(")");
+    return node;
+  };
+
+  const relBody = () => {
+    if (!acceptPunct("[")) return { variable: null, types: [], props: {} };
+    const v = peek().type === "ident" ? ident() : null;
+    const rel = { variable: v, types: labels(), props: propMap() };
+    expectPunct("]");
+    return rel;
+  };
+
+  const relPattern = () => {
+    if (acceptPunct("<-")) {
+      const rel = relBody();
+      expectPunct("-");
+      return { ...rel, direction: "in" };
+    }
+    expectPunct("-");
+    const rel = relBody();
+    if (acceptPunct("->")) return { ...rel, direction: "out" };
+    expectPunct("-");
+    return { ...rel, direction: "both" };
+  };
+
+  const pathPattern = () => {
+    const nodes = [nodePattern()];
+    const rels = [];
+    while (isPunct(peek(), "-") || isPunct(peek(), "<-")) {
+      rels.push(relPattern());
+      nodes.push(nodePattern());
+    }
+    return { nodes, rels };
+  };
+
+  // expressions
+  const operand = () => {
+    const lit = literal();
+    if (lit) return lit;
+    if (acceptPunct("[")) {
+      const items = [];
+      if (!acceptPunct("]")) {
+        do {
+          items.push(operand());
+        } while (acceptPunct(","));
+        expectPunct("]");
+      }
+      return { kind: "list", items };
+    }
+    if (acceptPunct("(")) {
+      const inner = orExpr();
+      expectPunct(")");
+      return inner;
+    }
+    if (isKw(peek(), "DATE") && isPunct(peek(1), "(")) {
+      k += 2;
+      const arg = peek().type === "string" ? tokens[k++].value : null;
+      expectPunct(")");
+      return { kind: "date", value: arg };
+    }
+    const name = ident();
+    if (acceptPunct(".")) return { kind: "prop", variable: name, prop: ident() };
+    return { kind: "var", variable: name };
+  };
+
+  const COMPARE = ["=", "<>", "!=", "<", "<=", ">", ">="];
+
+  const comparison = () => {
+    const left = operand();
+    const t = peek();
+    if (t.type === "punct" && COMPARE.includes(t.value)) {
+      k++;
+      return { kind: "compare", op: t.value === "!=" ? "<>" : t.value, left, right: operand() };
+    }
+    if (acceptKw("IS")) {
+      const negate = Boolean(acceptKw("NOT"));
+      expectKw("NULL");
+      return { kind: "isNull", negate, operand: left };
+    }
+    if (acceptKw("CONTAINS")) return { kind: "string", op: "contains", left, right: operand() };
+    if (acceptKw("STARTS")) {
+      expectKw("WITH");
+      return { kind: "string", op: "starts", left, right: operand() };
+    }
+    if (acceptKw("ENDS")) {
+      expectKw("WITH");
+      return { kind: "string", op: "ends", left, right: operand() };
+    }
+    if (acceptKw("IN")) return { kind: "in", left, right: operand() };
+    return left;
+  };
+
+  const notExpr = () => (acceptKw("NOT") ? { kind: "not", operand: notExpr() } : comparison());
+
+  const andExpr = () => {
+    let left = notExpr();
+    while (acceptKw("AND")) left = { kind: "and", left, right: notExpr() };
+    return left;
+  };
+
+  function orExpr() {
+    let left = andExpr();
+    while (acceptKw("OR")) left = { kind: "or", left, right: andExpr() };
+    return left;
+  }
+
+  const returnItem = () => {
+    const expr = operand();
+    const alias = acceptKw("AS") ? ident() : null;
+    const label =
+      alias ||
+      (expr.kind === "prop"
+        ? `${expr.variable}.${expr.prop}`
+        : expr.kind === "var"
+        ? expr.variable
+        : "value");
+    return { expr, label };
+  };
+
+  // query
+  expectKw("MATCH");
+  const patterns = [pathPattern()];
+  while (acceptPunct(",")) patterns.push(pathPattern());
+  const where = acceptKw("WHERE") ? orExpr() : null;
+  expectKw("RETURN");
+  const distinct = Boolean(acceptKw("DISTINCT"));
+  let items = null;
+  if (!acceptPunct("*")) {
+    items = [returnItem()];
+    while (acceptPunct(",")) items.push(returnItem());
+  }
+  const orderBy = [];
+  if (acceptKw("ORDER")) {
+    expectKw("BY");
+    do {
+      const expr = operand();
+      const desc = Boolean(acceptKw("DESC"));
+      if (!desc) acceptKw("ASC");
+      orderBy.push({ expr, desc });
+    } while (acceptPunct(","));
+  }
+  let limit = DEFAULT_LIMIT;
+  if (acceptKw("LIMIT")) {
+    if (peek().type !== "number") fail("expected a number after LIMIT");
+    limit = tokens[k++].value;
+  }
+  if (peek().type !== "eof") fail(`unexpected "${peek().value}"`);
+  return { patterns, where, distinct, items, orderBy, limit };
+}
+
+// ---------------------- evaluation ----------------------
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+const isDate = (v) => v && typeof v === "object" && "date" in v;
+
+const toTime = (v) => {
+  if (isDate(v)) return v.date;
+  if (typeof v === "string" && ISO_DATE.test(v)) {
+    const t = new Date(v).getTime();
+    return isNaN(t) ? null : t;
+  }
+  return null;
+};
+
+function evaluate(expr, row) {
+  switch (expr.kind) {
+    case "literal":
+      return expr.value;
+    case "list":
+      return expr.items.map((item) => evaluate(item, row));
+    case "date": {
+      const t = expr.value ? new Date(expr.value).getTime() : Date.now();
+      return { date: isNaN(t) ? null : t };
+    }
+    case "var":
+      if (!(expr.variable in row)) throw new Error(`Unknown variable "${expr.variable}".`);
+      return row[expr.variable];
+    case "prop": {
+      if (!(expr.variable in row)) throw new Error(`Unknown variable "${expr.variable}".`);
+      return row[expr.variable]?.[expr.prop] ?? null;
+    }
+    case "and":
+      return Boolean(evaluate(expr.left, row)) && Boolean(evaluate(expr.right, row));
+    case "or":
+      return Boolean(evaluate(expr.left, row)) || Boolean(evaluate(expr.right, row));
+    case "not":
+      return !evaluate(expr.operand, row);
+    case "isNull": {
+      const v = evaluate(expr.operand, row);
+      const isNull = v == null || v === "";
+      return expr.negate ? !isNull : isNull;
+    }
+    case "compare":
+      return compare(expr.op, evaluate(expr.left, row), evaluate(expr.right, row));
+    case "string": {
+      const a = evaluate(expr.left, row);
+      const b = evaluate(expr.right, row);
+      if (a == null || b == null) return false;
+      const s = String(a).toLowerCase();
+      const t = String(b).toLowerCase();
+      if (expr.op === "contains") return s.includes(t);
+      if (expr.op === "starts") return s.startsWith(t);
+      return s.endsWith(t);
+    }
+    case "in": {
+      const a = evaluate(expr.left, row);
+      const list = evaluate(expr.right, row);
+      return Array.isArray(list) && list.some((b) => compare("=", a, b));
+    }
+    default:
+      throw new Error(`Cannot evaluate ${expr.kind}.`);
+  }
+}
+
+// Comparisons with null are false. A date value on either side, or ISO
+// date strings on both, compare as timestamps.
+function compare(op, a, b) {
+  if (a == null || b == null || isDate(a) && a.date == null || isDate(b) && b.date == null) {
+    return false;
+  }
+  if (isDate(a) || isDate(b) || (toTime(a) != null && toTime(b) != null)) {
+    a = toTime(a);
+    b = toTime(b);
+    if (a == null || b == null) return false;
+  }
+  switch (op) {
+    case "=":
+      return a === b;
+    case "<>":
+      return a !== b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    default:
+      return a >= b;
+  }
+}
+
+const nodeMatches = (node, pattern) =>
+  (!pattern.labels.length || pattern.labels.includes(node.type)) &&
+  Object.entries(pattern.props).every(([k, v]) => compare("=", node[k], v));
+
+const relMatches = (edge, pattern) =>
+  (!pattern.types.length || pattern.types.includes(edge.relation)) &&
+  Object.entries(pattern.props).every(([k, v]) => compare("=", edge[k], v));
+
+// Bindings of the query's patterns that pass `accept`: [{ vars: { name:
+// node|edge }, nodeIds: [...], edges: [...] }]. Relationships are not reused
+// within one match, as in Cypher. Matching stops once `stopAt` bindings are
+// accepted, and throws past MAX_BINDINGS.
+function matchPatterns(patterns, nodesMap, edges, { accept = () => true, stopAt = Infinity } = {}) {
+  const outgoing = {};
+  const incoming = {};
+  edges.forEach((e) => {
+    (outgoing[e.source] = outgoing[e.source] || []).push(e);
+    (incoming[e.target] = incoming[e.target] || []).push(e);
+  });
+  const allNodes = Object.values(nodesMap);
+  const results = [];
+  let built = 0;
+  const done = () => results.length >= stopAt;
+
+  const bindNode = (pattern, node, state) => {
+    if (!nodeMatches(node, pattern)) return null;
+    if (pattern.variable) {
+      const bound = state.vars[pattern.variable];
+      if (bound && bound !== node) return null;
+      if (!bound) state = { ...state, vars: { ...state.vars, [pattern.variable]: node } };
+    }
+    return { ...state, nodeIds: [...state.nodeIds, node.id] };
+  };
+
+  const walk = (pi, path, step, node, state) => {
+    if (step === path.rels.length) {
+      matchFrom(pi + 1, state);
+      return;
+    }
+    const rel = path.rels[step];
+    const nextPattern = path.nodes[step + 1];
+    const candidates = [];
+    if (rel.direction !== "in") {
+      (outgoing[node.id] || []).forEach((e) => candidates.push([e, e.target]));
+    }
+    if (rel.direction !== "out") {
+      (incoming[node.id] || []).forEach((e) => candidates.push([e, e.source]));
+    }
+    candidates.forEach(([edge, otherId]) => {
+      if (done() || state.edges.includes(edge) || !relMatches(edge, rel)) return;
+      const other = nodesMap[otherId];
+      if (!other) return;
+      let next = { ...state, edges: [...state.edges, edge] };
+      if (rel.variable) {
+        const bound = next.vars[rel.variable];
+        if (bound && bound !== edge) return;
+        next = { ...next, vars: { ...next.vars, [rel.variable]: edge } };
+      }
+      next = bindNode(nextPattern, other, next);
+      if (next) walk(pi, path, step + 1, other, next);
+    });
+  };
+
+  function matchFrom(pi, state) {
+    if (pi === patterns.length) {
+      if (++built > MAX_BINDINGS) {
+        throw new Error(
+          `The query matches more than ${MAX_BINDINGS} paths; narrow it with labels, properties or relationships.`
+        );
+      }
+      if (accept(state)) results.push(state);
+      return;
+    }
+    const path = patterns[pi];
+    const first = path.nodes[0];
+    const bound = first.variable && state.vars[first.variable];
+    (bound ? [bound] : allNodes).forEach((node) => {
+      if (done()) return;
+      const next = bindNode(first, node, state);
+      if (next) walk(pi, path, 0, node, next);
+    });
+  }
+
+  matchFrom(0, { vars: {}, nodeIds: [], edges: [] });
+  return results;
+}
+
+const sortValue = (v) => (isDate(v) ? v.date : toTime(v) ?? v);
+
+// Runs a query string. Returns { columns, rows, truncated, nodeIds, edgeKeys }
+// where rows hold the returned values (node and edge objects for bare
+// variables), `truncated` tells whether LIMIT cut off further rows, and
+// nodeIds / edgeKeys cover the returned paths, for highlighting.
+export function runQuery(src, { nodesMap, edges }) {
+  const query = parseQuery(src);
+  // without sorting or de-duplication the first LIMIT matches are the answer;
+  // one more shows whether there were others
+  let matches = matchPatterns(query.patterns, nodesMap, edges, {
+    accept: query.where ? (m) => evaluate(query.where, m.vars) : undefined,
+    stopAt: query.orderBy.length || query.distinct ? Infinity : query.limit + 1
+  });
+
+  if (query.orderBy.length) {
+    const keyed = matches.map((m) => ({
+      m,
+      keys: query.orderBy.map((o) => sortValue(evaluate(o.expr, m.vars)))
+    }));
+    keyed.sort((a, b) => {
+      for (let i = 0; i < query.orderBy.length; i++) {
+        const x = a.keys[i];
+        const y = b.keys[i];
+        if (x === y) continue;
+        if (x == null) return 1;
+        if (y == null) return -1;
+        const c = x < y ? -1 : 1;
+        return query.orderBy[i].desc ? -c : c;
+      }
+      return 0;
+    });
+    matches = keyed.map((x) => x.m);
+  }
+
+  const items =
+    query.items ||
+    Object.keys(matches[0]?.vars || {}).map((v) => ({
+      expr: { kind: "var", variable: v },
+      label: v
+    }));
+  let rows = matches.map((m) => ({
+    values: items.map((item) => evaluate(item.expr, m.vars)),
+    match: m
+  }));
+  if (query.distinct) {
+    const seen = new Set();
+    rows = rows.filter((r) => {
+      const key = JSON.stringify(r.values.map((v) => (v && typeof v === "object" ? v.id ?? edgeKey(v) : v)));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  const truncated = rows.length > query.limit;
+  rows = rows.slice(0, query.limit);
+
+  const nodeIds = new Set();
+  const edgeKeys = new Set();
+  rows.forEach((r) => {
+    r.match.nodeIds.forEach((id) => nodeIds.add(id));
+    r.match.edges.forEach((e) => edgeKeys.add(edgeKey(e)));
+  });
+  return {
+    columns: items.map((i) => i.label),
+    rows: rows.map((r) => r.values),
+    truncated,
+    nodeIds,
+    edgeKeys
+  };
+}
+
+// ---------------------- natural language ----------------------
+
+// Node labels with their property names and relation types with the labels
+// they connect, for the translation prompt.
+export function describeSchema({ nodesMap, edges }) {
+  const props = {};
+  Object.values(nodesMap).forEach((n) => {
+    const set = (props[n.type] = props[n.type] || new Set());
+    Object.entries(n).forEach(([k, v]) => {
+      if (k !== "type" && v != null && typeof v !== "object") set.add(k);
+    });
+  });
+  const rels = new Set();
+  edges.forEach((e) => {
+    const s = nodesMap[e.source]?.type;
+    const t = nodesMap[e.target]?.type;
+    if (s && t) rels.add(`(:${s})-[:${e.relation}]->(:${t})`);
+  });
+  return (
+    "Node labels and properties:\n" +
+    Object.entries(props)
+      .map(([label, set]) => `  ${label}: ${[...set].join(", ")}`)
+      .join("\n") +
+    "\nRelationships:\n" +
+    [...rels].map((r) => `  ${r}`).join("\n")
+  );
+}
+
+export async function translateToQuery(provider, question, graph, { signal } = {}) {
+  const prompt =
+    "Translate the question into a query for a small Cypher-like language over an energy knowledge graph.\n\n" +
+    describeSchema(graph) +
+    "\n\nSupported syntax: MATCH with node patterns (var:Label {prop: value}) and relationships " +
+    "-[:TYPE]->, <-[:TYPE]-, -[:TYPE]- (alternatives with |), comma-separated patterns; WHERE with AND, OR, NOT, " +
+    "=, <>, <, <=, >, >=, CONTAINS, STARTS WITH, ENDS WITH, IN [...], IS NULL, IS NOT NULL; " +
+    'date() for today and date("YYYY-MM-DD"); RETURN [DISTINCT] var, var.prop [AS alias]; ORDER BY ... [DESC]; LIMIT n. ' +
+    "No other Cypher features are available.\n\n" +
+    `Example:\n${EXAMPLE_QUERY}\n\n` +
+    `Question: ${question}\n\n` +
+    "Return only the query, with no explanation and no code fences.";
+  const text = await provider.complete(prompt, { signal });
+  return text
+    .replace(/```(?:cypher)?/gi, "")
+    .trim();
+}
@@ -0,0 +1,231 @@
+// Hybrid retrieval for graph RAG: BM25 over node text fused with embedding
+// similarity, metadata filters, k-hop expansion along edges and an optional
+// re-ranking pass.
+
+import { tokenize } from "./providers.js";
+import { cosineSim, searchVectorIndex } from "./vector.js";
+import { edgeKey } from "./ingest.js";
+import { parseModelJson } from "./extraction.js";
+
+export const RERANK_OPTIONS = [
+  { id: "none", label: "No re-ranking" },
+  { id: "centrality", label: "Boost central nodes" },
+  { id: "model", label: "Ask the model" }
+];
+
+export const DEFAULT_RETRIEVAL_SETTINGS = {
+  topK: 8,
+  // weight of the vector score in the fusion; BM25 gets the rest
+  alpha: 0.6,
+  types: [],
+  region: "",
+  from: "",
+  to: "",
+  hops: 0,
+  maxExpanded: 12,
+  rerank: "none"
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const nodeText = (n) => `${n.title || n.name || ""} ${n.summary || ""}`;
+
+export const nodeDate = (n) => n.start_time || n.published || n.start_date || "";
+
+// ---------------------- BM25 ----------------------
+
+export function buildBm25Index(nodesMap) {
+  const docs = {};
+  const df = {};
+  let totalLen = 0;
+  Object.values(nodesMap).forEach((n) => {
+    const tokens = tokenize(nodeText(n));
+    const tf = new Map();
+    tokens.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    tf.forEach((_, t) => {
+      df[t] = (df[t] || 0) + 1;
+    });
+    docs[n.id] = { tf, len: tokens.length };
+    totalLen += tokens.length;
+  });
+  const count = Object.keys(docs).length;
+  return { docs, df, count, avgLen: count ? totalLen / count : 0 };
+}
+
+export function bm25Scores(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  const scores = {};
+  terms.forEach((t) => {
+    const df = index.df[t];
+    if (!df) return;
+    const idf = Math.log(1 + (index.count - df + 0.5) / (df + 0.5));
+    Object.entries(index.docs).forEach(([id, doc]) => {
+      const f = doc.tf.get(t);
+      if (!f) return;
+      const norm = 1 - BM25_B + (BM25_B * doc.len) / (index.avgLen || 1);
+      scores[id] = (scores[id] || 0) + (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * norm);
+    });
+  });
+  return scores;
+}
+
+// ---------------------- filters ----------------------
+
+export function matchesFilters(node, { types = [], region = "", from = "", to = "" }) {
+  if (types.length && !types.includes(node.type)) return false;
+  if (region) {
+    const r = (node.region || node.jurisdiction || node.name || "").toLowerCase();
+    if (!r.includes(region.toLowerCase())) return false;
+  }
+  if (from || to) {
+    const d = nodeDate(node).slice(0, 10);
+    if (!d) return false;
+    if (from && d < from) return false;
+    if (to && d > to) return false;
+  }
+  return true;
+}
+
+// ---------------------- fusion & expansion ----------------------
+
+const normalize = (scores) => {
+  const values = Object.values(scores);
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, max);
+  const span = max - min;
+  const out = {};
+  Object.entries(scores).forEach(([id, v]) => {
+    out[id] = span ? (v - min) / span : max ? 1 : 0;
+  });
+  return out;
+};
+
+// Nodes within `hops` edges of `seedIds`, nearest first. Each entry is
+// { id, hop, via } where `via` is the edge it was reached over.
+export function expandNeighbourhood(seedIds, edges, hops, maxNodes = Infinity) {
+  const seen = new Set(seedIds);
+  const out = [];
+  let frontier = [...seedIds];
+  for (let hop = 1; hop <= hops && frontier.length; hop++) {
+    const next = [];
+    const inFrontier = new Set(frontier);
+    for (const e of edges) {
+      if (out.length >= maxNodes) break;
+      const pairs = [
+        [e.source, e.target],
+        [e.target, e.source]
+      ];
+      for (const [from, to] of pairs) {
+        if (!inFrontier.has(from) || seen.has(to) || out.length >= maxNodes) continue;
+        seen.add(to);
+        next.push(to);
+        out.push({ id: to, hop, via: e });
+      }
+    }
+    frontier = next;
+  }
+  return out;
+}
+
+async function rerankWithModel(provider, query, results, { signal } = {}) {
+  const list = results
+    .map((r) => `${r.id}: ${(r.title || r.name || "").slice(0, 120)}`)
+    .join("\n");
+  const prompt =
+    `Question: ${query}\n\nCandidate graph nodes:\n${list}\n\n` +
+    "Order the candidate ids from most to least useful for answering the question. " +
+    'Return only JSON shaped as {"ranking":["id", ...]}.';
+  const ranking = parseModelJson(await provider.complete(prompt, { signal }))?.ranking;
+  if (!Array.isArray(ranking)) return results;
+  const pos = {};
+  ranking.forEach((id, i) => {
+    if (pos[id] == null) pos[id] = i;
+  });
+  return [...results].sort(
+    (a, b) => (pos[a.id] ?? Infinity) - (pos[b.id] ?? Infinity)
+  );
+}
+
+// Full retrieval pass. Returns { results, subgraph } where `results` are the
+// top-k hits with a positive `vectorScore` or `bm25Score` (fewer than k when
+// few nodes match) followed by nodes reached by expansion (with `hop`), and
+// `subgraph` holds the node ids and edge keys to highlight. With a
+// `vectorIndex` (see vector.js) only the best approximate matches get a
+// vector score; without one every embedding is compared.
+export async function hybridSearch(
+  { query, provider, embeddings, nodesMap, edges, metrics = {}, bm25Index, vectorIndex },
+  settings = DEFAULT_RETRIEVAL_SETTINGS,
+  { signal } = {}
+) {
+  const candidates = Object.values(nodesMap).filter((n) => matchesFilters(n, settings));
+  if (!candidates.length) return { results: [], subgraph: { nodes: new Set(), edges: new Set() } };
+
+  let vector = {};
+  const ids = candidates.map((n) => n.id).filter((id) => embeddings[id]);
+  if (ids.length && settings.alpha > 0) {
+    const qEmb = await provider.embed(query, { signal });
+    if (vectorIndex) {
+      const allowed = new Set(ids);
+      vector = searchVectorIndex(vectorIndex, qEmb, {
+        filter: (id) => allowed.has(id),
+        candidates: Math.max(200, settings.topK * 10)
+      });
+    } else {
+      ids.forEach((id) => {
+        vector[id] = cosineSim(qEmb, embeddings[id]);
+      });
+    }
+  }
+  const lexical = bm25Scores(bm25Index || buildBm25Index(nodesMap), query);
+  const vNorm = normalize(vector);
+  const lNorm = normalize(
+    Object.fromEntries(candidates.map((n) => [n.id, lexical[n.id] || 0]))
+  );
+
+  let scored = candidates.map((n) => ({
+    ...n,
+    vectorScore: vector[n.id] ?? 0,
+    bm25Score: lexical[n.id] || 0,
+    score: settings.alpha * (vNorm[n.id] ?? 0) + (1 - settings.alpha) * (lNorm[n.id] ?? 0)
+  }));
+  scored.sort((a, b) => b.score - a.score);
+
+  if (settings.rerank === "centrality") {
+    const maxRank = Math.max(...Object.values(metrics).map((m) => m.pagerank || 0), 0) || 1;
+    scored = scored.map((r) => ({
+      ...r,
+      score: r.score * (0.7 + (0.3 * (metrics[r.id]?.pagerank || 0)) / maxRank)
+    }));
+    scored.sort((a, b) => b.score - a.score);
+  }
+  // nodes that match neither way would only pad the model's context; the
+  // raw scores decide, as normalizing maps the weakest match to 0
+  let results = scored
+    .filter((r) => r.bm25Score > 0 || r.vectorScore > 0)
+    .slice(0, settings.topK);
+  if (settings.rerank === "model" && provider.id !== "offline" && results.length > 1) {
+    results = await rerankWithModel(provider, query, results, { signal });
+  }
+
+  const subgraph = { nodes: new Set(results.map((r) => r.id)), edges: new Set() };
+  if (settings.hops > 0) {
+    expandNeighbourhood(
+      results.map((r) => r.id),
+      edges,
+      settings.hops,
+      settings.maxExpanded
+    ).forEach(({ id, hop, via }) => {
+      subgraph.nodes.add(id);
+      subgraph.edges.add(edgeKey(via));
+      if (nodesMap[id]) results.push({ ...nodesMap[id], hop, score: 0 });
+    });
+  }
+  // edges among the retrieved nodes complete the highlighted subgraph
+  edges.forEach((e) => {
+    if (subgraph.nodes.has(e.source) && subgraph.nodes.has(e.target)) {
+      subgraph.edges.add(edgeKey(e));
+    }
+  });
+  return { results, subgraph };
+}
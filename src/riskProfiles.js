@@ -0,0 +1,147 @@
+// Named risk scoring profiles: the risk model parameters from analytics.js
+// plus the colour bands every risk display (canvas, map, inspector chips,
+// exports) reads. Saved profiles live in IndexedDB; "Default" is built in.
+
+import { DEFAULT_RISK_MODEL, RISK_FACTORS } from "./analytics.js";
+import { idbDelete, idbGetAll, idbPutMany } from "./idb.js";
+
+const STORE = "riskProfiles";
+
+export const DEFAULT_PROFILE_NAME = "Default";
+
+// Highest first: a score belongs to the first band whose `min` it reaches.
+export const DEFAULT_RISK_BANDS = [
+  { label: "High", min: 0.7, color: "#f97373" },
+  { label: "Medium", min: 0.4, color: "#fb923c" },
+  { label: "Low", min: 0, color: "#22c55e" }
+];
+
+export const DEFAULT_RISK_PROFILE = {
+  name: DEFAULT_PROFILE_NAME,
+  model: DEFAULT_RISK_MODEL,
+  bands: DEFAULT_RISK_BANDS
+};
+
+export const riskBand = (value, bands = DEFAULT_RISK_BANDS) =>
+  bands.find((b) => value >= b.min) || bands[bands.length - 1];
+
+const inRange = (v, min, max) => typeof v === "number" && !isNaN(v) && v >= min && v <= max;
+
+const numberMap = (map, label, max) => {
+  const out = {};
+  Object.entries(map || {}).forEach(([k, v]) => {
+    if (!k.trim()) return;
+    if (!inRange(v, 0, max)) {
+      throw new Error(`${label} for "${k}" must be between 0 and ${max}.`);
+    }
+    out[k.trim()] = v;
+  });
+  return out;
+};
+
+// Fills gaps from the defaults and checks every value, so a profile saved by
+// an older version or edited by hand either works or says what is wrong.
+export function normalizeRiskProfile(profile) {
+  const name = String(profile?.name ?? "").trim();
+  if (!name) throw new Error("A risk profile needs a name.");
+  const model = { ...DEFAULT_RISK_MODEL, ...(profile.model || {}) };
+  model.weights = { ...DEFAULT_RISK_MODEL.weights, ...(profile.model?.weights || {}) };
+  Object.entries(model.weights).forEach(([k, v]) => {
+    if (!inRange(v, 0, 1)) throw new Error(`Weight "${k}" must be between 0 and 1.`);
+  });
+  if (!inRange(model.halfLifeDays, 1, 36500)) {
+    throw new Error("The recency half-life must be between 1 and 36500 days.");
+  }
+  ["policyTransfer", "neighbourTransfer", "baseline"].forEach((k) => {
+    if (!inRange(model[k], 0, 1)) throw new Error(`"${k}" must be between 0 and 1.`);
+  });
+  model.assetTypes = numberMap(model.assetTypes, "The asset type multiplier", 2);
+  model.baselines = numberMap(model.baselines, "The baseline", 1);
+
+  const bands = (profile.bands || DEFAULT_RISK_BANDS)
+    .map((b) => ({ label: String(b.label || "").trim(), min: b.min, color: b.color }))
+    .sort((a, b) => b.min - a.min);
+  if (!bands.length) throw new Error("A risk profile needs at least one colour band.");
+  bands.forEach((b) => {
+    if (!b.label) throw new Error("Every colour band needs a label.");
+    if (!inRange(b.min, 0, 1)) {
+      throw new Error(`Band "${b.label}" must start between 0 and 1.`);
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(b.color || "")) {
+      throw new Error(`Band "${b.label}" needs a colour like #22c55e.`);
+    }
+  });
+  if (bands[bands.length - 1].min !== 0) {
+    throw new Error("The lowest colour band must start at 0.");
+  }
+  return { name, model, bands };
+}
+
+// One line per step of a node's score, from propagateRisk's `breakdown`.
+// `titleOf` turns the node ids it mentions into names.
+export function explainRisk({ risk, breakdown: d }, node, model, titleOf = (id) => id) {
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const lines = [];
+  if (d.kind === "event") {
+    d.factors.forEach((f) => {
+      const label = RISK_FACTORS.find((r) => r.id === f.id)?.label || f.id;
+      const value = f.id === "activePolicies" ? f.value : f.value.toFixed(2);
+      lines.push(`${label}: ${value} → ×${f.effect.toFixed(2)}`);
+    });
+    lines.push(`Event score: ${d.raw.toFixed(2)}`);
+  } else if (d.kind === "location") {
+    lines.push(
+      `${d.events} event(s) here or in regions inside it, combined: ${d.raw.toFixed(2)}`
+    );
+  } else if (d.kind === "policy") {
+    lines.push(
+      `${pct(model.policyTransfer)} of ${titleOf(d.from)}, the riskiest location it applies to: ${d.raw.toFixed(2)}`
+    );
+  } else if (d.from) {
+    lines.push(
+      `${pct(model.neighbourTransfer)} of ${titleOf(d.from)}, its riskiest neighbour: ${d.raw.toFixed(2)}`
+    );
+  } else {
+    lines.push("No scored neighbours.");
+  }
+  if (d.floored) {
+    lines.push(`Raised to the ${node?.type || "node"} baseline: ${d.baseline.toFixed(2)}`);
+  }
+  if (model.weights.centrality) {
+    lines.push(
+      `Centrality ${d.centrality.toFixed(2)} blended in at ${pct(model.weights.centrality)}: ${risk.toFixed(2)}`
+    );
+  }
+  return lines;
+}
+
+// ---------------------- persistence ----------------------
+
+export async function saveRiskProfile(profile) {
+  const next = normalizeRiskProfile(profile);
+  if (next.name === DEFAULT_PROFILE_NAME) {
+    throw new Error(`"${DEFAULT_PROFILE_NAME}" is built in; save under another name.`);
+  }
+  await idbPutMany(STORE, [
+    { key: next.name, value: { ...next, savedAt: new Date().toISOString() } }
+  ]);
+  return next;
+}
+
+export async function deleteRiskProfile(name) {
+  await idbDelete(STORE, name);
+}
+
+// Saved profiles by name; ones that no longer validate are left out.
+export async function listRiskProfiles() {
+  const all = await idbGetAll(STORE);
+  return all
+    .flatMap((p) => {
+      try {
+        return [normalizeRiskProfile(p)];
+      } catch {
+        return [];
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,185 @@
+// What-if cascade simulation over the knowledge graph.
+//
+// Disruption spreads along non-temporal edges in both directions. An edge's
+// strength is its `weight` (1 for structural edges) and a node's
+// susceptibility comes from its `risk_score`, so risky, well-connected
+// regions fail first. Papers are literature rather than infrastructure and
+// never fail.
+
+import { locationDescendants } from "./geo.js";
+
+export const CASCADE_MODELS = [
+  { id: "independent", label: "Independent cascade" },
+  { id: "threshold", label: "Linear threshold" }
+];
+
+export const DEFAULT_SIMULATION_SETTINGS = {
+  model: "independent",
+  runs: 200,
+  spread: 0.4,
+  hardening: 0.6,
+  maxSteps: 12,
+  seed: 42
+};
+
+// mulberry32: small seeded PRNG so scenarios are comparable run for run.
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Nodes a policy protects: the locations it APPLIES_TO, the regions inside
+// them (a national policy covers its states) and everything that OCCURS_IN
+// any of those.
+export function hardenedNodes(policyId, edges) {
+  const out = new Set();
+  if (!policyId) return out;
+  edges.forEach((e) => {
+    if (e.source === policyId && e.relation === "APPLIES_TO") {
+      out.add(e.target);
+      locationDescendants(e.target, edges).forEach((id) => out.add(id));
+    }
+  });
+  edges.forEach((e) => {
+    if (e.relation === "OCCURS_IN" && out.has(e.target)) out.add(e.source);
+  });
+  return out;
+}
+
+// Weighted neighbour lists: { [id]: [{ id, weight, susceptibility, p }] }
+// where `p` is the independent-cascade activation probability of the edge.
+export function buildCascadeGraph(nodesMap, edges, metrics, settings, policyId) {
+  const hardened = hardenedNodes(policyId, edges);
+  const susceptible = (id) =>
+    nodesMap[id] && nodesMap[id].type !== "Paper";
+  const resistance = (id) => (hardened.has(id) ? 1 - settings.hardening : 1);
+  const adj = {};
+  Object.keys(nodesMap).forEach((id) => {
+    adj[id] = [];
+  });
+  edges.forEach((e) => {
+    if (e.temporal || !adj[e.source] || !adj[e.target]) return;
+    const weight = typeof e.weight === "number" ? e.weight : 1;
+    [
+      [e.source, e.target],
+      [e.target, e.source]
+    ].forEach(([from, to]) => {
+      if (!susceptible(to)) return;
+      const susceptibility = (0.5 + (metrics[to]?.risk_score ?? 0.3)) * resistance(to);
+      const p = Math.min(1, settings.spread * weight * susceptibility);
+      adj[from].push({ id: to, weight, susceptibility, p });
+    });
+  });
+  return adj;
+}
+
+// One run from `seeds`. Returns the ids activated at each step, seeds first.
+export function runCascade(adj, seeds, settings, random) {
+  const active = new Set(seeds);
+  const steps = [[...seeds]];
+  if (settings.model === "threshold") {
+    const threshold = {};
+    const incoming = {};
+    Object.keys(adj).forEach((id) => {
+      threshold[id] = random();
+      incoming[id] = 0;
+    });
+    Object.values(adj).forEach((list) => {
+      list.forEach((n) => {
+        incoming[n.id] += n.weight;
+      });
+    });
+    const pressure = {};
+    let frontier = [...seeds];
+    for (let step = 0; step < settings.maxSteps && frontier.length; step++) {
+      const next = [];
+      frontier.forEach((id) => {
+        adj[id].forEach((n) => {
+          if (active.has(n.id) || !incoming[n.id]) return;
+          pressure[n.id] = (pressure[n.id] || 0) + n.weight;
+          // risky nodes tip sooner, hardened ones later
+          if ((pressure[n.id] / incoming[n.id]) * n.susceptibility >= threshold[n.id]) {
+            active.add(n.id);
+            next.push(n.id);
+          }
+        });
+      });
+      if (next.length) steps.push(next);
+      frontier = next;
+    }
+    return steps;
+  }
+
+  let frontier = [...seeds];
+  for (let step = 0; step < settings.maxSteps && frontier.length; step++) {
+    const next = [];
+    frontier.forEach((id) => {
+      adj[id].forEach((n) => {
+        if (active.has(n.id)) return;
+        if (random() < n.p) {
+          active.add(n.id);
+          next.push(n.id);
+        }
+      });
+    });
+    if (next.length) steps.push(next);
+    frontier = next;
+  }
+  return steps;
+}
+
+// Regions touched by a set of active nodes: Location names plus the
+// region / jurisdiction of active events and policies.
+const regionsOf = (ids, nodesMap) => {
+  const out = new Set();
+  ids.forEach((id) => {
+    const n = nodesMap[id];
+    if (!n) return;
+    if (n.type === "Location") out.add(n.name || id);
+    else if (n.region || n.jurisdiction) out.add(n.region || n.jurisdiction);
+  });
+  return out;
+};
+
+// Monte Carlo over `settings.runs` runs. Returns per-node hit rates, the
+// probability each region is impacted, the expected number of impacted
+// nodes, and the steps of the worst run for animation.
+export function simulate(graph, metrics, seeds, settings, policyId = null) {
+  const { nodesMap, edges } = graph;
+  const adj = buildCascadeGraph(nodesMap, edges, metrics, settings, policyId);
+  const random = seededRandom(settings.seed);
+  const hits = {};
+  const regionHits = {};
+  let total = 0;
+  let worst = [];
+  for (let run = 0; run < settings.runs; run++) {
+    const steps = runCascade(adj, seeds, settings, random);
+    const ids = steps.flat();
+    if (ids.length > worst.flat().length) worst = steps;
+    total += ids.length;
+    ids.forEach((id) => {
+      hits[id] = (hits[id] || 0) + 1;
+    });
+    regionsOf(ids, nodesMap).forEach((r) => {
+      regionHits[r] = (regionHits[r] || 0) + 1;
+    });
+  }
+  const rate = (count) => count / settings.runs;
+  return {
+    policyId,
+    expectedImpacted: total / settings.runs,
+    hitRates: Object.entries(hits)
+      .map(([id, count]) => ({ id, rate: rate(count) }))
+      .sort((a, b) => b.rate - a.rate),
+    regions: Object.entries(regionHits)
+      .map(([region, count]) => ({ region, rate: rate(count) }))
+      .sort((a, b) => b.rate - a.rate),
+    steps: worst
+  };
+}
@@ -0,0 +1,87 @@
+// Named graph snapshots: nodes, edges and embeddings persisted to IndexedDB
+// and exchangeable as a single portable JSON file.
+
+import { idbDelete, idbGetAll, idbGetMany, idbPutMany } from "./idb.js";
+
+const STORE = "snapshots";
+export const SNAPSHOT_FORMAT = "energy-graph-snapshot";
+export const SNAPSHOT_VERSION = 1;
+
+export function buildSnapshot({
+  name,
+  nodesMap,
+  edges,
+  embeddings,
+  embedTexts,
+  provider,
+  ingestedAt
+}) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    meta: {
+      providerId: provider?.id ?? null,
+      embeddingModel: provider?.embeddingModel ?? null,
+      ingestedAt: ingestedAt ?? null,
+      nodeCount: Object.keys(nodesMap).length,
+      edgeCount: edges.length
+    },
+    nodesMap,
+    edges: edges.map((e) => ({ ...e })),
+    embeddings,
+    embedTexts: embedTexts || {}
+  };
+}
+
+// Checks the shape of a snapshot read from disk or a file.
+export function parseSnapshot(text) {
+  let snap;
+  try {
+    snap = JSON.parse(text);
+  } catch {
+    throw new Error("Snapshot file is not valid JSON.");
+  }
+  if (snap?.format !== SNAPSHOT_FORMAT) {
+    throw new Error("This file is not an energy graph snapshot.");
+  }
+  if (snap.version > SNAPSHOT_VERSION) {
+    throw new Error(
+      `Snapshot version ${snap.version} is newer than this studio supports.`
+    );
+  }
+  if (!snap.nodesMap || !Array.isArray(snap.edges)) {
+    throw new Error("Snapshot is missing nodes or edges.");
+  }
+  return {
+    ...snap,
+    name: snap.name || "Imported graph",
+    embeddings: snap.embeddings || {},
+    embedTexts: snap.embedTexts || {},
+    meta: snap.meta || {}
+  };
+}
+
+export const serializeSnapshot = (snap) => JSON.stringify(snap);
+
+export async function saveSnapshot(snap) {
+  await idbPutMany(STORE, [{ key: snap.name, value: snap }]);
+}
+
+export async function loadSnapshot(name) {
+  const found = await idbGetMany(STORE, [name]);
+  return found[name] || null;
+}
+
+export async function deleteSnapshot(name) {
+  await idbDelete(STORE, name);
+}
+
+// Snapshot metadata for the picker, newest first.
+export async function listSnapshots() {
+  const all = await idbGetAll(STORE);
+  return all
+    .map(({ name, savedAt, meta }) => ({ name, savedAt, meta: meta || {} }))
+    .sort((a, b) => (b.savedAt || "").localeCompare(a.savedAt || ""));
+}
@@ -0,0 +1,227 @@
+// Temporal edges between events and policies, and causal-chain walks.
+
+import { locationAncestors } from "./geo.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const TEMPORAL_RELATIONS = new Set([
+  "PRECEDES",
+  "OVERLAPS",
+  "FOLLOWED_BY_POLICY"
+]);
+
+export const DEFAULT_TEMPORAL_SETTINGS = {
+  precedesDays: 90,
+  policyMonths: 12,
+  minSeverity: 0.7,
+  sameRegion: true
+};
+
+const time = (v) => {
+  if (!v) return null;
+  const t = new Date(v).getTime();
+  return isNaN(t) ? null : t;
+};
+
+const eventInterval = (n) => {
+  const start = time(n.start_time);
+  if (start == null) return null;
+  const end = time(n.end_time);
+  return { start, end: end != null && end >= start ? end : start };
+};
+
+const gapDays = (ms) => Number((ms / DAY).toFixed(1));
+
+// Builds the temporal edge set for the current nodes:
+//  - OVERLAPS between events whose intervals intersect (earlier start first),
+//  - PRECEDES from each event to the next non-overlapping event starting
+//    within `precedesDays` after it ends,
+//  - FOLLOWED_BY_POLICY from events with severity >= `minSeverity` to
+//    policies starting within `policyMonths` after the event.
+// With `sameRegion`, events must share a region, and a policy's
+// jurisdiction must be the event region or a region containing it along
+// the PART_OF edges among `edges` (a national policy follows a state event).
+export function inferTemporalLinks(nodesMap, edges = [], settings = DEFAULT_TEMPORAL_SETTINGS) {
+  const { precedesDays, policyMonths, minSeverity, sameRegion } = settings;
+  const events = Object.values(nodesMap)
+    .filter((n) => n.type === "Event")
+    .map((n) => ({ node: n, ...eventInterval(n) }))
+    .filter((e) => e.start != null)
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  const policies = Object.values(nodesMap)
+    .filter((n) => n.type === "Policy" && time(n.start_date) != null)
+    .map((n) => ({ node: n, start: time(n.start_date) }));
+
+  const groupKey = (region) => (sameRegion ? region || "" : "*");
+  const groups = {};
+  events.forEach((e) => {
+    const k = groupKey(e.node.region);
+    if (sameRegion && !e.node.region) return;
+    (groups[k] = groups[k] || []).push(e);
+  });
+
+  const links = [];
+  Object.values(groups).forEach((list) => {
+    list.forEach((a, i) => {
+      for (let j = i + 1; j < list.length; j++) {
+        const b = list[j];
+        if (b.start <= a.end) {
+          links.push({
+            source: a.node.id,
+            target: b.node.id,
+            relation: "OVERLAPS",
+            temporal: true
+          });
+          continue;
+        }
+        // list is sorted by start, so nothing later can overlap `a`
+        if (b.start - a.end <= precedesDays * DAY) {
+          links.push({
+            source: a.node.id,
+            target: b.node.id,
+            relation: "PRECEDES",
+            gap_days: gapDays(b.start - a.end),
+            temporal: true
+          });
+        }
+        break;
+      }
+    });
+  });
+
+  const covering = {};
+  const coversRegion = (jurisdiction, region) => {
+    if (jurisdiction === region) return true;
+    if (!jurisdiction || !region) return false;
+    if (!covering[region]) {
+      covering[region] = new Set(locationAncestors(`location:${region}`, edges));
+    }
+    return covering[region].has(`location:${jurisdiction}`);
+  };
+
+  const windowMs = policyMonths * 30.44 * DAY;
+  events
+    .filter((e) => (e.node.severity ?? 0) >= minSeverity)
+    .forEach((e) => {
+      policies.forEach((p) => {
+        if (sameRegion && !coversRegion(p.node.jurisdiction, e.node.region)) return;
+        const gap = p.start - e.start;
+        if (gap < 0 || gap > windowMs) return;
+        links.push({
+          source: e.node.id,
+          target: p.node.id,
+          relation: "FOLLOWED_BY_POLICY",
+          gap_days: gapDays(gap),
+          temporal: true
+        });
+      });
+    });
+
+  return links;
+}
+
+// Replaces all previously inferred temporal edges with a fresh set.
+export function relinkTemporal(nodesMap, edges, settings) {
+  return [
+    ...edges.filter((e) => !e.temporal),
+    ...inferTemporalLinks(nodesMap, edges, settings)
+  ];
+}
+
+// Walks temporal edges from `nodeId`: backwards over incoming edges to find
+// what led up to it, forwards over outgoing edges to find what came after.
+// Each step is { id, via, relation, depth } where `via` is the node it was
+// reached from.
+export function causalChain(nodeId, edges, { maxDepth = 6 } = {}) {
+  const temporal = edges.filter((e) => TEMPORAL_RELATIONS.has(e.relation));
+  const walk = (direction) => {
+    const out = [];
+    const seen = new Set([nodeId]);
+    let frontier = [nodeId];
+    for (let depth = 1; depth <= maxDepth && frontier.length; depth++) {
+      const next = [];
+      frontier.forEach((id) => {
+        temporal.forEach((e) => {
+          const from = direction === "after" ? e.source : e.target;
+          const to = direction === "after" ? e.target : e.source;
+          if (from !== id || seen.has(to)) return;
+          seen.add(to);
+          next.push(to);
+          out.push({ id: to, via: id, relation: e.relation, depth });
+        });
+      });
+      frontier = next;
+    }
+    return out;
+  };
+  return { before: walk("before"), after: walk("after") };
+}
+
+// ---------------------- replay ----------------------
+
+// Dated nodes in time order, as the items of the studio's timeline.
+export function buildTimeline(nodesMap) {
+  const items = [];
+  Object.values(nodesMap).forEach((n) => {
+    const t = n.start_time || n.published || n.start_date || n.end_time || n.end_date;
+    const timestamp = time(t);
+    if (timestamp == null) return;
+    items.push({
+      id: n.id,
+      type: n.type,
+      title: n.title || n.name || n.id,
+      time: t,
+      summary: n.summary,
+      region: n.region || n.jurisdiction,
+      timestamp
+    });
+  });
+  return items.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Timestamp a node comes into existence at, or null for undated nodes.
+export function nodeStartTime(n) {
+  return time(n.start_time) ?? time(n.published) ?? time(n.start_date);
+}
+
+// The graph as it stood at `at`: dated nodes that have started, undated
+// nodes (locations, extracted entities) once something linked to them has,
+// and the edges between them. Policies past their end_date stay in the
+// graph but are listed in `expired` so the canvas can fade them.
+export function graphAt(nodesMap, edges, at) {
+  const present = {};
+  Object.values(nodesMap).forEach((n) => {
+    const t = nodeStartTime(n);
+    if (t != null && t <= at) present[n.id] = n;
+  });
+  edges.forEach((e) => {
+    [e.source, e.target].forEach((id, i) => {
+      const other = i ? e.source : e.target;
+      const n = nodesMap[id];
+      if (n && !present[id] && nodeStartTime(n) == null && present[other]) {
+        present[id] = n;
+      }
+    });
+  });
+  // regions containing a present location, however far up
+  let grew = true;
+  while (grew) {
+    grew = false;
+    edges.forEach((e) => {
+      if (e.relation === "PART_OF" && present[e.source] && !present[e.target] && nodesMap[e.target]) {
+        present[e.target] = nodesMap[e.target];
+        grew = true;
+      }
+    });
+  }
+  const expired = new Set(
+    Object.values(present)
+      .filter((n) => n.type === "Policy" && time(n.end_date) != null && time(n.end_date) < at)
+      .map((n) => n.id)
+  );
+  return {
+    nodesMap: present,
+    edges: edges.filter((e) => present[e.source] && present[e.target]),
+    expired
+  };
+}
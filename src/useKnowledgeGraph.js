@@ -0,0 +1,147 @@
+// React binding for the headless engine in knowledgeGraph.js: one engine per
+// component, kept in sync with the given provider and settings, the current
+// graph as render state, its metrics from the analytics worker, and the
+// long-running ingest / extraction jobs with their progress.
+
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { computeMetrics } from "./analytics.js";
+import { createKnowledgeGraph } from "./knowledgeGraph.js";
+import { graphAt } from "./temporal.js";
+
+// One cancellable run of an engine job `(input, options)` at a time, with
+// its progress as state; `signal` and `onProgress` are added to `options`.
+function useJob(job) {
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const controllerRef = useRef(null);
+  const start = async (input, options = {}) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setRunning(true);
+    setProgress(null);
+    try {
+      return await job(input, { ...options, signal: controller.signal, onProgress: setProgress });
+    } finally {
+      controllerRef.current = null;
+      setRunning(false);
+    }
+  };
+  return { running, progress, start, cancel: () => controllerRef.current?.abort() };
+}
+
+// Metrics of `graph`, computed in analytics.worker.js since betweenness is
+// O(n·m). Jobs don't queue up behind each other (replay changes the graph
+// every frame): while one runs, a newer request replaces the waiting one.
+// Replies arrive in request order, so each is newer than what is shown and
+// is swapped in.
+function useMetrics(engine, graph, options) {
+  const [metrics, setMetrics] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+  // the worker runs one job at a time; only the latest waiting one is kept
+  const busyRef = useRef(false);
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return undefined;
+    const worker = new Worker(new URL("./analytics.worker.js", import.meta.url), {
+      type: "module"
+    });
+    worker.onmessage = (event) => {
+      const { id, metrics: next, error: err } = event.data;
+      const pending = pendingRef.current;
+      pendingRef.current = null;
+      if (pending) worker.postMessage(pending);
+      else busyRef.current = false;
+      if (id === requestRef.current) setLoading(false);
+      if (err) {
+        if (!pending) setError(err);
+      } else {
+        setMetrics(next);
+        setError("");
+      }
+    };
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      busyRef.current = false;
+      pendingRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const id = ++requestRef.current;
+    const worker = workerRef.current;
+    if (!worker) {
+      // the engine caches metrics of its own (current) graph
+      setMetrics(
+        options.asOf == null
+          ? engine.metrics(options)
+          : computeMetrics(graph.nodesMap, graph.edges, options)
+      );
+      return;
+    }
+    setLoading(true);
+    const job = { id, nodesMap: graph.nodesMap, edges: graph.edges, options };
+    if (busyRef.current) {
+      pendingRef.current = job;
+      return;
+    }
+    busyRef.current = true;
+    worker.postMessage(job);
+  }, [engine, graph, options]);
+
+  return { metrics, loading, error };
+}
+
+// `riskModel` feeds the metrics; with `asOf` (a timestamp, e.g. a replay
+// position) `activeGraph` and the metrics are the graph as of that date,
+// with recency measured from it.
+export function useKnowledgeGraph({
+  provider,
+  linkSettings,
+  temporalSettings,
+  riskModel,
+  asOf = null
+} = {}) {
+  const engineRef = useRef(null);
+  if (!engineRef.current) {
+    engineRef.current = createKnowledgeGraph({ provider, linkSettings, temporalSettings });
+  }
+  const engine = engineRef.current;
+
+  useEffect(() => {
+    engine.configure({ provider, linkSettings, temporalSettings });
+  }, [engine, provider, linkSettings, temporalSettings]);
+
+  const { nodesMap, edges } = useSyncExternalStore(engine.subscribe, engine.getGraph);
+
+  const activeGraph = useMemo(
+    () =>
+      asOf == null ? { nodesMap, edges, expired: new Set() } : graphAt(nodesMap, edges, asOf),
+    [nodesMap, edges, asOf]
+  );
+  const metricsOptions = useMemo(
+    () => (asOf == null ? { riskModel } : { riskModel, asOf }),
+    [riskModel, asOf]
+  );
+  const metrics = useMetrics(engine, activeGraph, metricsOptions);
+
+  const ingestion = useJob(engine.ingest);
+  const extraction = useJob(engine.extract);
+
+  return {
+    engine,
+    nodesMap,
+    edges,
+    activeGraph,
+    metrics: metrics.metrics,
+    loadingMetrics: metrics.loading,
+    metricsError: metrics.error,
+    ingestion,
+    extraction
+  };
+}
@@ -0,0 +1,248 @@
+// Validation of the Paper / Event / Policy ingest JSON.
+//
+// Every problem is reported as { source, index, id, field, message, line }
+// where `source` is the textarea it came from ("papers" | "events" |
+// "policies"), `index` the 0-based record position in the array (null for a
+// parse error) and `line` the 1-based line in that text, when it can be
+// located. Messages number records from 1, as the UI and CLI show them.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const SCHEMAS = {
+  papers: {
+    label: "Paper",
+    idField: "id",
+    required: ["id", "title"],
+    strings: ["id", "title", "summary"],
+    dates: ["published"]
+  },
+  events: {
+    label: "Event",
+    idField: "external_id",
+    required: ["external_id", "name"],
+    strings: ["external_id", "name", "description", "region", "asset_type"],
+    dates: ["start_time", "end_time"],
+    range: ["start_time", "end_time"],
+    unit: ["severity"],
+    numbers: ["lat", "lon"]
+  },
+  policies: {
+    label: "Policy",
+    idField: "external_id",
+    required: ["external_id", "name"],
+    strings: [
+      "external_id",
+      "name",
+      "description",
+      "jurisdiction",
+      "category"
+    ],
+    dates: ["start_date", "end_date"],
+    range: ["start_date", "end_date"]
+  }
+};
+
+export const SOURCE_LABELS = {
+  papers: "Papers",
+  events: "Events",
+  policies: "Policies"
+};
+
+const lineAt = (text, offset) => text.slice(0, offset).split("\n").length;
+
+// Offsets of each top-level array element in a JSON text, found by a small
+// scan that tracks nesting depth and string literals.
+function elementOffsets(text) {
+  const offsets = [];
+  let depth = 0;
+  let inString = false;
+  let expectValue = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (depth === 1 && expectValue && !/\s/.test(ch) && ch !== "]") {
+      offsets.push(i);
+      expectValue = false;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "[" || ch === "{") {
+      depth++;
+      if (depth === 1) expectValue = true;
+    } else if (ch === "]" || ch === "}") depth--;
+    else if (ch === "," && depth === 1) expectValue = true;
+  }
+  return offsets;
+}
+
+function fieldLine(text, recordOffset, nextOffset, field) {
+  if (recordOffset == null) return null;
+  const chunk = text.slice(recordOffset, nextOffset ?? text.length);
+  const at = field ? chunk.indexOf(`"${field}"`) : -1;
+  return lineAt(text, recordOffset + Math.max(at, 0));
+}
+
+// JSON.parse messages differ per engine: V8 reports "at position N" (and
+// newer versions "line L column C"), Firefox "at line L column C".
+function parseErrorLine(text, err) {
+  const msg = String(err?.message || "");
+  const lineMatch = msg.match(/line (\d+)/);
+  if (lineMatch) return Number(lineMatch[1]);
+  const posMatch = msg.match(/position (\d+)/);
+  if (posMatch) return lineAt(text, Number(posMatch[1]));
+  if (/end of (JSON )?input|unexpected end/i.test(msg)) {
+    return text.split("\n").length;
+  }
+  return null;
+}
+
+const isIsoDate = (v) =>
+  typeof v === "string" && ISO_DATE.test(v) && !isNaN(new Date(v).getTime());
+
+function checkRecord(schema, rec) {
+  const problems = [];
+  if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+    problems.push({ field: null, message: "Record must be an object." });
+    return problems;
+  }
+  schema.required.forEach((f) => {
+    if (rec[f] == null || String(rec[f]).trim() === "") {
+      problems.push({ field: f, message: `Missing required field "${f}".` });
+    }
+  });
+  schema.strings.forEach((f) => {
+    if (rec[f] != null && typeof rec[f] !== "string" && typeof rec[f] !== "number") {
+      problems.push({ field: f, message: `"${f}" must be a string.` });
+    }
+  });
+  schema.dates.forEach((f) => {
+    if (rec[f] != null && !isIsoDate(rec[f])) {
+      problems.push({
+        field: f,
+        message: `"${f}" must be an ISO 8601 date (e.g. 2021-07-12 or 2021-07-12T02:00:00Z).`
+      });
+    }
+  });
+  if (schema.range) {
+    const [from, to] = schema.range;
+    if (
+      isIsoDate(rec[from]) &&
+      isIsoDate(rec[to]) &&
+      new Date(rec[to]).getTime() < new Date(rec[from]).getTime()
+    ) {
+      problems.push({ field: to, message: `"${to}" is before "${from}".` });
+    }
+  }
+  (schema.numbers || []).forEach((f) => {
+    if (rec[f] != null && (typeof rec[f] !== "number" || !Number.isFinite(rec[f]))) {
+      problems.push({ field: f, message: `"${f}" must be a number.` });
+    }
+  });
+  (schema.unit || []).forEach((f) => {
+    if (rec[f] == null) return;
+    if (typeof rec[f] !== "number" || !Number.isFinite(rec[f])) {
+      problems.push({ field: f, message: `"${f}" must be a number.` });
+    } else if (rec[f] < 0 || rec[f] > 1) {
+      problems.push({ field: f, message: `"${f}" must be between 0 and 1.` });
+    }
+  });
+  return problems;
+}
+
+// Parses and validates one textarea. Returns { records, valid, issues } where
+// `records` is the parsed array (empty on a parse error) and `valid` the
+// records without any issue.
+export function validateSource(source, text) {
+  const schema = SCHEMAS[source];
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (err) {
+    return {
+      records: [],
+      valid: [],
+      issues: [
+        {
+          source,
+          index: null,
+          id: null,
+          field: null,
+          message: `${SOURCE_LABELS[source]} JSON is invalid: ${err.message}`,
+          line: parseErrorLine(text, err),
+          fatal: true
+        }
+      ]
+    };
+  }
+  if (!Array.isArray(records)) {
+    return {
+      records: [],
+      valid: [],
+      issues: [
+        {
+          source,
+          index: null,
+          id: null,
+          field: null,
+          message: `${SOURCE_LABELS[source]} JSON must be an array of ${schema.label} objects.`,
+          line: 1,
+          fatal: true
+        }
+      ]
+    };
+  }
+
+  const offsets = elementOffsets(text);
+  const issues = [];
+  const badIndexes = new Set();
+  const seenIds = {};
+
+  records.forEach((rec, index) => {
+    const problems = checkRecord(schema, rec);
+    const id = rec?.[schema.idField];
+    if (id != null && String(id).trim() !== "") {
+      const key = String(id);
+      if (seenIds[key] != null) {
+        problems.push({
+          field: schema.idField,
+          message: `Duplicate ${schema.idField} "${key}" (first used by record #${seenIds[key] + 1}).`
+        });
+      } else {
+        seenIds[key] = index;
+      }
+    }
+    problems.forEach((p) => {
+      badIndexes.add(index);
+      issues.push({
+        source,
+        index,
+        id: id ?? null,
+        field: p.field,
+        message: p.message,
+        line: fieldLine(text, offsets[index], offsets[index + 1], p.field),
+        fatal: false
+      });
+    });
+  });
+
+  return {
+    records,
+    valid: records.filter((_, i) => !badIndexes.has(i)),
+    issues
+  };
+}
+
+export function validateAll({ papers, events, policies }) {
+  const out = {
+    papers: validateSource("papers", papers),
+    events: validateSource("events", events),
+    policies: validateSource("policies", policies)
+  };
+  return {
+    ...out,
+    issues: [...out.papers.issues, ...out.events.issues, ...out.policies.issues]
+  };
+}
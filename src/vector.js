@@ -0,0 +1,154 @@
+// Small vector helpers shared by retrieval and linking.
+
+export function dot(a, b) {
+  let s = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) s += a[i] * b[i];
+  return s;
+}
+
+export function norm(a) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * a[i];
+  return Math.sqrt(s);
+}
+
+export function cosineSim(a, b) {
+  const na = norm(a);
+  const nb = norm(b);
+  if (!na || !nb) return 0;
+  return dot(a, b) / (na * nb);
+}
+
+// ---------------------- quantized index ----------------------
+
+// Inverted lists are only worth building from this many vectors on.
+const LIST_MIN_ROWS = 1000;
+
+// Inverted lists: rows grouped under the nearest of ~√n k-means centroids,
+// so a search can probe the few cells closest to the query instead of
+// scanning every row. Centroids are seeded from evenly spaced rows and
+// trained on a sample, which keeps the index deterministic and cheap.
+function buildLists(kept, embeddings, dim) {
+  const n = kept.length;
+  const count = Math.round(Math.sqrt(n));
+  const centroids = new Float64Array(count * dim);
+  for (let c = 0; c < count; c++) {
+    const v = embeddings[kept[Math.floor((c * n) / count)]];
+    const vn = norm(v) || 1;
+    for (let i = 0; i < dim; i++) centroids[c * dim + i] = v[i] / vn;
+  }
+  const nearest = (v) => {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < count; c++) {
+      let s = 0;
+      const offset = c * dim;
+      for (let i = 0; i < dim; i++) s += centroids[offset + i] * v[i];
+      if (s > bestScore) {
+        bestScore = s;
+        best = c;
+      }
+    }
+    return best;
+  };
+  const step = Math.max(1, Math.floor(n / (count * 16)));
+  for (let iter = 0; iter < 5; iter++) {
+    const sums = new Float64Array(count * dim);
+    for (let row = 0; row < n; row += step) {
+      const v = embeddings[kept[row]];
+      const vn = norm(v);
+      if (!vn) continue;
+      const offset = nearest(v) * dim;
+      for (let i = 0; i < dim; i++) sums[offset + i] += v[i] / vn;
+    }
+    for (let c = 0; c < count; c++) {
+      const cell = sums.subarray(c * dim, (c + 1) * dim);
+      const cn = norm(cell);
+      // an empty cell keeps its previous centroid
+      if (cn) for (let i = 0; i < dim; i++) centroids[c * dim + i] = cell[i] / cn;
+    }
+  }
+  const lists = Array.from({ length: count }, () => []);
+  kept.forEach((id, row) => lists[nearest(embeddings[id])].push(row));
+  return { centroids, lists };
+}
+
+// Embeddings normalized and scalar-quantized to int8 in one flat buffer, so
+// a query is one tight integer scan instead of a float cosine per node. The
+// best `candidates` of that scan are then re-scored exactly, which keeps
+// rankings identical to brute force on small graphs. With `lists`, large
+// indexes also carry inverted lists (see buildLists) for searches that pass
+// `probes`; they cost a k-means pass, so only callers that probe ask.
+export function buildVectorIndex(embeddings, { lists: withLists = false } = {}) {
+  const ids = Object.keys(embeddings).filter((id) => embeddings[id]?.length);
+  const dim = ids.length ? embeddings[ids[0]].length : 0;
+  const kept = ids.filter((id) => embeddings[id].length === dim);
+  const codes = new Int8Array(kept.length * dim);
+  const scales = new Float32Array(kept.length);
+  const norms = new Float32Array(kept.length);
+  kept.forEach((id, row) => {
+    const v = embeddings[id];
+    const n = norm(v);
+    let max = 0;
+    for (let i = 0; i < dim; i++) max = Math.max(max, Math.abs(v[i]));
+    norms[row] = n;
+    if (!n || !max) return;
+    // codes hold v / n scaled so the largest component maps to 127
+    scales[row] = (127 * n) / max;
+    const offset = row * dim;
+    for (let i = 0; i < dim; i++) codes[offset + i] = Math.round((v[i] / n) * scales[row]);
+  });
+  const lists =
+    withLists && kept.length >= LIST_MIN_ROWS ? buildLists(kept, embeddings, dim) : null;
+  return { ids: kept, dim, codes, scales, norms, embeddings, lists };
+}
+
+// Rows in the `probes` inverted lists whose centroids are closest to `query`.
+function probedRows({ dim, lists }, query, probes) {
+  const { centroids } = lists;
+  const cells = lists.lists.map((rows, c) => {
+    let s = 0;
+    for (let i = 0; i < dim; i++) s += centroids[c * dim + i] * query[i];
+    return { rows, s };
+  });
+  cells.sort((a, b) => b.s - a.s);
+  return cells.slice(0, probes).flatMap((cell) => cell.rows);
+}
+
+// Cosine similarity of `query` to the indexed vectors: { [id]: score } for
+// the `candidates` best approximate matches among ids passing `filter`.
+// With `probes`, only that many inverted lists are scanned (when the index
+// has them), trading a little recall for speed.
+export function searchVectorIndex(index, query, { filter, candidates = 200, probes } = {}) {
+  const { ids, dim, codes, scales, norms, embeddings } = index;
+  if (!ids.length || query?.length !== dim) return {};
+  const qn = norm(query);
+  if (!qn) return {};
+  let max = 0;
+  for (let i = 0; i < dim; i++) max = Math.max(max, Math.abs(query[i]));
+  const qScale = (127 * qn) / max;
+  const q = new Int8Array(dim);
+  for (let i = 0; i < dim; i++) q[i] = Math.round((query[i] / qn) * qScale);
+
+  const scan = probes && index.lists ? probedRows(index, query, probes) : null;
+  const total = scan ? scan.length : ids.length;
+  const rows = [];
+  for (let k = 0; k < total; k++) {
+    const row = scan ? scan[k] : k;
+    if (!scales[row] || (filter && !filter(ids[row]))) continue;
+    const codeRow = codes.subarray(row * dim, (row + 1) * dim);
+    let s = 0;
+    for (let i = 0; i < dim; i++) s += codeRow[i] * q[i];
+    rows.push({ row, approx: s / (scales[row] * qScale) });
+  }
+  if (rows.length > candidates) {
+    rows.sort((a, b) => b.approx - a.approx);
+    rows.length = candidates;
+  }
+  const scores = {};
+  rows.forEach(({ row }) => {
+    scores[ids[row]] = dot(embeddings[ids[row]], query) / (norms[row] * qn);
+  });
+  return scores;
+}
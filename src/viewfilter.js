@@ -0,0 +1,110 @@
+// What the graph canvas shows: attribute filters, text search, N-hop focus
+// around the selected node and collapsing of Location hubs. Only the view
+// changes; nodesMap and edges are left alone.
+
+export const DEFAULT_VIEW_FILTERS = {
+  types: [],
+  relations: [],
+  region: "",
+  minRisk: 0,
+  maxRisk: 1,
+  minSeverity: 0,
+  maxSeverity: 1,
+  from: "",
+  to: "",
+  focusHops: 0,
+  collapseLocations: false
+};
+
+const nodeDate = (n) => n.start_time || n.published || n.start_date || "";
+
+// Number of attribute filters that differ from the defaults, for the
+// "Filters (n)" label.
+export function activeFilterCount(filters) {
+  let count = 0;
+  if (filters.types.length) count++;
+  if (filters.relations.length) count++;
+  if (filters.region) count++;
+  if (filters.minRisk > 0 || filters.maxRisk < 1) count++;
+  if (filters.minSeverity > 0 || filters.maxSeverity < 1) count++;
+  if (filters.from || filters.to) count++;
+  return count;
+}
+
+function nodeVisible(n, metric, f) {
+  if (f.types.length && !f.types.includes(n.type)) return false;
+  if (f.region) {
+    const r = (n.region || n.jurisdiction || n.name || "").toLowerCase();
+    if (!r.includes(f.region.toLowerCase())) return false;
+  }
+  const risk = metric?.risk_score;
+  if (risk != null && (risk < f.minRisk || risk > f.maxRisk)) return false;
+  if (n.severity != null && (n.severity < f.minSeverity || n.severity > f.maxSeverity)) {
+    return false;
+  }
+  // undated nodes (locations, entities) are not hidden by the date range
+  const d = nodeDate(n).slice(0, 10);
+  if (d && ((f.from && d < f.from) || (f.to && d > f.to))) return false;
+  return true;
+}
+
+// Ids within `hops` edges of `rootId` over `edges`.
+export function egoNetwork(rootId, edges, hops) {
+  const seen = new Set([rootId]);
+  let frontier = [rootId];
+  for (let hop = 0; hop < hops && frontier.length; hop++) {
+    const inFrontier = new Set(frontier);
+    const next = [];
+    edges.forEach((e) => {
+      [
+        [e.source, e.target],
+        [e.target, e.source]
+      ].forEach(([from, to]) => {
+        if (inFrontier.has(from) && !seen.has(to)) {
+          seen.add(to);
+          next.push(to);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return seen;
+}
+
+// Returns { nodeIds, edges } to draw. Focus applies after the attribute
+// filters, so the ego network only walks visible edges. Collapsed Location
+// hubs are dropped with their spokes unless they are the focus root.
+export function applyViewFilters({ nodesMap, edges, metrics = {} }, filters, { focusId } = {}) {
+  const nodeIds = new Set();
+  Object.values(nodesMap).forEach((n) => {
+    if (filters.collapseLocations && n.type === "Location" && n.id !== focusId) return;
+    if (nodeVisible(n, metrics[n.id], filters) || n.id === focusId) nodeIds.add(n.id);
+  });
+  let visible = edges.filter(
+    (e) =>
+      nodeIds.has(e.source) &&
+      nodeIds.has(e.target) &&
+      (!filters.relations.length || filters.relations.includes(e.relation))
+  );
+  if (focusId && filters.focusHops > 0 && nodeIds.has(focusId)) {
+    const ego = egoNetwork(focusId, visible, filters.focusHops);
+    [...nodeIds].forEach((id) => {
+      if (!ego.has(id)) nodeIds.delete(id);
+    });
+    visible = visible.filter((e) => ego.has(e.source) && ego.has(e.target));
+  }
+  return { nodeIds, edges: visible };
+}
+
+// Ids of nodes whose title, name, id or summary contains `text`.
+export function searchNodes(nodesMap, text) {
+  const q = text.trim().toLowerCase();
+  if (!q) return new Set();
+  return new Set(
+    Object.values(nodesMap)
+      .filter((n) =>
+        [n.title, n.name, n.id, n.summary].some((v) => v && String(v).toLowerCase().includes(q))
+      )
+      .map((n) => n.id)
+  );
+}
@@ -0,0 +1,26 @@
+// Tests for follow-up handling in src/chat.js, run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { rewriteQuery } from "../src/chat.js";
+
+const offline = { id: "offline" };
+
+describe("rewriteQuery", () => {
+  it("leaves the first question alone", async () => {
+    const question = "Grid outages in Tamil Nadu?";
+    assert.equal(await rewriteQuery(offline, [], question), question);
+  });
+
+  it("adds only the previous question offline, however long the chat", async () => {
+    const turns = [];
+    const ask = async (question) => {
+      const query = await rewriteQuery(offline, turns, question);
+      turns.push({ question, query, answer: "..." });
+      return query;
+    };
+    await ask("Grid outages in Tamil Nadu?");
+    assert.equal(await ask("What about Kerala?"), "What about Kerala? Grid outages in Tamil Nadu?");
+    assert.equal(await ask("And solar subsidies?"), "And solar subsidies? What about Kerala?");
+  });
+});
@@ -0,0 +1,39 @@
+// Tests for file import in src/importers.js, run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { detectFormat, prepareImport } from "../src/importers.js";
+
+const EVENT = '{"external_id":"e1","name":"Chennai grid outage","severity":0.9}';
+
+describe("detectFormat", () => {
+  it("goes by the file extension first", () => {
+    assert.equal(detectFormat("events.csv", EVENT), "csv");
+    assert.equal(detectFormat("events.ndjson", EVENT), "jsonl");
+  });
+
+  it("reads a single JSON object without an extension as one record", () => {
+    assert.equal(detectFormat("events", EVENT), "json");
+    assert.equal(detectFormat("", `  ${EVENT}\n`), "json");
+    const draft = prepareImport("events", EVENT);
+    assert.deepEqual(draft.errors, []);
+    assert.equal(draft.records.length, 1);
+    assert.equal(draft.records[0].external_id, "e1");
+  });
+
+  it("reads a pretty-printed JSON object as one record", () => {
+    const text = JSON.stringify(JSON.parse(EVENT), null, 2);
+    assert.ok(text.split("\n").length > 3);
+    const draft = prepareImport("events.json", text);
+    assert.equal(draft.format, "json");
+    assert.deepEqual(draft.errors, []);
+    assert.deepEqual(draft.records, [JSON.parse(EVENT)]);
+  });
+
+  it("tells GeoJSON, JSON arrays, JSONL and CSV apart by content", () => {
+    assert.equal(detectFormat("x", '{"type":"FeatureCollection","features":[]}'), "geojson");
+    assert.equal(detectFormat("x", `[${EVENT}]`), "json");
+    assert.equal(detectFormat("x", `${EVENT}\n${EVENT}`), "jsonl");
+    assert.equal(detectFormat("x", "external_id,name\ne1,Outage"), "csv");
+  });
+});
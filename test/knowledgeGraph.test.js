@@ -0,0 +1,366 @@
+// Unit tests for the headless engine in src/knowledgeGraph.js, run with
+// `npm test`. The provider is a mock that embeds by keyword and records every
+// call, so tests can assert what was (and was not) sent to the model.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DEFAULT_RISK_MODEL } from "../src/analytics.js";
+import { createKnowledgeGraph } from "../src/knowledgeGraph.js";
+import { DEFAULT_RETRIEVAL_SETTINGS } from "../src/retrieval.js";
+
+const KEYWORDS = ["grid", "solar", "wind", "outage", "storage", "subsidy"];
+
+function createMockProvider() {
+  const calls = { embed: [], embedMany: [], stream: [] };
+  const vectorOf = (text) => {
+    const lower = text.toLowerCase();
+    return KEYWORDS.map((k) => (lower.includes(k) ? 1 : 0)).concat(0.01);
+  };
+  return {
+    id: "mock",
+    label: "Mock",
+    embeddingModel: "mock-keywords",
+    requiresKey: false,
+    ready: true,
+    calls,
+    embed: async (text) => {
+      calls.embed.push(text);
+      return vectorOf(text);
+    },
+    embedMany: async (texts) => {
+      calls.embedMany.push(texts);
+      return texts.map(vectorOf);
+    },
+    complete: async () => "ok",
+    stream: async (prompt, { history, onDelta } = {}) => {
+      calls.stream.push({ prompt, history });
+      const text = "Grid outage answer [1]";
+      onDelta?.(text, text);
+      return text;
+    }
+  };
+}
+
+const RECORDS = {
+  papers: [
+    { id: "p1", title: "Grid outage cascades", summary: "How outages spread across the grid.", published: "2023-01-01" },
+    { id: "p2", title: "Solar storage", summary: "Pairing solar with storage.", published: "2023-02-01" }
+  ],
+  events: [
+    {
+      external_id: "e1",
+      name: "Chennai grid outage",
+      description: "Transmission outage in the grid.",
+      start_time: "2023-03-01T00:00:00Z",
+      region: "Tamil Nadu",
+      asset_type: "Transmission",
+      severity: 0.9
+    }
+  ],
+  policies: [
+    {
+      external_id: "pol1",
+      name: "Solar subsidy",
+      description: "Subsidy for rooftop solar.",
+      jurisdiction: "Tamil Nadu",
+      start_date: "2023-05-01",
+      category: "Subsidy"
+    }
+  ]
+};
+
+const embeddedTexts = (provider) => provider.calls.embedMany.flat();
+
+async function ingested() {
+  const provider = createMockProvider();
+  const kg = createKnowledgeGraph({ provider });
+  await kg.ingest(RECORDS);
+  provider.calls.embedMany.length = 0;
+  return { kg, provider };
+}
+
+describe("ingest", () => {
+  it("builds nodes, location edges and embeddings", async () => {
+    const provider = createMockProvider();
+    const kg = createKnowledgeGraph({ provider });
+    const { graph, diff } = await kg.ingest(RECORDS);
+    assert.equal(graph, kg.getGraph());
+    assert.ok(graph.nodesMap["paper:p1"]);
+    assert.ok(graph.nodesMap["location:Tamil Nadu"]);
+    assert.ok(
+      graph.edges.some(
+        (e) => e.source === "event:e1" && e.target === "location:Tamil Nadu" && e.relation === "OCCURS_IN"
+      )
+    );
+    assert.equal(embeddedTexts(provider).length, 4);
+    assert.deepEqual(Object.keys(kg.getEmbeddings().embeddings).sort(), [
+      "event:e1",
+      "paper:p1",
+      "paper:p2",
+      "policy:pol1"
+    ]);
+    assert.ok(diff.nodes.added.includes("paper:p1"));
+  });
+
+  it("only re-embeds changed records when merging", async () => {
+    const { kg, provider } = await ingested();
+    const papers = [{ ...RECORDS.papers[0], summary: "Wind and grid outages." }];
+    const { diff } = await kg.ingest({ papers }, { mode: "merge" });
+    assert.equal(embeddedTexts(provider).length, 1);
+    assert.match(embeddedTexts(provider)[0], /Wind and grid outages/);
+    assert.deepEqual(diff.nodes.updated, ["paper:p1"]);
+    assert.ok(kg.getGraph().nodesMap["paper:p2"]);
+  });
+
+  it("prunes records missing from a merge batch", async () => {
+    const { kg } = await ingested();
+    await kg.ingest({ papers: RECORDS.papers }, { mode: "merge", prune: true });
+    const { nodesMap } = kg.getGraph();
+    assert.equal(nodesMap["event:e1"], undefined);
+    assert.equal(nodesMap["location:Tamil Nadu"], undefined);
+    assert.equal(kg.getEmbeddings().embeddings["event:e1"], undefined);
+  });
+
+  it("keeps the previous graph when aborted", async () => {
+    const { kg } = await ingested();
+    const before = kg.getGraph();
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(kg.ingest({ papers: RECORDS.papers }, { signal: controller.signal }));
+    assert.equal(kg.getGraph(), before);
+  });
+
+  it("needs a provider", async () => {
+    const kg = createKnowledgeGraph();
+    await assert.rejects(kg.ingest(RECORDS), /No provider/);
+  });
+});
+
+describe("editing", () => {
+  it("upserts new and existing nodes", async () => {
+    const { kg } = await ingested();
+    kg.upsert({ id: "event:e2", type: "Event", title: "Wind farm outage", region: "Gujarat" });
+    assert.equal(kg.getGraph().nodesMap["event:e2"].title, "Wind farm outage");
+    assert.ok(kg.getGraph().edges.some((e) => e.source === "event:e2" && e.target === "location:Gujarat"));
+
+    kg.upsert({ id: "event:e1", region: "Gujarat" });
+    const { nodesMap, edges } = kg.getGraph();
+    assert.equal(nodesMap["event:e1"].region, "Gujarat");
+    assert.ok(edges.some((e) => e.source === "event:e1" && e.target === "location:Gujarat"));
+    assert.throws(() => kg.upsert({ id: "x:1" }), /needs a type/);
+  });
+
+  it("links, unlinks, removes and merges", async () => {
+    const { kg } = await ingested();
+    kg.link({ source: "paper:p1", target: "event:e1", relation: "discusses" });
+    const edge = kg.getGraph().edges.find((e) => e.manual);
+    assert.deepEqual(edge, { source: "paper:p1", target: "event:e1", relation: "DISCUSSES", manual: true });
+
+    kg.unlink("paper:p1|DISCUSSES|event:e1");
+    assert.equal(kg.getGraph().edges.some((e) => e.manual), false);
+
+    kg.remove("paper:p2");
+    assert.equal(kg.getGraph().nodesMap["paper:p2"], undefined);
+    assert.equal(kg.getEmbeddings().embeddings["paper:p2"], undefined);
+
+    kg.upsert({ id: "policy:pol1", jurisdiction: "TN" });
+    kg.merge("location:Tamil Nadu", "location:TN");
+    assert.equal(kg.getGraph().nodesMap["location:TN"], undefined);
+    assert.equal(kg.getGraph().nodesMap["policy:pol1"].jurisdiction, "Tamil Nadu");
+  });
+
+  it("re-embeds only nodes whose text changed", async () => {
+    const { kg, provider } = await ingested();
+    kg.upsert({ id: "paper:p2", summary: "Storage for wind." });
+    assert.equal(kg.changedCount(), 1);
+    assert.equal(await kg.embedChanged(), 1);
+    assert.equal(embeddedTexts(provider).length, 1);
+    assert.equal(await kg.embedChanged(), 0);
+  });
+
+  it("extracts entities into the current graph as one change", async () => {
+    const { kg, provider } = await ingested();
+    provider.id = "offline";
+    const before = kg.getGraph();
+    const changes = [];
+    const run = await kg.extract(["paper:p1", "paper:p2", "location:Tamil Nadu"], {
+      onChange: (previous, { total }) => changes.push({ previous, total })
+    });
+    assert.deepEqual(changes, [{ previous: before, total: 2 }]);
+    assert.equal(run.total, 2);
+    assert.equal(run.entities, 3);
+    const { nodesMap, edges } = kg.getGraph();
+    assert.ok(nodesMap["asset:grid"] && nodesMap["technology:solar"]);
+    assert.ok(edges.some((e) => e.extracted && e.source === "paper:p1" && e.target === "asset:grid"));
+  });
+
+  it("skips nodes removed while extracting", async () => {
+    const { kg, provider } = await ingested();
+    provider.id = "offline";
+    const run = await kg.extract(["paper:p1", "paper:p2"], {
+      onProgress: ({ done }) => {
+        if (done === 1) kg.remove("paper:p2");
+      }
+    });
+    assert.deepEqual(run.failures, ["paper:p2: removed while extracting."]);
+    assert.equal(kg.getGraph().nodesMap["technology:solar"], undefined);
+    assert.ok(kg.getGraph().nodesMap["asset:grid"]);
+  });
+
+  it("notifies subscribers with the new graph", async () => {
+    const { kg } = await ingested();
+    const seen = [];
+    const unsubscribe = kg.subscribe((graph) => seen.push(graph));
+    kg.remove("paper:p2");
+    unsubscribe();
+    kg.remove("paper:p1");
+    assert.equal(seen.length, 1);
+    assert.ok(seen[0].nodesMap["paper:p1"]);
+  });
+});
+
+describe("reading", () => {
+  it("runs graph queries", async () => {
+    const { kg } = await ingested();
+    const result = kg.query(
+      'MATCH (e:Event)-[:OCCURS_IN]->(l:Location) RETURN e.title, l.name'
+    );
+    assert.deepEqual(result.rows, [["Chennai grid outage", "Tamil Nadu"]]);
+  });
+
+  it("computes and caches metrics per graph", async () => {
+    const { kg } = await ingested();
+    const metrics = kg.metrics();
+    assert.ok(metrics["event:e1"].risk_score >= 0);
+    assert.equal(kg.metrics(), metrics);
+    kg.remove("paper:p2");
+    assert.notEqual(kg.metrics(), metrics);
+  });
+
+  it("scores risk with the given model", async () => {
+    const { kg } = await ingested();
+    const risk = kg.metrics()["event:e1"].risk_score;
+    const riskModel = { ...DEFAULT_RISK_MODEL, assetTypes: { Transmission: 0.5 } };
+    assert.ok(kg.metrics({ riskModel })["event:e1"].risk_score < risk);
+    assert.equal(kg.metrics()["event:e1"].risk_score, risk);
+  });
+
+  it("searches with the mocked embeddings", async () => {
+    const { kg, provider } = await ingested();
+    const { results } = await kg.search("grid outage");
+    assert.deepEqual(provider.calls.embed, ["grid outage"]);
+    assert.ok(["paper:p1", "event:e1"].includes(results[0].id));
+    assert.ok(results[0].vectorScore > 0);
+  });
+
+  it("returns only matching nodes when fewer than topK match", async () => {
+    const { kg } = await ingested();
+    const { results } = await kg.search("subsidy", { ...DEFAULT_RETRIEVAL_SETTINGS, alpha: 0 });
+    assert.ok(DEFAULT_RETRIEVAL_SETTINGS.topK > 1);
+    assert.deepEqual(
+      results.map((r) => r.id),
+      ["policy:pol1"]
+    );
+  });
+
+  it("keeps the weaker of two matching nodes", async () => {
+    const kg = createKnowledgeGraph({ provider: createMockProvider() });
+    await kg.ingest({
+      papers: [
+        RECORDS.papers[0],
+        {
+          id: "p3",
+          title: "Grid outage study",
+          summary: "Solar storage and wind after an outage elsewhere in the region."
+        }
+      ]
+    });
+    const { results } = await kg.search("grid outage");
+    assert.deepEqual(
+      results.map((r) => r.id),
+      ["paper:p1", "paper:p3"]
+    );
+  });
+
+  it("lets a national policy follow a severe event in one of its states", async () => {
+    const kg = createKnowledgeGraph({ provider: createMockProvider() });
+    const policy = {
+      external_id: "pol2",
+      name: "National grid code",
+      description: "Grid resilience rules.",
+      jurisdiction: "India",
+      start_date: "2023-06-01"
+    };
+    const { graph } = await kg.ingest({
+      events: RECORDS.events,
+      policies: [policy, { ...policy, external_id: "pol3", jurisdiction: "Kerala" }]
+    });
+    const followed = graph.edges
+      .filter((e) => e.relation === "FOLLOWED_BY_POLICY")
+      .map((e) => `${e.source}>${e.target}`);
+    assert.deepEqual(followed, ["event:e1>policy:pol2"]);
+  });
+
+  it("searches re-embedded text after an edit", async () => {
+    const { kg } = await ingested();
+    await kg.search("wind");
+    kg.upsert({ id: "paper:p2", title: "Wind turbines", summary: "Offshore wind." });
+    await kg.embedChanged();
+    const { results } = await kg.search("wind");
+    assert.equal(results[0].id, "paper:p2");
+    assert.ok(results[0].vectorScore > 0.9);
+  });
+
+  it("answers with the retrieved contexts", async () => {
+    const { kg, provider } = await ingested();
+    const deltas = [];
+    let found = null;
+    const { answer, results } = await kg.ask("What caused the outage?", {
+      query: "grid outage",
+      history: [{ role: "user", content: "hi" }],
+      onResults: (r) => {
+        found = r;
+      },
+      onDelta: (delta) => deltas.push(delta)
+    });
+    assert.equal(answer, "Grid outage answer [1]");
+    assert.deepEqual(deltas, [answer]);
+    assert.equal(found.results, results);
+    assert.deepEqual(provider.calls.embed, ["grid outage"]);
+    const { prompt, history } = provider.calls.stream[0];
+    assert.match(prompt, /What caused the outage\?/);
+    assert.match(prompt, new RegExp(results[0].title));
+    assert.deepEqual(history, [{ role: "user", content: "hi" }]);
+  });
+
+  it("lists the timeline in time order", async () => {
+    const { kg } = await ingested();
+    assert.deepEqual(
+      kg.timeline().map((t) => t.id),
+      ["paper:p1", "paper:p2", "event:e1", "policy:pol1"]
+    );
+  });
+});
+
+describe("persistence", () => {
+  it("round-trips through serialize and load", async () => {
+    const { kg } = await ingested();
+    const snap = kg.serialize({ name: "test" });
+    assert.equal(snap.meta.providerId, "mock");
+    assert.equal(snap.meta.nodeCount, Object.keys(kg.getGraph().nodesMap).length);
+
+    const copy = createKnowledgeGraph({ provider: createMockProvider() });
+    copy.load(JSON.stringify(snap));
+    // JSON drops attributes left undefined by ingest
+    assert.deepEqual(copy.getGraph(), JSON.parse(JSON.stringify(kg.getGraph())));
+    assert.deepEqual(copy.getEmbeddings(), kg.getEmbeddings());
+    assert.throws(() => copy.load("{}"), /not an energy graph snapshot/);
+  });
+
+  it("resets to an empty graph", async () => {
+    const { kg } = await ingested();
+    kg.reset();
+    assert.deepEqual(kg.getGraph(), { nodesMap: {}, edges: [] });
+    assert.deepEqual(kg.getEmbeddings().embeddings, {});
+  });
+});
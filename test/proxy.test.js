@@ -0,0 +1,118 @@
+// Tests for the studio server's API guards in server/proxy.js and
+// server/index.js, run with `npm test`. Handlers run on real HTTP servers on
+// free ports with the offline provider, so nothing leaves the machine.
+
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:http";
+import { after, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_LIMITS, createProxyHandler, createRateLimiter } from "../server/proxy.js";
+import { createOfflineProvider } from "../src/providers.js";
+
+const servers = [];
+after(() => servers.forEach((s) => s.close()));
+
+// Base URL of a server running the proxy handler with `options`.
+async function serve(options = {}, next) {
+  const handler = createProxyHandler({
+    provider: createOfflineProvider(),
+    log: () => {},
+    ...options,
+    limits: { ...DEFAULT_LIMITS, ...options.limits }
+  });
+  const server = createServer((req, res) => handler(req, res, next && (() => next(req, res))));
+  servers.push(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const embed = (base, headers = {}, texts = ["grid outage"]) =>
+  fetch(`${base}/api/embed`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ texts })
+  });
+
+describe("proxy handler", () => {
+  it("rejects bodies over the size cap", async () => {
+    const base = await serve({ limits: { maxBodyBytes: 100 } });
+    const res = await embed(base, {}, ["x".repeat(200)]);
+    assert.equal(res.status, 413);
+    assert.match((await res.json()).error, /larger than 100 bytes/);
+    assert.equal((await embed(base)).status, 200);
+  });
+
+  it("rate-limits by client address when user headers aren't trusted", async () => {
+    const base = await serve({ limits: { requestsPerMinute: 2 } });
+    assert.equal((await embed(base, { "x-forwarded-user": "a" })).status, 200);
+    assert.equal((await embed(base, { "x-forwarded-user": "b" })).status, 200);
+    const res = await embed(base, { "x-forwarded-user": "c" });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+  });
+
+  it("rate-limits each forwarded user separately when trusted", async () => {
+    const base = await serve({ limits: { requestsPerMinute: 1 }, trustUserHeader: true });
+    assert.equal((await embed(base, { "x-forwarded-user": "a" })).status, 200);
+    assert.equal((await embed(base, { "x-forwarded-user": "b" })).status, 200);
+    assert.equal((await embed(base, { "x-forwarded-user": "a" })).status, 429);
+  });
+
+  it("answers 500 when the static handler fails", async () => {
+    const base = await serve({}, async () => {
+      throw new Error("disk gone");
+    });
+    const original = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await fetch(`${base}/index.html`)).status, 500);
+    } finally {
+      console.error = original;
+    }
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("drops windows of users that stopped calling", () => {
+    let now = 0;
+    const check = createRateLimiter(1, () => now);
+    check("a");
+    check("b");
+    assert.throws(() => check("a"), (err) => err.status === 429);
+    assert.equal(check.tracked(), 2);
+    now = 61_000;
+    check("c");
+    assert.equal(check.tracked(), 1);
+  });
+});
+
+describe("standalone server", () => {
+  it("answers 400 to a malformed path and keeps running", async () => {
+    const env = { ...process.env, PORT: "0" };
+    ["OPENAI_API_KEY", "LLM_BASE_URL"].forEach((key) => delete env[key]);
+    const child = spawn(
+      process.execPath,
+      [fileURLToPath(new URL("../server/index.js", import.meta.url))],
+      { env, stdio: ["ignore", "pipe", "inherit"] }
+    );
+    try {
+      const port = await new Promise((resolve, reject) => {
+        let out = "";
+        child.stdout.on("data", (chunk) => {
+          out += chunk;
+          const found = out.match(/localhost:(\d+)/);
+          if (found) resolve(found[1]);
+        });
+        child.on("exit", () => reject(new Error("The server exited.")));
+      });
+      const base = `http://127.0.0.1:${port}`;
+      const res = await fetch(`${base}/%E0%A4%A`);
+      assert.equal(res.status, 400);
+      assert.equal(await res.text(), "Malformed URL.");
+      assert.equal((await fetch(`${base}/api/info`)).status, 200);
+    } finally {
+      child.kill();
+    }
+  });
+});
@@ -0,0 +1,59 @@
+// Tests for the query runner in src/query.js, run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { MAX_BINDINGS, runQuery } from "../src/query.js";
+
+// `count` unconnected Paper nodes, so two patterns form a cross product.
+function papers(count) {
+  const nodesMap = {};
+  for (let i = 0; i < count; i++) {
+    nodesMap[`paper:${i}`] = { id: `paper:${i}`, type: "Paper", title: `Paper ${i}`, year: i };
+  }
+  return { nodesMap, edges: [] };
+}
+
+describe("runQuery", () => {
+  it("stops matching once LIMIT rows are found", () => {
+    const graph = papers(1000);
+    const started = Date.now();
+    const result = runQuery("MATCH (a:Paper),(b:Paper) RETURN a.title LIMIT 1", graph);
+    assert.deepEqual(result.rows, [["Paper 0"]]);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("reports whether LIMIT cut off further matches", () => {
+    const cut = runQuery("MATCH (a:Paper) RETURN a.title LIMIT 3", papers(10));
+    assert.equal(cut.rows.length, 3);
+    assert.equal(cut.truncated, true);
+    const sorted = runQuery("MATCH (a:Paper) RETURN a.title ORDER BY a.year LIMIT 3", papers(10));
+    assert.equal(sorted.truncated, true);
+    const all = runQuery("MATCH (a:Paper) RETURN a.title LIMIT 10", papers(10));
+    assert.equal(all.rows.length, 10);
+    assert.equal(all.truncated, false);
+  });
+
+  it("applies WHERE before counting towards LIMIT", () => {
+    const result = runQuery(
+      "MATCH (a:Paper) WHERE a.year >= 5 RETURN a.title LIMIT 2",
+      papers(10)
+    );
+    assert.deepEqual(result.rows, [["Paper 5"], ["Paper 6"]]);
+  });
+
+  it("still sorts every match with ORDER BY", () => {
+    const result = runQuery(
+      "MATCH (a:Paper) RETURN a.title ORDER BY a.year DESC LIMIT 1",
+      papers(10)
+    );
+    assert.deepEqual(result.rows, [["Paper 9"]]);
+  });
+
+  it("refuses queries that build too many bindings", () => {
+    const size = Math.ceil(Math.sqrt(MAX_BINDINGS)) + 1;
+    assert.throws(
+      () => runQuery("MATCH (a:Paper),(b:Paper) RETURN DISTINCT a.title", papers(size)),
+      /matches more than/
+    );
+  });
+});
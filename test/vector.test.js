@@ -0,0 +1,50 @@
+// Tests for the vector index in src/vector.js, run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildVectorIndex, cosineSim, searchVectorIndex } from "../src/vector.js";
+
+// `count` vectors scattered around `clusters` random centres, seeded so the
+// index and its cells are the same on every run.
+function clustered(count, clusters, dim) {
+  let seed = 42;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const centres = Array.from({ length: clusters }, () =>
+    Array.from({ length: dim }, () => random() - 0.5)
+  );
+  const embeddings = {};
+  for (let i = 0; i < count; i++) {
+    const centre = centres[i % clusters];
+    embeddings[`n${i}`] = centre.map((x) => x + (random() - 0.5) * 0.5);
+  }
+  return embeddings;
+}
+
+const best = (scores) => Object.entries(scores).sort((a, b) => b[1] - a[1])[0][0];
+
+describe("searchVectorIndex", () => {
+  it("matches brute force on small indexes", () => {
+    const embeddings = clustered(50, 5, 16);
+    const index = buildVectorIndex(embeddings, { lists: true });
+    assert.equal(index.lists, null);
+    const scores = searchVectorIndex(index, embeddings.n7, { candidates: 5, probes: 2 });
+    const exact = Object.keys(embeddings)
+      .map((id) => [id, cosineSim(embeddings.n7, embeddings[id])])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+    assert.deepEqual(Object.keys(scores).sort(), exact.map(([id]) => id).sort());
+    exact.forEach(([id, score]) => assert.ok(Math.abs(scores[id] - score) < 1e-6));
+  });
+
+  it("probes only a few cells of large indexes and still finds the nearest", () => {
+    const embeddings = clustered(1200, 12, 32);
+    assert.equal(buildVectorIndex(embeddings).lists, null);
+    const index = buildVectorIndex(embeddings, { lists: true });
+    assert.equal(index.lists.lists.length, 35);
+    const ids = Object.keys(embeddings);
+    ids.slice(0, 100).forEach((id) => {
+      const scores = searchVectorIndex(index, embeddings[id], { candidates: 3, probes: 4 });
+      assert.equal(best(scores), id);
+    });
+  });
+});
@@ -1,10 +1,39 @@
-
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
+import {
+  createProxyHandler,
+  limitsFromEnv,
+  providerFromEnv
+} from "./server/proxy.js";
+
+// Serves the studio API (server/proxy.js) from the dev and preview servers.
+// The env is loaded without the VITE_ prefix filter, so OPENAI_API_KEY stays
+// on the server and is never inlined into the client bundle.
+function studioApi(env) {
+  const handler = () =>
+    createProxyHandler({
+      provider: providerFromEnv(env),
+      limits: limitsFromEnv(env),
+      logFile: env.USAGE_LOG,
+      trustUserHeader: env.TRUST_USER_HEADER === "1"
+    });
+  return {
+    name: "studio-api",
+    configureServer(server) {
+      server.middlewares.use(handler());
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handler());
+    }
+  };
+}
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 5173
-  }
+export default defineConfig(({ mode }) => {
+  const env = { ...process.env, ...loadEnv(mode, process.cwd(), "") };
+  return {
+    plugins: [react(), studioApi(env)],
+    server: {
+      port: 5173
+    }
+  };
 });